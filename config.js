@@ -0,0 +1,374 @@
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+// **⚙️ CONFIGURATION**
+// Every setting the server reads from the environment is declared here once, with its type and
+// default. loadConfig() reads them all, checks them, and either returns a nested config object
+// ({ server: { port }, cors: { origins }, ... }) or throws one error listing every problem.
+//
+// NODE_ENV picks a profile (development, test or production) whose values replace the defaults;
+// the environment still wins over both. Production also refuses known default secrets and "*" origins.
+
+const PROFILES = ['development', 'test', 'production'];
+
+// Values that once shipped in this repository, so they must never guard a real deployment
+const DEVELOPMENT_JWT_SECRET = 'warmdelights-secret-key-2025';
+const PUBLISHED_ADMIN_PASSWORD = 'SecurePass@2025!';
+const MIN_PRODUCTION_SECRET_LENGTH = 32;
+
+// What the upload inspection can recognise from a file's own bytes
+const SUPPORTED_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/gif'];
+
+// **🔤 VALUE TYPES**
+// Each parser turns the raw environment string into a value, or throws with a readable reason
+const TYPES = {
+    string(raw) {
+        return raw;
+    },
+
+    integer(raw, setting) {
+        if (!/^-?\d+$/.test(raw)) throw new Error('must be a whole number');
+        const value = parseInt(raw, 10);
+        if (setting.min !== undefined && value < setting.min) throw new Error(`must be at least ${setting.min}`);
+        if (setting.max !== undefined && value > setting.max) throw new Error(`must be at most ${setting.max}`);
+        return value;
+    },
+
+    boolean(raw) {
+        const value = raw.toLowerCase();
+        if (['true', '1', 'yes'].includes(value)) return true;
+        if (['false', '0', 'no'].includes(value)) return false;
+        throw new Error('must be true or false');
+    },
+
+    enum(raw, setting) {
+        const value = raw.toLowerCase();
+        if (!setting.values.includes(value)) throw new Error(`must be one of ${setting.values.join(', ')}`);
+        return value;
+    },
+
+    list(raw, setting) {
+        const items = raw.split(',').map(item => item.trim()).filter(Boolean);
+        if (!setting.values) return items;
+
+        const invalid = items.filter(item => !setting.values.includes(item.toLowerCase()));
+        if (invalid.length > 0) throw new Error(`has unsupported entries: ${invalid.join(', ')}`);
+        return items.map(item => item.toLowerCase());
+    },
+
+    url(raw) {
+        let parsed;
+        try {
+            parsed = new URL(raw);
+        } catch (error) {
+            throw new Error('must be an absolute http(s) URL');
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('must be an absolute http(s) URL');
+        return raw.replace(/\/+$/, '');
+    },
+
+    // "*" or origins such as https://warmdelights.com; paths are not part of an origin
+    origins(raw) {
+        const origins = TYPES.list(raw, {});
+        origins.forEach(origin => {
+            if (origin !== '*' && !/^https?:\/\/[^/\s]+$/.test(origin)) {
+                throw new Error(`"${origin}" is not an origin like https://example.com`);
+            }
+        });
+        return origins;
+    },
+
+    // jsonwebtoken's expiresIn: seconds, or a number with s, m, h or d
+    duration(raw) {
+        if (!/^\d+\s*(s|m|h|d)?$/.test(raw)) throw new Error('must look like 900, 15m, 2h or 7d');
+        return /^\d+$/.test(raw) ? parseInt(raw, 10) : raw.replace(/\s+/g, '');
+    },
+
+    timezone(raw) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: raw });
+        } catch (error) {
+            throw new Error('is not a known IANA timezone');
+        }
+        return raw;
+    },
+
+    // "true" trusts one proxy hop, a number that many, "false" none
+    trustProxy(raw) {
+        if (raw.toLowerCase() === 'true') return 1;
+        if (raw.toLowerCase() === 'false') return false;
+        return TYPES.integer(raw, { min: 0 });
+    },
+
+    // "type=days" pairs; a trailing * matches a prefix: "image_view=30,admin_*=365"
+    retentionPolicy(raw) {
+        const policy = {};
+        raw.split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+            const [type, days] = pair.split('=').map(part => part.trim());
+            if (!type || !/^\d+$/.test(days || '') || parseInt(days, 10) < 1) {
+                throw new Error(`entry "${pair}" must look like type=days`);
+            }
+            policy[type] = parseInt(days, 10);
+        });
+        return policy;
+    },
+
+    // A bcrypt hash as printed by "node server.js create-owner" or bcrypt.hashSync
+    bcryptHash(raw) {
+        if (!/^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/.test(raw)) throw new Error('is not a bcrypt hash');
+        return raw;
+    }
+};
+
+// **📋 SETTINGS**
+// key: where the value lands in the config object
+// env: variable name, or a list where the first one that is set wins
+// default: a value, or a function of the raw environment; profiles override it per NODE_ENV
+// secret: never printed by --print-config
+const SETTINGS = [
+    // Server
+    { key: 'server.port', env: 'PORT', type: 'integer', min: 1, max: 65535, default: 5000 },
+    { key: 'server.host', env: 'HOST', type: 'string', default: '0.0.0.0' },
+    { key: 'server.baseUrl', env: 'BASE_URL', type: 'url', default: env => `http://localhost:${env.PORT || 5000}` },
+    { key: 'server.siteUrl', env: 'SITE_URL', type: 'url', default: 'http://localhost:3000' },
+    { key: 'server.trustProxy', env: 'TRUST_PROXY', type: 'trustProxy', default: false },
+    { key: 'server.timezone', env: 'BAKERY_TIMEZONE', type: 'timezone', default: 'Asia/Kolkata' },
+
+    // Cross-origin access
+    {
+        key: 'cors.origins', env: 'CORS_ORIGIN', type: 'origins', default: ['*'],
+        profiles: { production: null }
+    },
+    {
+        key: 'cors.credentials', env: 'CORS_CREDENTIALS', type: 'boolean',
+        // Browsers refuse credentials with "*" anyway, so they are only on once the origins are listed
+        default: env => Boolean(env.CORS_ORIGIN) && !env.CORS_ORIGIN.split(',').some(origin => origin.trim() === '*')
+    },
+
+    // Admin authentication
+    {
+        key: 'auth.jwtSecret', env: 'JWT_SECRET', type: 'string', secret: true, default: DEVELOPMENT_JWT_SECRET,
+        profiles: { production: null }
+    },
+    { key: 'auth.adminUsername', env: 'ADMIN_USERNAME', type: 'string', default: 'warmdelights_admin' },
+    { key: 'auth.adminPassword', env: 'ADMIN_PASSWORD', type: 'string', secret: true, default: null },
+    { key: 'auth.adminPasswordHash', env: 'ADMIN_PASSWORD_HASH', type: 'bcryptHash', secret: true, default: null },
+    {
+        key: 'auth.bcryptRounds', env: 'BCRYPT_ROUNDS', type: 'integer', min: 4, max: 15, default: 12,
+        profiles: { test: 4 }
+    },
+    { key: 'auth.accessTokenExpiresIn', env: 'JWT_EXPIRES_IN', type: 'duration', default: '15m' },
+    { key: 'auth.refreshTokenExpiresIn', env: 'REFRESH_TOKEN_EXPIRES_IN', type: 'duration', default: '7d' },
+    { key: 'auth.maxSessionsPerUser', env: 'MAX_SESSIONS_PER_USER', type: 'integer', min: 1, default: 5 },
+    { key: 'auth.sessionCleanupInterval', env: 'SESSION_CLEANUP_INTERVAL', type: 'integer', min: 1000, default: 30 * 60 * 1000 },
+
+    // Storage locations; relative paths are inside dataDir
+    { key: 'paths.dataDir', env: 'DATA_DIR', type: 'string', default: __dirname },
+    { key: 'paths.uploads', env: 'UPLOAD_PATH', type: 'string', default: 'uploads' },
+    { key: 'paths.trash', env: 'TRASH_PATH', type: 'string', default: 'trash' },
+    { key: 'paths.inquiryUploads', env: 'INQUIRY_UPLOAD_PATH', type: 'string', default: 'inquiry_uploads' },
+    { key: 'paths.reviewUploads', env: 'REVIEW_UPLOAD_PATH', type: 'string', default: 'review_uploads' },
+    { key: 'paths.backups', env: 'BACKUP_LOCATION', type: 'string', default: 'backups' },
+
+    // How the data files are written
+    { key: 'storage.backend', env: 'STORAGE_BACKEND', type: 'enum', values: ['json', 'log'], default: 'json' },
+    { key: 'storage.flushDelay', env: 'STORAGE_FLUSH_DELAY', type: 'integer', min: 0, default: 1000 },
+    { key: 'storage.compactThreshold', env: 'STORAGE_COMPACT_THRESHOLD', type: 'integer', min: 1, default: 1000 },
+
+    // Uploads
+    { key: 'uploads.maxFileSize', env: 'MAX_FILE_SIZE', type: 'integer', min: 1024, default: 10 * 1024 * 1024 },
+    { key: 'uploads.maxFiles', env: 'MAX_FILES_PER_REQUEST', type: 'integer', min: 1, max: 50, default: 5 },
+    {
+        key: 'uploads.allowedTypes', env: 'ALLOWED_FILE_TYPES', type: 'list', values: SUPPORTED_IMAGE_TYPES,
+        default: SUPPORTED_IMAGE_TYPES
+    },
+    { key: 'uploads.maxBackupSize', env: 'MAX_BACKUP_UPLOAD_SIZE', type: 'integer', min: 1024, default: 500 * 1024 * 1024 },
+
+    // Retention
+    { key: 'retention.analyticsDays', env: 'ANALYTICS_RETENTION_DAYS', type: 'integer', min: 1, default: 90 },
+    { key: 'retention.policy', env: 'RETENTION_POLICY', type: 'retentionPolicy', default: {} },
+    { key: 'retention.trashDays', env: 'TRASH_RETENTION_DAYS', type: 'integer', min: 1, default: 30 },
+
+    // Visitor privacy and traffic filtering
+    {
+        key: 'privacy.ipAnonymization', env: 'IP_ANONYMIZATION', type: 'enum', values: ['truncate', 'hash', 'drop', 'off'],
+        // TRACK_IP_ADDRESSES=false is the older name for "drop"
+        default: env => (env.TRACK_IP_ADDRESSES === 'false' ? 'drop' : 'truncate')
+    },
+    { key: 'privacy.storeUserAgents', env: 'ANALYTICS_STORE_USER_AGENT', type: 'boolean', default: true },
+    { key: 'analytics.viewDedupMinutes', env: 'VIEW_DEDUP_MINUTES', type: 'integer', min: 1, default: 30 },
+
+    // Email
+    {
+        key: 'mail.transport', env: 'MAIL_TRANSPORT', type: 'enum', values: ['smtp', 'json', 'stream', 'disabled'],
+        // Without a choice we use SMTP only when credentials exist
+        default: env => (env.EMAIL_USER && env.EMAIL_PASS ? 'smtp' : 'disabled'),
+        profiles: { test: 'disabled' }
+    },
+    { key: 'mail.user', env: 'EMAIL_USER', type: 'string', default: null },
+    { key: 'mail.pass', env: 'EMAIL_PASS', type: 'string', secret: true, default: null },
+    { key: 'mail.service', env: 'EMAIL_SERVICE', type: 'string', default: 'gmail' },
+    { key: 'mail.smtpHost', env: 'SMTP_HOST', type: 'string', default: null },
+    { key: 'mail.smtpPort', env: 'SMTP_PORT', type: 'integer', min: 1, max: 65535, default: 587 },
+    { key: 'mail.smtpSecure', env: 'SMTP_SECURE', type: 'boolean', default: false },
+    { key: 'mail.fromName', env: 'EMAIL_FROM_NAME', type: 'string', default: 'Warm Delights' },
+    { key: 'mail.contactRecipient', env: ['CONTACT_RECIPIENT', 'EMAIL_REPLY_TO', 'EMAIL_USER'], type: 'string', default: null },
+    { key: 'mail.autoAcknowledge', env: 'CONTACT_AUTO_ACK', type: 'boolean', default: false },
+
+    // Background jobs
+    { key: 'backups.enabled', env: 'BACKUP_ENABLED', type: 'boolean', default: false },
+    { key: 'backups.interval', env: 'BACKUP_INTERVAL', type: 'integer', min: 60 * 1000, default: 24 * 60 * 60 * 1000 },
+    { key: 'backups.keep', env: 'MAX_BACKUPS', type: 'integer', min: 1, default: 7 },
+    { key: 'webhooks.maxAttempts', env: 'WEBHOOK_MAX_ATTEMPTS', type: 'integer', min: 1, default: 8 },
+    { key: 'webhooks.retryBase', env: 'WEBHOOK_RETRY_BASE', type: 'integer', min: 1000, default: 30 * 1000 },
+    { key: 'newsletter.sendInterval', env: 'NEWSLETTER_SEND_INTERVAL', type: 'integer', min: 0, default: 1000 },
+    { key: 'stream.statsInterval', env: 'STREAM_STATS_INTERVAL', type: 'integer', min: 1000, default: 30 * 1000 }
+];
+
+function envNames(setting) {
+    return Array.isArray(setting.env) ? setting.env : [setting.env];
+}
+
+function setPath(target, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((node, part) => (node[part] = node[part] || {}), target);
+    parent[last] = value;
+}
+
+// Reads every setting without throwing: { profile, config, sources, problems }
+// sources maps each key to the variable it came from, or to "default" / "<profile> profile"
+function resolveConfig(env = process.env) {
+    const problems = [];
+    const sources = {};
+    const config = {};
+
+    const profile = env.NODE_ENV || 'development';
+    if (!PROFILES.includes(profile)) {
+        problems.push(`NODE_ENV must be one of ${PROFILES.join(', ')} (got "${profile}")`);
+    }
+    config.profile = profile;
+
+    SETTINGS.forEach(setting => {
+        const name = envNames(setting).find(candidate => env[candidate] !== undefined && env[candidate].trim() !== '');
+        let value;
+
+        if (name) {
+            sources[setting.key] = name;
+            try {
+                value = TYPES[setting.type](env[name].trim(), setting);
+            } catch (error) {
+                problems.push(`${name} ${error.message}`);
+                value = null;
+            }
+        } else if (setting.profiles && setting.profiles[profile] !== undefined) {
+            value = setting.profiles[profile];
+            sources[setting.key] = `${profile} profile`;
+        } else {
+            value = typeof setting.default === 'function' ? setting.default(env) : setting.default;
+            sources[setting.key] = 'default';
+        }
+
+        setPath(config, setting.key, value);
+    });
+
+    config.paths.dataDir = path.resolve(config.paths.dataDir);
+    problems.push(...checkConfig(config));
+
+    return { profile, config, sources, problems };
+}
+
+// Rules that involve more than one setting, or that depend on the profile
+function checkConfig(config) {
+    const problems = [];
+
+    if (config.mail.transport === 'smtp' && !(config.mail.user && config.mail.pass)) {
+        problems.push('MAIL_TRANSPORT=smtp needs EMAIL_USER and EMAIL_PASS');
+    }
+
+    if (config.cors.credentials && config.cors.origins && config.cors.origins.includes('*')) {
+        problems.push('CORS_CREDENTIALS=true cannot be combined with CORS_ORIGIN="*"; list the allowed origins instead');
+    }
+
+    if (config.profile === 'production') {
+        const secret = config.auth.jwtSecret;
+        if (!secret) {
+            problems.push('JWT_SECRET must be set in production');
+        } else if (secret === DEVELOPMENT_JWT_SECRET) {
+            problems.push('JWT_SECRET is a published default; generate a new one (e.g. openssl rand -hex 32)');
+        } else if (secret.length < MIN_PRODUCTION_SECRET_LENGTH) {
+            problems.push(`JWT_SECRET must be at least ${MIN_PRODUCTION_SECRET_LENGTH} characters in production`);
+        }
+
+        if (config.auth.adminPassword === PUBLISHED_ADMIN_PASSWORD) {
+            problems.push('ADMIN_PASSWORD is a published default; choose another or use ADMIN_PASSWORD_HASH');
+        }
+        if (config.auth.adminPasswordHash && bcrypt.compareSync(PUBLISHED_ADMIN_PASSWORD, config.auth.adminPasswordHash)) {
+            problems.push('ADMIN_PASSWORD_HASH is the hash of a published default password; choose another');
+        }
+
+        if (!config.cors.origins || config.cors.origins.length === 0) {
+            problems.push('CORS_ORIGIN must list the allowed origins in production, e.g. https://warmdelights.com');
+        } else if (config.cors.origins.includes('*')) {
+            problems.push('CORS_ORIGIN cannot be "*" in production; list the allowed origins instead');
+        }
+    }
+
+    return problems;
+}
+
+// The checked configuration; throws an INVALID_CONFIG error whose `problems` lists every issue
+function loadConfig(env = process.env) {
+    const { config, problems } = resolveConfig(env);
+
+    if (problems.length > 0) {
+        const error = new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        error.code = 'INVALID_CONFIG';
+        error.problems = problems;
+        throw error;
+    }
+
+    return config;
+}
+
+// Copy of the config with every secret that is set replaced by "[redacted]"
+function redactConfig(config) {
+    const copy = JSON.parse(JSON.stringify(config));
+    SETTINGS.filter(setting => setting.secret).forEach(setting => {
+        const parts = setting.key.split('.');
+        const parent = copy[parts[0]];
+        if (parent && parent[parts[1]]) parent[parts[1]] = '[redacted]';
+    });
+    return copy;
+}
+
+// Lines for --print-config: each setting, its effective value and where it came from
+function formatConfig(env = process.env) {
+    const { profile, config, sources, problems } = resolveConfig(env);
+    const redacted = redactConfig(config);
+    const width = Math.max(...SETTINGS.map(setting => setting.key.length));
+
+    const lines = [`⚙️ Effective configuration (${profile} profile)`];
+    SETTINGS.forEach(setting => {
+        const [group, name] = setting.key.split('.');
+        const value = redacted[group][name];
+        const shown = value === null ? '(not set)' : JSON.stringify(value);
+        lines.push(`  ${setting.key.padEnd(width)}  ${shown}  [${sources[setting.key]}]`);
+    });
+
+    if (problems.length > 0) {
+        lines.push('', '❌ Problems:');
+        problems.forEach(problem => lines.push(`  - ${problem}`));
+    }
+
+    return { text: lines.join('\n'), ok: problems.length === 0 };
+}
+
+module.exports = {
+    SETTINGS,
+    SUPPORTED_IMAGE_TYPES,
+    loadConfig,
+    resolveConfig,
+    redactConfig,
+    formatConfig
+};
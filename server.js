@@ -4,679 +4,8630 @@ const bodyParser = require('body-parser');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Readable, pipeline } = require('stream');
+const { EventEmitter } = require('events');
+const net = require('net');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const rateLimit = require('express-rate-limit');
+const nodemailer = require('nodemailer');
 
 // Load environment variables
 require('dotenv').config();
 
-const app = express();
-const PORT = process.env.PORT || 5000;
+const { loadConfig, formatConfig } = require('./config');
 
-// Security configuration
-const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'warmdelights_admin';
-const ADMIN_PASSWORD = 'SecurePass@2025!'; // Default password
-const JWT_SECRET = process.env.JWT_SECRET || 'warmdelights-secret-key-2025';
+// **💾 STORAGE BACKENDS**
+// Every store keeps its collections in memory and tells a backend what changed:
+//   load()                     -> { collection: value } read from disk
+//   bind(getSnapshot)          -> how the backend reads the current in-memory state
+//   markChanged(collection)    -> the collection was modified or replaced
+//   append(collection, record) -> one record was pushed onto a list collection
+//   flush() / flushSync()      -> persist pending changes now
+// The type option selects "json" (atomic whole-file writes) or "log" (append-only log with compaction);
+// createApp passes the storage settings from config.js.
+const DEFAULT_FLUSH_DELAY = 1000;
+const DEFAULT_COMPACT_THRESHOLD = 1000;
 
-// **🌍 GLOBAL SERVER STORAGE CLASS**
-class GlobalImageStorage {
-    constructor() {
-        this.uploadDir = path.join(__dirname, 'uploads');
-        this.dataFile = path.join(__dirname, 'global_gallery.json');
-        this.images = [];
-        this.analyticsEvents = [];
-        this.init();
+class JsonFileBackend {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.fileMode = options.fileMode || 0o644;
+        this.flushDelay = options.flushDelay !== undefined ? options.flushDelay : DEFAULT_FLUSH_DELAY;
+        this.logger = options.logger || console;
+        this.getSnapshot = () => ({});
+        this.dirty = false;
+        this.flushTimer = null;
+        this.flushing = null;
+        this.tmpCounter = 0;
+        this.generation = 0;
+        this.committedGeneration = 0;
     }
 
-    init() {
-        // Ensure uploads directory exists
-        this.ensureUploadsDir();
+    bind(getSnapshot) {
+        this.getSnapshot = getSnapshot;
+    }
+
+    // A file that no longer parses is moved aside as "<file>.corrupt-<time>" rather than being
+    // overwritten by the next save, and the store starts empty. Other read errors are thrown.
+    load() {
+        if (!fs.existsSync(this.filePath)) return {};
+
+        const contents = fs.readFileSync(this.filePath, 'utf8');
+        try {
+            return JSON.parse(contents);
+        } catch (error) {
+            const quarantinePath = `${this.filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+            fs.renameSync(this.filePath, quarantinePath);
+            this.logger.error(`🚨 ${path.basename(this.filePath)} is corrupt (${error.message}); ` +
+                `quarantined as ${path.basename(quarantinePath)}`);
+            return {};
+        }
+    }
+
+    markChanged() {
+        this.dirty = true;
+        this.scheduleFlush();
+    }
+
+    append() {
+        this.markChanged();
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, this.flushDelay);
+        this.flushTimer.unref();
+    }
+
+    serialize() {
+        return JSON.stringify({
+            ...this.getSnapshot(),
+            lastUpdated: new Date().toISOString()
+        }, null, 2);
+    }
+
+    tmpPath() {
+        return `${this.filePath}.${process.pid}.${++this.tmpCounter}.tmp`;
+    }
+
+    // Write to a temp file, fsync, then rename over the target so readers never see a half-written file
+    flush() {
+        if (this.flushing) {
+            return this.flushing.then(() => this.flush());
+        }
+        if (!this.dirty) return Promise.resolve();
+
+        this.dirty = false;
+        const generation = ++this.generation;
+        const contents = this.serialize();
+        const tmpPath = this.tmpPath();
+
+        this.flushing = (async () => {
+            const handle = await fs.promises.open(tmpPath, 'w', this.fileMode);
+            try {
+                await handle.writeFile(contents);
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+
+            // A synchronous flush may have committed newer data while we were writing
+            if (generation < this.committedGeneration) {
+                await fs.promises.unlink(tmpPath);
+                return;
+            }
+            await fs.promises.rename(tmpPath, this.filePath);
+            this.committedGeneration = generation;
+        })()
+            .catch(error => {
+                this.logger.error(`❌ Error saving ${path.basename(this.filePath)}:`, error);
+                fs.promises.unlink(tmpPath).catch(() => {});
+                this.dirty = true;
+            })
+            .finally(() => {
+                this.flushing = null;
+                if (this.dirty) this.scheduleFlush();
+            });
+
+        return this.flushing;
+    }
+
+    flushSync() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        if (!this.dirty) return;
+
+        this.dirty = false;
+        const generation = ++this.generation;
+        const tmpPath = this.tmpPath();
+
+        try {
+            const fd = fs.openSync(tmpPath, 'w', this.fileMode);
+            try {
+                fs.writeSync(fd, this.serialize());
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(tmpPath, this.filePath);
+            this.committedGeneration = generation;
+        } catch (error) {
+            this.logger.error(`❌ Error saving ${path.basename(this.filePath)}:`, error);
+            this.dirty = true;
+        }
+    }
+}
+
+// Keeps a JSON snapshot (same format as JsonFileBackend) plus a ".log" of JSON lines written since.
+// Each line carries a sequence number; the snapshot records the last one it includes, so a crash
+// between writing a snapshot and truncating the log never replays entries twice.
+class AppendLogBackend {
+    constructor(filePath, options = {}) {
+        this.snapshot = new JsonFileBackend(filePath, { ...options, flushDelay: 0 });
+        this.logPath = filePath.replace(/\.json$/, '') + '.log';
+        this.fileMode = options.fileMode || 0o644;
+        this.flushDelay = options.flushDelay !== undefined ? options.flushDelay : DEFAULT_FLUSH_DELAY;
+        this.compactThreshold = options.compactThreshold || DEFAULT_COMPACT_THRESHOLD;
+        this.logger = options.logger || console;
+        this.getSnapshot = () => ({});
+        this.pending = [];
+        this.retryChunk = '';
+        this.sequence = 0;
+        this.loggedEntries = 0;
+        this.flushTimer = null;
+        this.writing = Promise.resolve();
+    }
+
+    bind(getSnapshot) {
+        this.getSnapshot = getSnapshot;
+        this.snapshot.bind(() => ({ ...getSnapshot(), logSequence: this.sequence }));
+    }
+
+    load() {
+        const data = this.snapshot.load();
+        const snapshotSequence = data.logSequence || 0;
+        this.sequence = snapshotSequence;
+        delete data.logSequence;
+
+        if (!fs.existsSync(this.logPath)) return data;
+
+        const lines = fs.readFileSync(this.logPath, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // Only the last line can be torn by a crash mid-append
+                this.logger.warn(`⚠️ Skipping unreadable entry in ${path.basename(this.logPath)}`);
+                continue;
+            }
+
+            this.loggedEntries++;
+            if (entry.s <= snapshotSequence) continue;
+
+            if (entry.op === 'append') {
+                (data[entry.c] = data[entry.c] || []).push(entry.v);
+            } else {
+                data[entry.c] = entry.v;
+            }
+            this.sequence = entry.s;
+        }
+
+        return data;
+    }
+
+    // A pending "set" is resolved when it is written, so it already covers any earlier or later
+    // appends to the same collection in this batch; those are dropped instead of being logged twice
+    markChanged(collection) {
+        this.pending = this.pending.filter(entry => entry.c !== collection);
+        this.pending.push({ op: 'set', c: collection });
+        this.scheduleFlush();
+    }
+
+    append(collection, record) {
+        if (this.pending.some(entry => entry.op === 'set' && entry.c === collection)) return;
+        this.pending.push({ op: 'append', c: collection, v: record });
+        this.scheduleFlush();
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, this.flushDelay);
+        this.flushTimer.unref();
+    }
+
+    takePending() {
+        const snapshot = this.pending.some(entry => entry.op === 'set') ? this.getSnapshot() : null;
+        const lines = this.pending.map(entry => JSON.stringify({
+            s: ++this.sequence,
+            op: entry.op,
+            c: entry.c,
+            v: entry.op === 'set' ? snapshot[entry.c] : entry.v
+        }));
+        this.pending = [];
+
+        // Lines from a failed write go first so sequence numbers stay in order
+        const chunk = this.retryChunk + (lines.length > 0 ? lines.join('\n') + '\n' : '');
+        this.retryChunk = '';
+        return { chunk, count: chunk ? chunk.split('\n').length - 1 : 0 };
+    }
+
+    flush() {
+        this.writing = this.writing.then(async () => {
+            const { chunk, count } = this.takePending();
+            if (!count) return;
+
+            try {
+                await fs.promises.appendFile(this.logPath, chunk, { mode: this.fileMode });
+                this.loggedEntries += count;
+            } catch (error) {
+                this.logger.error(`❌ Error appending to ${path.basename(this.logPath)}:`, error);
+                this.retryChunk = chunk;
+                this.scheduleFlush();
+                return;
+            }
+
+            if (this.loggedEntries >= this.compactThreshold) {
+                this.compact();
+            }
+        });
+        return this.writing;
+    }
+
+    flushSync() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        const { chunk, count } = this.takePending();
+        if (!count) return;
+
+        try {
+            fs.appendFileSync(this.logPath, chunk, { mode: this.fileMode });
+            this.loggedEntries += count;
+        } catch (error) {
+            this.logger.error(`❌ Error appending to ${path.basename(this.logPath)}:`, error);
+            this.retryChunk = chunk;
+        }
+    }
+
+    // Folds the log into a fresh snapshot; everything still pending is covered by the snapshot too
+    compact() {
+        this.snapshot.markChanged();
+        this.snapshot.flushSync();
+        if (this.snapshot.dirty) return;
+
+        this.pending = [];
+        this.retryChunk = '';
+
+        try {
+            fs.writeFileSync(this.logPath, '', { mode: this.fileMode });
+            this.logger.log(`🗜️ Compacted ${this.loggedEntries} log entries into ${path.basename(this.snapshot.filePath)}`);
+            this.loggedEntries = 0;
+        } catch (error) {
+            this.logger.error(`❌ Error truncating ${path.basename(this.logPath)}:`, error);
+        }
+    }
+}
+
+function createStorageBackend(filePath, options = {}) {
+    const type = options.type || 'json';
+    let backend;
+
+    if (type === 'json') {
+        backend = new JsonFileBackend(filePath, options);
+    } else if (type === 'log') {
+        backend = new AppendLogBackend(filePath, options);
+    } else {
+        throw new Error(`Unknown STORAGE_BACKEND "${type}" (expected "json" or "log")`);
+    }
+
+    return backend;
+}
+
+// **🪝 WEBHOOK SIGNATURES**
+// Shared by outgoing deliveries and the webhook-receiver command
+const WEBHOOK_SIGNATURE_HEADER = 'X-WarmDelights-Signature';
+
+function signWebhookPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+// For receivers: checks the signature and rejects anything older than the tolerance (replays)
+function verifyWebhookSignature(secret, header, body, toleranceSeconds = 300) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    const timestamp = parseInt(parts.t, 10);
+    if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+    const expected = Buffer.from(signWebhookPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+    const actual = Buffer.from(parts.v1, 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// **🏭 APP FACTORY**
+// Everything that holds state is built inside createApp, so each call gets its own storage,
+// sessions, mailer and rate limits. Settings come from options.config (loadConfig() from config.js
+// by default); the other options override single settings:
+//   dataDir            folder for data files, uploads and backups (config: paths.dataDir)
+//   jwtSecret          signs admin and newsletter tokens
+//   adminUsername, adminPassword or adminPasswordHash   seed the first owner account
+//   bcryptRounds       cost of password hashes
+//   mailTransport      smtp, json, stream, disabled, or a nodemailer transport object
+//   clock              returns the current time in ms, like Date.now
+//   logger             receives log, warn and error calls (default: console)
+// Nothing listens and no timers run until startServer() is called with the app.
+function createApp(options = {}) {
+    const config = options.config || loadConfig();
+    const dataDir = path.resolve(options.dataDir || config.paths.dataDir);
+    const clock = options.clock || Date.now;
+    const logger = options.logger || console;
+    const ADMIN_USERNAME = options.adminUsername || config.auth.adminUsername;
+    const JWT_SECRET = options.jwtSecret || config.auth.jwtSecret;
+    // Passing either credential option ignores both configured ones, so tests never pick up a real hash
+    const ADMIN_CREDENTIALS = options.adminPassword || options.adminPasswordHash
+        ? { password: options.adminPassword, passwordHash: options.adminPasswordHash }
+        : { password: config.auth.adminPassword, passwordHash: config.auth.adminPasswordHash };
+    const STORAGE_OPTIONS = {
+        type: config.storage.backend,
+        flushDelay: config.storage.flushDelay,
+        compactThreshold: config.storage.compactThreshold,
+        logger: logger
+    };
+
+    const app = express();
+    app.locals.config = config;
+
+    // **🌍 GLOBAL SERVER STORAGE CLASS**
+    // Emits "event" with each tracked analytics event, for live listeners such as the admin stream
+    class GlobalImageStorage extends EventEmitter {
+        constructor() {
+            super();
+            this.uploadDir = path.resolve(dataDir, config.paths.uploads);
+            this.trashDir = path.resolve(dataDir, config.paths.trash);
+            this.inquiryDir = path.resolve(dataDir, config.paths.inquiryUploads);
+            this.reviewDir = path.resolve(dataDir, config.paths.reviewUploads);
+            this.dataFile = path.join(dataDir, 'global_gallery.json');
+            this.images = [];
+            this.analyticsEvents = [];
+            this.products = [];
+            this.orders = [];
+            this.orderIdCounter = 1;
+            this.messages = [];
+            this.analyticsRollups = {};
+            this.albums = [];
+            this.trash = [];
+            this.inquiries = [];
+            this.schedule = defaultSchedule();
+            this.reviews = [];
+            this.subscribers = [];
+            this.campaigns = [];
+            this.lastEventId = 0;
+            this.backend = createStorageBackend(this.dataFile, STORAGE_OPTIONS);
+            this.backend.bind(() => this.getSnapshot());
+            this.init();
+        }
+
+        init() {
+            // Ensure uploads directory exists
+            this.ensureUploadsDir();
+
+            // Load persistent data
+            this.loadGalleryData();
+
+            logger.log(`✅ Global Storage initialized with ${this.images.length} images`);
+            logger.log(`📊 Loaded ${this.analyticsEvents.length} analytics events`);
+        }
+
+        ensureUploadsDir() {
+            try {
+                if (!fs.existsSync(this.uploadDir)) {
+                    fs.mkdirSync(this.uploadDir, { recursive: true });
+                    logger.log('✅ Global uploads directory created:', this.uploadDir);
+                }
+                // Trashed files live outside uploads/ so the static handler can't serve them
+                if (!fs.existsSync(this.trashDir)) {
+                    fs.mkdirSync(this.trashDir, { recursive: true });
+                }
+                // Customer reference photos and review photos are private too
+                [this.inquiryDir, this.reviewDir].forEach(dir => {
+                    if (!fs.existsSync(dir)) {
+                        fs.mkdirSync(dir, { recursive: true });
+                    }
+                });
+            } catch (error) {
+                logger.error('❌ Error creating uploads directory:', error);
+                throw error;
+            }
+        }
+
+        // **💾 PERSISTENT GALLERY STORAGE**
+        loadGalleryData() {
+            try {
+                this.applySnapshot(this.backend.load());
+                logger.log('✅ Gallery data loaded from disk');
+            } catch (error) {
+                logger.error('❌ Error loading gallery data:', error);
+                this.applySnapshot({});
+            }
+        }
+
+        applySnapshot(parsed) {
+            this.images = parsed.images || [];
+            this.analyticsEvents = (parsed.analytics || []).slice(-10000);
+            this.products = parsed.products || [];
+            this.orders = parsed.orders || [];
+            this.orderIdCounter = parsed.orderIdCounter || 1;
+            this.messages = parsed.messages || [];
+            this.analyticsRollups = parsed.analyticsRollups || this.buildRollups(this.analyticsEvents);
+            this.albums = parsed.albums || [];
+            this.trash = parsed.trash || [];
+            this.inquiries = parsed.inquiries || [];
+            this.schedule = { ...defaultSchedule(), ...parsed.schedule };
+            this.reviews = parsed.reviews || [];
+            this.subscribers = parsed.subscribers || [];
+            this.campaigns = parsed.campaigns || [];
+        }
+
+        getSnapshot() {
+            return {
+                images: this.images,
+                analytics: this.analyticsEvents.slice(-5000), // Keep last 5000 events
+                products: this.products,
+                orders: this.orders,
+                orderIdCounter: this.orderIdCounter,
+                messages: this.messages,
+                analyticsRollups: this.analyticsRollups,
+                albums: this.albums,
+                trash: this.trash,
+                inquiries: this.inquiries,
+                schedule: this.schedule,
+                reviews: this.reviews,
+                subscribers: this.subscribers,
+                campaigns: this.campaigns
+            };
+        }
+
+        // Changes are batched by the backend; call saveGalleryData() to write immediately
+        persist(...collections) {
+            collections.forEach(collection => this.backend.markChanged(collection));
+        }
+
+        saveGalleryData() {
+            this.backend.flushSync();
+        }
+
+        // **🖼️ IMAGE MANAGEMENT**
+        addImage(imageData) {
+            const image = {
+                id: clock() + Math.floor(Math.random() * 1000),
+                filename: imageData.filename,
+                originalName: imageData.originalName,
+                uploadedBy: imageData.uploadedBy,
+                size: imageData.size,
+                mimeType: imageData.mimeType,
+                width: imageData.width || null,
+                height: imageData.height || null,
+                contentHash: imageData.contentHash || null,
+                duplicateOf: imageData.duplicateOf || null,
+                uploadedAt: new Date(clock()).toISOString(),
+                views: 0,
+                isPublic: imageData.isPublic !== false,
+                url: `/uploads/${imageData.filename}`,
+                alt: `Warm Delights - ${imageData.originalName}`,
+                caption: '',
+                tags: [],
+                sortOrder: this.images.reduce((max, img) => Math.max(max, img.sortOrder || 0), 0) + 1
+            };
+
+            this.images.push(image);
+            this.persist('images');
+
+            logger.log(`✅ Image added to global storage: ${image.filename}`);
+            return image;
+        }
+
+        removeImage(imageId) {
+            const imageIndex = this.images.findIndex(img => img.id == imageId);
+            if (imageIndex === -1) return null;
+
+            const [removedImage] = this.images.splice(imageIndex, 1);
+
+            // Unlink the image from any products and albums that reference it
+            this.products.forEach(product => {
+                product.imageIds = product.imageIds.filter(id => id != removedImage.id);
+            });
+            this.albums.forEach(album => {
+                album.imageIds = album.imageIds.filter(id => id != removedImage.id);
+                if (album.coverImageId == removedImage.id) album.coverImageId = null;
+            });
+
+            this.persist('images', 'products', 'albums');
+
+            logger.log(`✅ Image removed from global storage: ${removedImage.filename}`);
+            return removedImage;
+        }
+
+        // **🗑️ TRASH**
+        // Moves an image and its file into the trash, remembering where it was used so restore can put it back
+        trashImage(imageId, deletedBy) {
+            const image = this.getImage(imageId);
+            if (!image) return null;
+
+            const memberships = {
+                albums: this.albums
+                    .filter(album => album.imageIds.some(id => id == image.id) || album.coverImageId == image.id)
+                    .map(album => ({
+                        albumId: album.id,
+                        position: album.imageIds.findIndex(id => id == image.id),
+                        wasCover: album.coverImageId == image.id
+                    })),
+                products: this.products
+                    .filter(product => product.imageIds.some(id => id == image.id))
+                    .map(product => product.id)
+            };
+
+            this.moveFile(path.join(this.uploadDir, image.filename), path.join(this.trashDir, image.filename));
+            this.removeImage(image.id);
+
+            const trashed = {
+                ...image,
+                deletedAt: new Date(clock()).toISOString(),
+                deletedBy: deletedBy,
+                memberships: memberships
+            };
+            this.trash.push(trashed);
+            this.persist('trash');
+
+            logger.log(`🗑️ Image moved to trash: ${image.filename}`);
+            return trashed;
+        }
+
+        getTrashedImage(imageId) {
+            return this.trash.find(img => img.id == imageId) || null;
+        }
+
+        restoreImage(imageId) {
+            const trashed = this.getTrashedImage(imageId);
+            if (!trashed) return null;
+
+            const { deletedAt, deletedBy, memberships, ...image } = trashed;
+
+            this.moveFile(path.join(this.trashDir, image.filename), path.join(this.uploadDir, image.filename));
+            this.trash = this.trash.filter(img => img !== trashed);
+            this.images.push(image);
+
+            // Put the image back into albums and products that still exist
+            (memberships.albums || []).forEach(({ albumId, position, wasCover }) => {
+                const album = this.getAlbum(albumId);
+                if (!album) return;
+                if (position !== -1 && !album.imageIds.includes(image.id)) {
+                    album.imageIds.splice(Math.min(position, album.imageIds.length), 0, image.id);
+                }
+                if (wasCover && !album.coverImageId) album.coverImageId = image.id;
+            });
+            (memberships.products || []).forEach(productId => {
+                const product = this.getProduct(productId);
+                if (product && !product.imageIds.includes(image.id)) product.imageIds.push(image.id);
+            });
+
+            this.persist('images', 'trash', 'albums', 'products');
+
+            logger.log(`♻️ Image restored from trash: ${image.filename}`);
+            return image;
+        }
+
+        purgeTrashedImage(imageId) {
+            const trashed = this.getTrashedImage(imageId);
+            if (!trashed) return null;
+
+            try {
+                fs.unlinkSync(path.join(this.trashDir, trashed.filename));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    logger.error('❌ File deletion error:', error);
+                }
+            }
+
+            this.trash = this.trash.filter(img => img !== trashed);
+            this.persist('trash');
+
+            logger.log(`✅ Image permanently deleted: ${trashed.filename}`);
+            return trashed;
+        }
+
+        purgeExpiredTrash(retentionDays) {
+            const cutoff = clock() - retentionDays * 24 * 60 * 60 * 1000;
+            const expired = this.trash.filter(img => new Date(img.deletedAt).getTime() < cutoff);
+
+            expired.forEach(img => this.purgeTrashedImage(img.id));
+            return expired;
+        }
+
+        // A missing source file is not an error: the record is still worth trashing or restoring
+        moveFile(from, to) {
+            try {
+                fs.renameSync(from, to);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                logger.warn(`⚠️ File not found while moving: ${path.basename(from)}`);
+            }
+        }
+
+        // Adds records from a backup that are not already present (matched by id, or by filename for
+        // images) and returns what was added, so the caller knows which upload files to copy in
+        mergeSnapshot(data) {
+            const result = { images: [], trash: [], inquiries: [], reviews: [], subscribers: 0, campaigns: 0, products: 0, orders: 0, messages: 0, albums: 0, analyticsEvents: 0 };
+            const knownFilenames = new Set([...this.images, ...this.trash].map(img => img.filename));
+
+            const mergeById = (target, incoming, accept = () => true) => {
+                const knownIds = new Set(target.map(record => String(record.id)));
+                const added = (incoming || []).filter(record => !knownIds.has(String(record.id)) && accept(record));
+                target.push(...added);
+                return added;
+            };
+
+            const acceptImage = img => !knownFilenames.has(img.filename);
+            result.images = mergeById(this.images, data.images, acceptImage);
+            result.trash = mergeById(this.trash, data.trash, acceptImage);
+            result.products = mergeById(this.products, data.products).length;
+            result.orders = mergeById(this.orders, data.orders,
+                order => !this.findOrderByReference(order.reference)).length;
+            result.messages = mergeById(this.messages, data.messages).length;
+            result.albums = mergeById(this.albums, data.albums, album => !this.findAlbumBySlug(album.slug)).length;
+            result.inquiries = mergeById(this.inquiries, data.inquiries,
+                inquiry => !this.findInquiryByReference(inquiry.reference));
+            result.reviews = mergeById(this.reviews, data.reviews);
+            result.subscribers = mergeById(this.subscribers, data.subscribers,
+                subscriber => !this.findSubscriberByEmail(subscriber.email)).length;
+            result.campaigns = mergeById(this.campaigns, data.campaigns).length;
+
+            const addedEvents = mergeById(this.analyticsEvents, data.analytics);
+            this.analyticsEvents.sort((a, b) => a.id - b.id);
+            this.analyticsEvents = this.analyticsEvents.slice(-10000);
+            result.analyticsEvents = addedEvents.length;
+
+            // Only days with no local rollup are taken over, so overlapping ranges are never counted twice
+            Object.entries(data.analyticsRollups || {}).forEach(([day, rollup]) => {
+                if (!this.analyticsRollups[day]) this.analyticsRollups[day] = rollup;
+            });
+
+            this.orderIdCounter = Math.max(this.orderIdCounter, data.orderIdCounter || 1);
+            this.persist('images', 'trash', 'inquiries', 'reviews', 'subscribers', 'campaigns', 'products', 'orders', 'orderIdCounter', 'messages', 'albums', 'analytics', 'analyticsRollups');
+
+            return result;
+        }
+
+        // **🩺 INTEGRITY**
+        // Files younger than this may still be mid-upload, so they are never reported as orphans
+        static get ORPHAN_GRACE_PERIOD() {
+            return 10 * 60 * 1000;
+        }
+
+        listFiles(dir) {
+            if (!fs.existsSync(dir)) return new Map();
+
+            return new Map(fs.readdirSync(dir)
+                .filter(name => !name.startsWith('.'))
+                .map(name => [name, fs.statSync(path.join(dir, name))])
+                .filter(([, stat]) => stat.isFile()));
+        }
+
+        checkIntegrity() {
+            const report = {
+                checkedAt: new Date(clock()).toISOString(),
+                orphanFiles: [],
+                missingFiles: [],
+                sizeMismatches: [],
+                quarantinedFiles: []
+            };
+
+            const locations = [
+                { location: 'uploads', dir: this.uploadDir, records: this.images },
+                { location: 'trash', dir: this.trashDir, records: this.trash }
+            ];
+
+            locations.forEach(({ location, dir, records }) => {
+                const files = this.listFiles(dir);
+                const referenced = new Set(records.map(record => record.filename));
+
+                records.forEach(record => {
+                    const stat = files.get(record.filename);
+                    if (!stat) {
+                        report.missingFiles.push({ id: record.id, filename: record.filename, location });
+                    } else if (record.size !== stat.size) {
+                        report.sizeMismatches.push({
+                            id: record.id,
+                            filename: record.filename,
+                            location: location,
+                            recordedSize: record.size,
+                            actualSize: stat.size
+                        });
+                    }
+                });
+
+                files.forEach((stat, filename) => {
+                    if (referenced.has(filename)) return;
+                    if (clock() - stat.mtimeMs < GlobalImageStorage.ORPHAN_GRACE_PERIOD) return;
+                    report.orphanFiles.push({
+                        filename: filename,
+                        location: location,
+                        size: stat.size,
+                        modifiedAt: stat.mtime.toISOString()
+                    });
+                });
+            });
+
+            const dataDir = path.dirname(this.dataFile);
+            report.quarantinedFiles = fs.readdirSync(dataDir).filter(name => /\.corrupt-/.test(name));
+
+            report.ok = report.orphanFiles.length === 0 &&
+                report.missingFiles.length === 0 &&
+                report.sizeMismatches.length === 0 &&
+                report.quarantinedFiles.length === 0;
+
+            return report;
+        }
+
+        // Applies the chosen fixes to a fresh report and returns what was done
+        async repairIntegrity({ importOrphans = false, pruneMissing = false, fixSizes = false } = {}, actor = 'integrity-check') {
+            const report = this.checkIntegrity();
+            const actions = { imported: [], skipped: [], pruned: [], resized: [] };
+
+            if (importOrphans) {
+                for (const orphan of report.orphanFiles) {
+                    const sourcePath = path.join(orphan.location === 'trash' ? this.trashDir : this.uploadDir, orphan.filename);
+                    const inspection = inspectImageBuffer(await fs.promises.readFile(sourcePath));
+
+                    if (!inspection.type) {
+                        actions.skipped.push({ filename: orphan.filename, reason: 'not a supported image' });
+                        continue;
+                    }
+
+                    if (orphan.location === 'trash') {
+                        this.moveFile(sourcePath, path.join(this.uploadDir, orphan.filename));
+                    }
+
+                    // Re-imported files stay private until an admin reviews them
+                    const image = this.addImage({
+                        filename: orphan.filename,
+                        originalName: orphan.filename,
+                        uploadedBy: actor,
+                        size: orphan.size,
+                        mimeType: inspection.type,
+                        width: inspection.dimensions ? inspection.dimensions.width : null,
+                        height: inspection.dimensions ? inspection.dimensions.height : null,
+                        contentHash: inspection.contentHash,
+                        isPublic: false
+                    });
+                    actions.imported.push({ id: image.id, filename: image.filename });
+                }
+            }
+
+            if (pruneMissing) {
+                report.missingFiles.forEach(missing => {
+                    if (missing.location === 'trash') {
+                        this.trash = this.trash.filter(record => record.id !== missing.id);
+                        this.persist('trash');
+                    } else {
+                        this.removeImage(missing.id);
+                    }
+                    actions.pruned.push(missing);
+                });
+            }
+
+            if (fixSizes) {
+                report.sizeMismatches.forEach(mismatch => {
+                    const records = mismatch.location === 'trash' ? this.trash : this.images;
+                    const record = records.find(r => r.id === mismatch.id);
+                    if (record) {
+                        record.size = mismatch.actualSize;
+                        actions.resized.push(mismatch);
+                    }
+                });
+                this.persist('images', 'trash');
+            }
+
+            return { before: report, actions: actions, after: this.checkIntegrity() };
+        }
+
+        getPublicImages() {
+            return this.images
+                .filter(img => img.isPublic)
+                .sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
+        }
+
+        getImage(imageId) {
+            return this.images.find(img => img.id == imageId) || null;
+        }
+
+        findImageByHash(contentHash) {
+            return this.images.find(img => img.contentHash === contentHash) || null;
+        }
+
+        // Fills in hash and dimensions for images uploaded before uploads were inspected
+        async backfillImageMetadata() {
+            let updated = 0;
+
+            for (const image of this.images.filter(img => !img.contentHash)) {
+                try {
+                    const buffer = await fs.promises.readFile(path.join(this.uploadDir, image.filename));
+                    const inspection = inspectImageBuffer(buffer);
+                    image.contentHash = inspection.contentHash;
+                    if (inspection.dimensions) {
+                        image.width = inspection.dimensions.width;
+                        image.height = inspection.dimensions.height;
+                    }
+                    updated++;
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        logger.error(`❌ Could not inspect ${image.filename}:`, error.message);
+                    }
+                }
+            }
+
+            if (updated > 0) {
+                this.persist('images');
+                logger.log(`✅ Backfilled metadata for ${updated} image(s)`);
+            }
+        }
+
+        // sort: "date" (newest first), "views" (most viewed first) or "order" (manual display order)
+        queryPublicImages({ tag, sort = 'date', page = 1, limit } = {}) {
+            const sorters = {
+                date: (a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt),
+                views: (a, b) => (b.views || 0) - (a.views || 0),
+                order: (a, b) => (a.sortOrder || 0) - (b.sortOrder || 0)
+            };
+
+            const matching = this.getPublicImages()
+                .filter(img => !tag || (img.tags || []).includes(tag))
+                .sort(sorters[sort]);
+
+            const images = limit ? matching.slice((page - 1) * limit, page * limit) : matching;
+            return { images, total: matching.length };
+        }
+
+        updateImage(imageId, changes) {
+            const image = this.getImage(imageId);
+            if (!image) return null;
+
+            Object.assign(image, changes, { updatedAt: new Date(clock()).toISOString() });
+            this.persist('images');
+
+            logger.log(`✅ Image updated in global storage: ${image.filename}`);
+            return image;
+        }
+
+        // Listed images take positions 1..n; any others keep their relative order after them
+        reorderImages(orderedIds) {
+            const position = new Map(orderedIds.map((id, index) => [Number(id), index]));
+            const unlisted = this.images
+                .filter(img => !position.has(img.id))
+                .sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0));
+
+            this.images.forEach(img => {
+                if (position.has(img.id)) img.sortOrder = position.get(img.id) + 1;
+            });
+            unlisted.forEach((img, index) => {
+                img.sortOrder = orderedIds.length + index + 1;
+            });
+
+            this.persist('images');
+            return this.images.slice().sort((a, b) => a.sortOrder - b.sortOrder);
+        }
+
+        incrementImageViews(filename) {
+            const image = this.images.find(img => img.filename === filename);
+            if (image) {
+                image.views = (image.views || 0) + 1;
+                this.persist('images');
+                return image.views;
+            }
+            return 0;
+        }
+
+        // **📚 ALBUMS**
+        getAlbum(albumId) {
+            return this.albums.find(album => album.id == albumId) || null;
+        }
+
+        findAlbumBySlug(slug) {
+            return this.albums.find(album => album.slug === slug) || null;
+        }
+
+        addAlbum(albumData) {
+            const now = new Date(clock()).toISOString();
+            const album = {
+                id: clock() + Math.floor(Math.random() * 1000),
+                imageIds: [],
+                coverImageId: null,
+                ...albumData,
+                createdAt: now,
+                updatedAt: now
+            };
+
+            this.albums.push(album);
+            this.persist('albums');
+
+            logger.log(`✅ Album created: ${album.slug}`);
+            return album;
+        }
+
+        updateAlbum(albumId, changes) {
+            const album = this.getAlbum(albumId);
+            if (!album) return null;
+
+            Object.assign(album, changes, { updatedAt: new Date(clock()).toISOString() });
+            this.persist('albums');
+            return album;
+        }
+
+        removeAlbum(albumId) {
+            const albumIndex = this.albums.findIndex(album => album.id == albumId);
+            if (albumIndex === -1) return null;
+
+            const [removedAlbum] = this.albums.splice(albumIndex, 1);
+            this.persist('albums');
+
+            logger.log(`✅ Album removed: ${removedAlbum.slug}`);
+            return removedAlbum;
+        }
+
+        // Public images of an album in album order
+        getAlbumImages(album) {
+            return album.imageIds
+                .map(id => this.getImage(id))
+                .filter(img => img && img.isPublic);
+        }
+
+        // **🧁 PRODUCT CATALOG**
+        getProducts(filters = {}) {
+            return this.products
+                .filter(product => !filters.category || product.category === filters.category)
+                .filter(product => filters.available === undefined || product.available === filters.available)
+                .sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name));
+        }
+
+        getProduct(productId) {
+            return this.products.find(product => product.id == productId) || null;
+        }
+
+        getProductCategories() {
+            const counts = {};
+            this.products.forEach(product => {
+                counts[product.category] = (counts[product.category] || 0) + 1;
+            });
+
+            return Object.keys(counts)
+                .sort()
+                .map(name => ({ name, products: counts[name] }));
+        }
+
+        addProduct(productData) {
+            const now = new Date(clock()).toISOString();
+            const product = {
+                id: clock() + Math.floor(Math.random() * 1000),
+                ...productData,
+                createdAt: now,
+                updatedAt: now
+            };
+
+            this.products.push(product);
+            this.persist('products');
+
+            logger.log(`✅ Product added to catalog: ${product.name}`);
+            return product;
+        }
+
+        updateProduct(productId, changes) {
+            const product = this.getProduct(productId);
+            if (!product) return null;
+
+            Object.assign(product, changes, { updatedAt: new Date(clock()).toISOString() });
+            this.persist('products');
+
+            logger.log(`✅ Product updated in catalog: ${product.name}`);
+            return product;
+        }
+
+        removeProduct(productId) {
+            const productIndex = this.products.findIndex(product => product.id == productId);
+            if (productIndex === -1) return null;
+
+            const [removedProduct] = this.products.splice(productIndex, 1);
+            this.persist('products');
+
+            logger.log(`✅ Product removed from catalog: ${removedProduct.name}`);
+            return removedProduct;
+        }
+
+        // **🧾 ORDER MANAGEMENT**
+        generateReference(prefix, records) {
+            // Short, unambiguous code customers can read out over the phone
+            const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+            let reference;
+            do {
+                reference = `${prefix}-`;
+                for (let i = 0; i < 6; i++) {
+                    reference += alphabet[Math.floor(Math.random() * alphabet.length)];
+                }
+            } while (records.some(record => record.reference === reference));
+            return reference;
+        }
+
+        generateOrderReference() {
+            return this.generateReference('WD', this.orders);
+        }
+
+        addOrder(orderData) {
+            const now = new Date(clock()).toISOString();
+            const order = {
+                id: this.orderIdCounter++,
+                reference: this.generateOrderReference(),
+                status: 'pending',
+                ...orderData,
+                history: [{ status: 'pending', at: now, by: 'customer' }],
+                createdAt: now,
+                updatedAt: now
+            };
+
+            this.orders.push(order);
+            this.persist('orders', 'orderIdCounter');
+
+            logger.log(`✅ Order placed: ${order.reference}`);
+            return order;
+        }
+
+        getOrder(orderId) {
+            return this.orders.find(order => order.id == orderId) || null;
+        }
+
+        findOrderByReference(reference) {
+            const normalized = String(reference).trim().toUpperCase();
+            return this.orders.find(order => order.reference === normalized) || null;
+        }
+
+        getOrders(filters = {}) {
+            const from = filters.from ? new Date(filters.from) : null;
+            const to = filters.to ? new Date(filters.to) : null;
+            const search = filters.search ? filters.search.toLowerCase() : null;
+
+            return this.orders
+                .filter(order => !filters.status || order.status === filters.status)
+                .filter(order => !from || new Date(order.createdAt) >= from)
+                .filter(order => !to || new Date(order.createdAt) <= to)
+                .filter(order => !search ||
+                    order.reference.toLowerCase().includes(search) ||
+                    order.customer.name.toLowerCase().includes(search) ||
+                    (order.customer.phone || '').includes(search))
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        }
+
+        updateOrderStatus(orderId, status, { by, note } = {}) {
+            const order = this.getOrder(orderId);
+            if (!order) return null;
+
+            const now = new Date(clock()).toISOString();
+            order.status = status;
+            order.updatedAt = now;
+            order.history.push({ status, at: now, by: by || 'system', note: note || undefined });
+            this.persist('orders');
+
+            logger.log(`✅ Order ${order.reference} moved to ${status}`);
+            return order;
+        }
+
+        // **🎂 CUSTOM CAKE INQUIRIES**
+        addInquiry(inquiryData) {
+            const now = new Date(clock()).toISOString();
+            const inquiry = {
+                id: clock() + Math.floor(Math.random() * 1000),
+                reference: this.generateReference('CK', this.inquiries),
+                status: 'new',
+                ...inquiryData,
+                quote: null,
+                history: [{ status: 'new', at: now, by: 'customer' }],
+                createdAt: now,
+                updatedAt: now
+            };
+
+            this.inquiries.push(inquiry);
+            this.persist('inquiries');
+
+            logger.log(`✅ Cake inquiry received: ${inquiry.reference}`);
+            return inquiry;
+        }
+
+        getInquiry(inquiryId) {
+            return this.inquiries.find(inquiry => inquiry.id == inquiryId) || null;
+        }
+
+        findInquiryByReference(reference) {
+            const normalized = String(reference).trim().toUpperCase();
+            return this.inquiries.find(inquiry => inquiry.reference === normalized) || null;
+        }
+
+        getInquiries(filters = {}) {
+            const search = filters.search ? filters.search.toLowerCase() : null;
+
+            return this.inquiries
+                .filter(inquiry => !filters.status || inquiry.status === filters.status)
+                .filter(inquiry => !search ||
+                    inquiry.reference.toLowerCase().includes(search) ||
+                    inquiry.customer.name.toLowerCase().includes(search) ||
+                    (inquiry.customer.email || '').toLowerCase().includes(search))
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        }
+
+        // changes may carry a new quote alongside the status
+        updateInquiryStatus(inquiryId, status, { by, note, quote } = {}) {
+            const inquiry = this.getInquiry(inquiryId);
+            if (!inquiry) return null;
+
+            const now = new Date(clock()).toISOString();
+            inquiry.status = status;
+            inquiry.updatedAt = now;
+            if (quote) inquiry.quote = quote;
+            inquiry.history.push({ status, at: now, by: by || 'system', note: note || undefined });
+            this.persist('inquiries');
+
+            logger.log(`✅ Inquiry ${inquiry.reference} moved to ${status}`);
+            return inquiry;
+        }
+
+        // **📅 BAKING SCHEDULE**
+        // Every active order or inquiry holding a slot uses one unit of that day's capacity, and of its
+        // time slot if it has one. Cancelled orders and declined inquiries stop counting, which is how
+        // capacity is given back.
+        getBookings(date) {
+            const orders = this.orders
+                .filter(order => order.slot && order.slot.date === date && order.status !== 'cancelled')
+                .map(order => ({
+                    source: 'order',
+                    id: order.id,
+                    reference: order.reference,
+                    slotId: order.slot.slotId,
+                    type: order.fulfilment.type,
+                    name: order.customer.name,
+                    status: order.status
+                }));
+
+            const inquiries = this.inquiries
+                .filter(inquiry => inquiry.slot && inquiry.slot.date === date && inquiry.status !== 'declined')
+                .map(inquiry => ({
+                    source: 'inquiry',
+                    id: inquiry.id,
+                    reference: inquiry.reference,
+                    slotId: inquiry.slot.slotId,
+                    type: null,
+                    name: inquiry.customer.name,
+                    status: inquiry.status
+                }));
+
+            return [...orders, ...inquiries];
+        }
+
+        // Capacity is only enforced once an admin sets a daily capacity or defines time slots
+        isCapacityManaged() {
+            return this.schedule.dailyCapacity !== null || this.schedule.slots.length > 0;
+        }
+
+        getDayAvailability(date) {
+            const schedule = this.schedule;
+            const today = bakeryToday();
+            const bookings = this.getBookings(date);
+            const override = schedule.capacityOverrides[date];
+            const capacity = override !== undefined ? override : schedule.dailyCapacity;
+            const blackout = schedule.blackouts.find(entry => entry.date === date);
+
+            let reason = null;
+            if (date < today) reason = 'past';
+            else if (date < addDays(today, schedule.minLeadDays)) reason = 'lead_time';
+            else if (blackout) reason = 'blackout';
+            else if (schedule.closedWeekdays.includes(new Date(`${date}T00:00:00Z`).getUTCDay())) reason = 'closed';
+
+            const slots = schedule.slots.map(slot => {
+                const remaining = Math.max(0, slot.capacity - bookings.filter(b => b.slotId === slot.id).length);
+                return {
+                    id: slot.id,
+                    label: slot.label,
+                    start: slot.start,
+                    end: slot.end,
+                    types: slot.types,
+                    remaining: reason ? 0 : remaining,
+                    available: !reason && remaining > 0
+                };
+            });
+
+            const remaining = capacity === null ? null : Math.max(0, capacity - bookings.length);
+            if (!reason && (remaining === 0 || (slots.length > 0 && !slots.some(slot => slot.available)))) {
+                reason = 'full';
+            }
+
+            return {
+                date: date,
+                available: reason === null,
+                reason: reason,
+                note: blackout ? blackout.reason : null,
+                capacity: capacity,
+                booked: bookings.length,
+                remaining: reason && reason !== 'full' ? 0 : remaining,
+                slots: slots
+            };
+        }
+
+        // Returns { slot } to store on the booking, or { error, status }. The caller must add the booking
+        // in the same tick (no await in between) so two requests can never both take the last unit.
+        checkSlot({ date, slotId, type }) {
+            if (!isValidDate(date)) {
+                return { status: 400, error: 'date must be in YYYY-MM-DD format' };
+            }
+
+            const day = this.getDayAvailability(date);
+            if (!day.available && day.reason !== 'full') {
+                return { status: 409, error: SLOT_UNAVAILABLE_MESSAGES[day.reason] + (day.note ? ` (${day.note})` : '') };
+            }
+            if (day.remaining === 0) {
+                return { status: 409, error: SLOT_UNAVAILABLE_MESSAGES.full };
+            }
+
+            // Inquiries book the day only; orders must also pick a time slot when slots exist
+            if (type === null || day.slots.length === 0) {
+                return { slot: { date: date, slotId: null } };
+            }
+
+            if (!slotId) {
+                return { status: 400, error: 'slotId is required for this date' };
+            }
+            const slot = day.slots.find(s => s.id === slotId);
+            if (!slot) {
+                return { status: 400, error: 'Unknown time slot' };
+            }
+            if (!slot.types.includes(type)) {
+                return { status: 400, error: `The ${slot.label} slot is not available for ${type}` };
+            }
+            if (!slot.available) {
+                return { status: 409, error: `The ${slot.label} slot is fully booked` };
+            }
+
+            return { slot: { date: date, slotId: slot.id } };
+        }
+
+        updateSchedule(changes) {
+            Object.assign(this.schedule, changes);
+            this.persist('schedule');
+            return this.schedule;
+        }
+
+        // **⭐ REVIEWS**
+        addReview(reviewData) {
+            const now = new Date(clock()).toISOString();
+            const review = {
+                id: clock() + Math.floor(Math.random() * 1000),
+                ...reviewData,
+                status: 'pending',
+                featured: false,
+                reply: null,
+                moderatedBy: null,
+                moderatedAt: null,
+                createdAt: now,
+                updatedAt: now
+            };
+
+            this.reviews.push(review);
+            this.persist('reviews');
+
+            logger.log(`✅ Review submitted: ${review.id}${review.spam.flagged ? ' (flagged)' : ''}`);
+            return review;
+        }
+
+        getReview(reviewId) {
+            return this.reviews.find(review => review.id == reviewId) || null;
+        }
+
+        getReviews(filters = {}) {
+            return this.reviews
+                .filter(review => !filters.status || review.status === filters.status)
+                .filter(review => filters.flagged === undefined || review.spam.flagged === filters.flagged)
+                .filter(review => !filters.productId || review.productId == filters.productId)
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        }
+
+        queryPublicReviews({ productId, featured, sort = 'recent', page = 1, limit = 10 } = {}) {
+            const sorters = {
+                recent: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+                rating: (a, b) => b.rating - a.rating || new Date(b.createdAt) - new Date(a.createdAt)
+            };
+
+            const matching = this.reviews
+                .filter(review => review.status === 'approved')
+                .filter(review => !productId || review.productId == productId)
+                .filter(review => !featured || review.featured)
+                .sort((a, b) => (b.featured - a.featured) || sorters[sort](a, b));
+
+            return {
+                reviews: matching.slice((page - 1) * limit, page * limit),
+                total: matching.length
+            };
+        }
+
+        // Average of approved reviews only
+        getRatingSummary(productId) {
+            const ratings = this.reviews
+                .filter(review => review.status === 'approved')
+                .filter(review => productId === undefined || review.productId == productId)
+                .map(review => review.rating);
+
+            const average = ratings.length
+                ? Math.round(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length * 10) / 10
+                : null;
+            return { average: average, count: ratings.length };
+        }
+
+        updateReview(reviewId, changes) {
+            const review = this.getReview(reviewId);
+            if (!review) return null;
+
+            Object.assign(review, changes, { updatedAt: new Date(clock()).toISOString() });
+            this.persist('reviews');
+            return review;
+        }
+
+        removeReview(reviewId) {
+            const index = this.reviews.findIndex(review => review.id == reviewId);
+            if (index === -1) return null;
+
+            const [removed] = this.reviews.splice(index, 1);
+            if (removed.photo) {
+                fs.promises.unlink(path.join(this.reviewDir, removed.photo.filename)).catch(() => {});
+            }
+            this.persist('reviews');
+            return removed;
+        }
+
+        // **💌 NEWSLETTER**
+        addSubscriber(subscriberData) {
+            const subscriber = {
+                id: clock() + Math.floor(Math.random() * 1000),
+                ...subscriberData,
+                status: 'pending',
+                confirmationSentAt: null,
+                confirmedAt: null,
+                unsubscribedAt: null,
+                lastSentAt: null,
+                failures: 0,
+                lastError: null,
+                createdAt: new Date(clock()).toISOString()
+            };
+
+            this.subscribers.push(subscriber);
+            this.persist('subscribers');
+            return subscriber;
+        }
+
+        getSubscriber(subscriberId) {
+            return this.subscribers.find(subscriber => subscriber.id == subscriberId) || null;
+        }
+
+        findSubscriberByEmail(email) {
+            const normalized = String(email).trim().toLowerCase();
+            return this.subscribers.find(subscriber => subscriber.email === normalized) || null;
+        }
+
+        getSubscribers(filters = {}) {
+            const search = filters.search ? filters.search.toLowerCase() : null;
+
+            return this.subscribers
+                .filter(subscriber => !filters.status || subscriber.status === filters.status)
+                .filter(subscriber => !search || subscriber.email.includes(search) ||
+                    (subscriber.name || '').toLowerCase().includes(search))
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        }
+
+        updateSubscriber(subscriberId, changes) {
+            const subscriber = this.getSubscriber(subscriberId);
+            if (!subscriber) return null;
+
+            Object.assign(subscriber, changes);
+            this.persist('subscribers');
+            return subscriber;
+        }
+
+        removeSubscriber(subscriberId) {
+            const index = this.subscribers.findIndex(subscriber => subscriber.id == subscriberId);
+            if (index === -1) return null;
+
+            const [removed] = this.subscribers.splice(index, 1);
+            this.persist('subscribers');
+            return removed;
+        }
+
+        addCampaign(campaignData) {
+            const now = new Date(clock()).toISOString();
+            const campaign = {
+                id: clock() + Math.floor(Math.random() * 1000),
+                ...campaignData,
+                status: 'draft',
+                recipients: [],
+                stats: { total: 0, sent: 0, failed: 0, skipped: 0 },
+                startedAt: null,
+                finishedAt: null,
+                createdAt: now,
+                updatedAt: now
+            };
+
+            this.campaigns.push(campaign);
+            this.persist('campaigns');
+            return campaign;
+        }
+
+        getCampaign(campaignId) {
+            return this.campaigns.find(campaign => campaign.id == campaignId) || null;
+        }
+
+        updateCampaign(campaignId, changes) {
+            const campaign = this.getCampaign(campaignId);
+            if (!campaign) return null;
+
+            Object.assign(campaign, changes, { updatedAt: new Date(clock()).toISOString() });
+            this.persist('campaigns');
+            return campaign;
+        }
+
+        // **📬 CONTACT INBOX**
+        addMessage(messageData) {
+            const message = {
+                id: clock() + Math.floor(Math.random() * 1000),
+                ...messageData,
+                status: 'new',
+                delivery: null,
+                acknowledgement: null,
+                createdAt: new Date(clock()).toISOString()
+            };
+
+            this.messages.push(message);
+            this.persist('messages');
+
+            logger.log(`✅ Contact message stored: ${message.id}`);
+            return message;
+        }
+
+        getMessage(messageId) {
+            return this.messages.find(message => message.id == messageId) || null;
+        }
+
+        getMessages(filters = {}) {
+            return this.messages
+                .filter(message => !filters.status || message.status === filters.status)
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        }
+
+        updateMessage(messageId, changes) {
+            const message = this.getMessage(messageId);
+            if (!message) return null;
+
+            Object.assign(message, changes);
+            this.persist('messages');
+            return message;
+        }
+
+        removeMessage(messageId) {
+            const messageIndex = this.messages.findIndex(message => message.id == messageId);
+            if (messageIndex === -1) return null;
+
+            const [removedMessage] = this.messages.splice(messageIndex, 1);
+            this.persist('messages');
+
+            logger.log(`✅ Contact message removed: ${removedMessage.id}`);
+            return removedMessage;
+        }
+
+        // **🕶️ PRIVACY**
+        // Drops analytics events older than their retention period and brings events stored before
+        // anonymization was enabled in line with the current settings. Daily rollups only hold
+        // counts, so they are kept.
+        sweepAnalytics(retentionDaysFor, now = clock()) {
+            const removed = {};
+            let anonymized = 0;
+
+            this.analyticsEvents = this.analyticsEvents.filter(event => {
+                const cutoff = now - retentionDaysFor(event.type) * 24 * 60 * 60 * 1000;
+                if (new Date(event.timestamp).getTime() >= cutoff) return true;
+
+                removed[event.type] = (removed[event.type] || 0) + 1;
+                return false;
+            });
+
+            this.analyticsEvents.forEach(event => {
+                const scrubbed = scrubEventData(event.type, event.data || {}, event.timestamp.slice(0, 10));
+                if (JSON.stringify(scrubbed) === JSON.stringify(event.data || {})) return;
+
+                event.data = scrubbed;
+                event.ip = scrubbed.ip || 'unknown';
+                anonymized++;
+            });
+
+            if (Object.keys(removed).length > 0 || anonymized > 0) {
+                this.persist('analytics');
+            }
+            return { removed, anonymized };
+        }
+
+        // Everything stored about one person, found by email and/or phone. Reviews left against one of
+        // their orders count as theirs even when the review itself has no email.
+        findSubjectRecords({ email, phone }) {
+            const targetEmail = email ? String(email).trim().toLowerCase() : null;
+            const targetPhone = phone ? normalizePhone(phone) : null;
+            const matchesEmail = value => Boolean(targetEmail && value && String(value).trim().toLowerCase() === targetEmail);
+            const matchesPhone = value => Boolean(targetPhone && value && normalizePhone(value) === targetPhone);
+            const matchesPerson = person => Boolean(person) && (matchesEmail(person.email) || matchesPhone(person.phone));
+
+            const messages = this.messages.filter(matchesPerson);
+            const orders = this.orders.filter(order => matchesPerson(order.customer));
+            const inquiries = this.inquiries.filter(inquiry => matchesPerson(inquiry.customer));
+            const orderIds = new Set(orders.map(order => order.id));
+            const reviews = this.reviews.filter(review => matchesEmail(review.email) || orderIds.has(review.orderId));
+            const subscribers = this.subscribers.filter(subscriber => matchesEmail(subscriber.email));
+
+            // Events point at these records by id, and older contact events carry the address itself
+            const linkedIds = {
+                messageId: new Set(messages.map(message => message.id)),
+                orderId: orderIds,
+                inquiryId: new Set(inquiries.map(inquiry => inquiry.id)),
+                reviewId: new Set(reviews.map(review => review.id)),
+                subscriberId: new Set(subscribers.map(subscriber => subscriber.id))
+            };
+            const analyticsEvents = this.analyticsEvents.filter(event => {
+                const data = event.data || {};
+                return matchesPerson(data) ||
+                    Object.entries(linkedIds).some(([field, ids]) => data[field] !== undefined && ids.has(data[field]));
+            });
+
+            return { messages, orders, inquiries, reviews, subscribers, analyticsEvents };
+        }
+
+        // Orders and inquiries are kept for the books and for slot capacity, with the customer's
+        // details blanked; everything else is removed along with its files
+        eraseSubjectRecords(records) {
+            const erasedAt = new Date(clock()).toISOString();
+            const removedFiles = [];
+            const removeFile = (dir, filename) => {
+                try {
+                    fs.unlinkSync(path.join(dir, filename));
+                    removedFiles.push(filename);
+                } catch (error) {
+                    if (error.code !== 'ENOENT') logger.error('❌ File deletion error:', error);
+                }
+            };
+            const without = (list, removed) => {
+                const ids = new Set(removed.map(record => record.id));
+                return list.filter(record => !ids.has(record.id));
+            };
+
+            records.orders.forEach(order => {
+                order.customer = { name: '[erased]', phone: null, email: null };
+                order.fulfilment = { ...order.fulfilment, address: null };
+                order.notes = '';
+                order.erasedAt = erasedAt;
+            });
+            records.inquiries.forEach(inquiry => {
+                (inquiry.photos || []).forEach(photo => removeFile(this.inquiryDir, photo.filename));
+                inquiry.customer = { name: '[erased]', email: null, phone: null };
+                inquiry.designNotes = '';
+                inquiry.photos = [];
+                inquiry.erasedAt = erasedAt;
+            });
+            records.reviews.forEach(review => {
+                if (review.photo) removeFile(this.reviewDir, review.photo.filename);
+            });
+
+            const subscriberIds = new Set(records.subscribers.map(subscriber => subscriber.id));
+            let campaignRecipients = 0;
+            this.campaigns.forEach(campaign => {
+                (campaign.recipients || []).forEach(recipient => {
+                    if (!subscriberIds.has(recipient.subscriberId) || recipient.email === null) return;
+                    recipient.email = null;
+                    campaignRecipients++;
+                });
+            });
+
+            this.messages = without(this.messages, records.messages);
+            this.reviews = without(this.reviews, records.reviews);
+            this.subscribers = without(this.subscribers, records.subscribers);
+            this.analyticsEvents = without(this.analyticsEvents, records.analyticsEvents);
+            this.persist('messages', 'orders', 'inquiries', 'reviews', 'subscribers', 'campaigns', 'analytics');
+
+            return { erasedAt, removedFiles, campaignRecipients };
+        }
+
+        // **📊 ANALYTICS MANAGEMENT**
+        trackEvent(eventType, data = {}) {
+            // Millisecond timestamps, bumped when needed so batched events still get unique ids
+            this.lastEventId = Math.max(clock(), this.lastEventId + 1);
+
+            const timestamp = new Date(clock()).toISOString();
+            const scrubbed = scrubEventData(eventType, data, timestamp.slice(0, 10));
+            const event = {
+                id: this.lastEventId,
+                type: eventType,
+                data: scrubbed,
+                timestamp: timestamp,
+                ip: scrubbed.ip || 'unknown'
+            };
+
+            this.analyticsEvents.push(event);
+            this.backend.append('analytics', event);
+            this.rollupEvent(this.analyticsRollups, event);
+            this.persist('analyticsRollups');
+            this.emit('event', event);
+
+            // Keep only last 10000 events in memory
+            if (this.analyticsEvents.length > 10000) {
+                this.analyticsEvents = this.analyticsEvents.slice(-10000);
+            }
+
+            return event;
+        }
+
+        // **📈 DAILY ROLLUPS**
+        // Per-UTC-day counters that outlive the raw event buffer:
+        //   { 'YYYY-MM-DD': { counts: { type: n }, imageViews: { filename: n }, notFound: { url: n },
+        //                     filtered: { 'endpoint.reason': n } } }
+        rollupEvent(rollups, event) {
+            const day = event.timestamp.slice(0, 10);
+            const rollup = rollups[day] || (rollups[day] = { counts: {}, imageViews: {}, notFound: {} });
+
+            rollup.counts[event.type] = (rollup.counts[event.type] || 0) + 1;
+
+            const data = event.data || {};
+            if (event.type === 'image_view' && data.filename) {
+                incrementCapped(rollup.imageViews, String(data.filename));
+            }
+            if (event.type === 'route_not_found' && data.url) {
+                incrementCapped(rollup.notFound, String(data.url));
+            }
+        }
+
+        recordFilteredTraffic(key) {
+            const day = new Date(clock()).toISOString().slice(0, 10);
+            const rollup = this.analyticsRollups[day] || (this.analyticsRollups[day] = { counts: {}, imageViews: {}, notFound: {} });
+
+            incrementCapped(rollup.filtered || (rollup.filtered = {}), key);
+            this.persist('analyticsRollups');
+        }
+
+        // Backfills rollups from the raw events of data files written before rollups existed
+        buildRollups(events) {
+            const rollups = {};
+            events.forEach(event => this.rollupEvent(rollups, event));
+            return rollups;
+        }
+
+        sumRollupCounts(type, fromDay) {
+            return Object.keys(this.analyticsRollups)
+                .filter(day => !fromDay || day >= fromDay)
+                .reduce((sum, day) => sum + (this.analyticsRollups[day].counts[type] || 0), 0);
+        }
+
+        getAnalyticsStats() {
+            const today = new Date(clock()).toISOString().slice(0, 10);
+            const totalEvents = Object.values(this.analyticsRollups)
+                .reduce((sum, rollup) => sum + Object.values(rollup.counts).reduce((a, b) => a + b, 0), 0);
+
+            return {
+                totalVisitors: this.sumRollupCounts('page_visit'),
+                todayVisitors: this.sumRollupCounts('page_visit', today),
+                cartAdditions: this.sumRollupCounts('cart_add'),
+                whatsappOrders: this.sumRollupCounts('whatsapp_order'),
+                contactSubmissions: this.sumRollupCounts('contact_submit'),
+                imageUploads: this.sumRollupCounts('admin_upload_success'),
+                imageViews: this.sumRollupCounts('image_view'),
+                totalEvents: totalEvents,
+                filteredRequests: Object.values(this.analyticsRollups)
+                    .reduce((sum, rollup) => sum + Object.values(rollup.filtered || {}).reduce((a, b) => a + b, 0), 0)
+            };
+        }
+
+        // Hourly series come from raw events; daily and weekly series from the rollups
+        getAnalyticsReport({ from, to, bucket, types }) {
+            const fromDay = from.toISOString().slice(0, 10);
+            const toDay = to.toISOString().slice(0, 10);
+            const typeFilter = types && types.length > 0 ? new Set(types) : null;
+            const series = {};
+            const addToSeries = (key, type, count) => {
+                if (typeFilter && !typeFilter.has(type)) return;
+                const point = series[key] || (series[key] = { bucket: key, total: 0, counts: {} });
+                point.counts[type] = (point.counts[type] || 0) + count;
+                point.total += count;
+            };
+
+            if (bucket === 'hour') {
+                this.analyticsEvents
+                    .filter(event => {
+                        const at = new Date(event.timestamp);
+                        return at >= from && at <= to;
+                    })
+                    .forEach(event => addToSeries(event.timestamp.slice(0, 13) + ':00:00.000Z', event.type, 1));
+            }
+
+            const imageViews = {};
+            const notFound = {};
+            const filtered = {};
+            const totals = {};
+            Object.keys(this.analyticsRollups)
+                .filter(day => day >= fromDay && day <= toDay)
+                .forEach(day => {
+                    const rollup = this.analyticsRollups[day];
+                    Object.entries(rollup.counts).forEach(([type, count]) => {
+                        totals[type] = (totals[type] || 0) + count;
+                        if (bucket !== 'hour') {
+                            addToSeries(bucket === 'week' ? startOfUtcWeek(day) : day, type, count);
+                        }
+                    });
+                    mergeCounts(imageViews, rollup.imageViews);
+                    mergeCounts(notFound, rollup.notFound);
+                    mergeCounts(filtered, rollup.filtered);
+                });
+
+            const topImages = topEntries(imageViews, 10).map(([filename, views]) => {
+                const image = this.images.find(img => img.filename === filename);
+                return {
+                    filename: filename,
+                    views: views,
+                    id: image ? image.id : null,
+                    url: image ? image.url : null
+                };
+            });
+
+            const visits = totals.page_visit || 0;
+            const cartAdds = totals.cart_add || 0;
+            const whatsappOrders = totals.whatsapp_order || 0;
+            const rate = (count, base) => base > 0 ? Math.round((count / base) * 10000) / 100 : 0;
+
+            return {
+                series: Object.values(series).sort((a, b) => a.bucket.localeCompare(b.bucket)),
+                totals: typeFilter
+                    ? Object.fromEntries(Object.entries(totals).filter(([type]) => typeFilter.has(type)))
+                    : totals,
+                topImages: topImages,
+                topNotFound: topEntries(notFound, 10).map(([url, count]) => ({ url, count })),
+                // Requests dropped as bots, duplicates, spam or over a rate limit; never part of totals
+                filtered: filtered,
+                funnel: {
+                    steps: [
+                        { step: 'page_visit', count: visits },
+                        { step: 'cart_add', count: cartAdds, conversion: rate(cartAdds, visits) },
+                        { step: 'whatsapp_order', count: whatsappOrders, conversion: rate(whatsappOrders, cartAdds) }
+                    ],
+                    overallConversion: rate(whatsappOrders, visits)
+                }
+            };
+        }
+    }
+
+    // Distinct keys per rollup day are capped so a URL scanner can't bloat the data file
+    const MAX_ROLLUP_KEYS = 200;
+
+    function incrementCapped(counts, key) {
+        if (counts[key] === undefined && Object.keys(counts).length >= MAX_ROLLUP_KEYS) {
+            key = '(other)';
+        }
+        counts[key] = (counts[key] || 0) + 1;
+    }
+
+    function mergeCounts(target, source) {
+        Object.entries(source || {}).forEach(([key, count]) => {
+            target[key] = (target[key] || 0) + count;
+        });
+    }
+
+    function topEntries(counts, limit) {
+        return Object.entries(counts)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit);
+    }
+
+    // Weeks start on Monday (UTC); returns that Monday as YYYY-MM-DD
+    function startOfUtcWeek(day) {
+        const date = new Date(`${day}T00:00:00.000Z`);
+        date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+        return date.toISOString().slice(0, 10);
+    }
+
+    const BAKERY_TIMEZONE = config.server.timezone;
+
+    const SLOT_UNAVAILABLE_MESSAGES = {
+        past: 'That date is in the past',
+        lead_time: 'That date is too soon, please choose a later date',
+        blackout: 'We are closed on that date',
+        closed: 'We are closed on that day of the week',
+        full: 'That date is fully booked'
+    };
+
+    function defaultSchedule() {
+        return {
+            dailyCapacity: null,
+            minLeadDays: 0,
+            closedWeekdays: [],
+            slots: [],
+            blackouts: [],
+            capacityOverrides: {}
+        };
+    }
+
+    // Today's date (YYYY-MM-DD) in the bakery's own timezone, not the server's
+    function bakeryToday() {
+        return new Date(clock()).toLocaleDateString('en-CA', { timeZone: BAKERY_TIMEZONE });
+    }
+
+    function addDays(date, days) {
+        const next = new Date(`${date}T00:00:00Z`);
+        next.setUTCDate(next.getUTCDate() + days);
+        return next.toISOString().slice(0, 10);
+    }
+
+    // **🕶️ PRIVACY**
+    // IP_ANONYMIZATION decides what is kept of a visitor's address when an event is tracked:
+    //   truncate (default) -> network part only, IPv4 /24 and IPv6 /48
+    //   hash               -> keyed hash that changes daily, so visits can be counted but not linked
+    //   drop               -> nothing; TRACK_IP_ADDRESSES=false is the older name for this
+    //   off                -> the full address
+    const IP_ANONYMIZATION = config.privacy.ipAnonymization;
+    const IP_HASH_KEY = crypto.createHmac('sha256', JWT_SECRET).update('analytics-ip-hash').digest();
+    const STORE_USER_AGENTS = config.privacy.storeUserAgents;
+
+    // ANALYTICS_RETENTION_DAYS applies to every event type; RETENTION_POLICY overrides it per type
+    // with "type=days" pairs, where a trailing * matches a prefix: "image_view=30,admin_*=365"
+    const ANALYTICS_RETENTION_DAYS = config.retention.analyticsDays;
+    const RETENTION_POLICY = config.retention.policy;
+    const PRIVACY_SWEEP_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+    // An exact type wins over a wildcard, and a longer wildcard over a shorter one
+    function retentionDaysFor(type) {
+        if (RETENTION_POLICY[type] !== undefined) return RETENTION_POLICY[type];
+
+        const prefix = Object.keys(RETENTION_POLICY)
+            .filter(pattern => pattern.endsWith('*') && type.startsWith(pattern.slice(0, -1)))
+            .sort((a, b) => b.length - a.length)[0];
+        return prefix ? RETENTION_POLICY[prefix] : ANALYTICS_RETENTION_DAYS;
+    }
+
+    function truncateIp(ip) {
+        const address = String(ip).replace(/^::ffff:/i, '').replace(/%.*$/, '');
+
+        if (net.isIPv4(address)) {
+            return address.split('.').slice(0, 3).concat('0').join('.');
+        }
+        if (net.isIPv6(address)) {
+            const [head, tail] = address.split('::');
+            const headGroups = head ? head.split(':') : [];
+            const tailGroups = tail ? tail.split(':') : [];
+            const groups = [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+            return `${groups.slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::`;
+        }
+        return null;
+    }
+
+    // Safe to run on an address that was already anonymized
+    function anonymizeIp(ip, day, mode = IP_ANONYMIZATION) {
+        if (!ip || ip === 'unknown' || mode === 'off') return ip || null;
+        if (mode === 'drop') return null;
+        if (mode === 'hash') {
+            return String(ip).startsWith('h:')
+                ? ip
+                : `h:${crypto.createHmac('sha256', IP_HASH_KEY).update(`${day}|${ip}`).digest('hex').slice(0, 16)}`;
+        }
+        return truncateIp(ip);
+    }
+
+    // Analytics never needs to know who someone is; contact details stay with the record they belong to
+    function scrubEventData(type, data, day) {
+        const scrubbed = { ...data };
+        delete scrubbed.email;
+        delete scrubbed.phone;
+        if (type === 'contact_submit') delete scrubbed.name;
+        if (!STORE_USER_AGENTS) delete scrubbed.userAgent;
+
+        if (scrubbed.ip !== undefined) {
+            const ip = anonymizeIp(scrubbed.ip, day);
+            if (ip) {
+                scrubbed.ip = ip;
+            } else {
+                delete scrubbed.ip;
+            }
+        }
+        return scrubbed;
+    }
+
+    // **🌍 INITIALIZE GLOBAL STORAGE**
+    const globalStorage = new GlobalImageStorage();
+
+    // **👥 ADMIN USER STORE**
+    const ADMIN_ROLES = ['viewer', 'editor', 'owner'];
+    const BCRYPT_ROUNDS = options.bcryptRounds || config.auth.bcryptRounds;
+    const MIN_PASSWORD_LENGTH = 10;
+
+    class AdminUserStore {
+        constructor() {
+            this.dataFile = path.join(dataDir, 'admin_users.json');
+            this.users = [];
+            this.backend = createStorageBackend(this.dataFile, { ...STORAGE_OPTIONS, fileMode: 0o600 });
+            this.backend.bind(() => ({ users: this.users }));
+            this.load();
+        }
+
+        load() {
+            try {
+                const parsed = this.backend.load();
+                this.users = parsed.users || [];
+                logger.log(`✅ Loaded ${this.users.length} admin user(s)`);
+            } catch (error) {
+                logger.error('❌ Error loading admin users:', error);
+                this.users = [];
+            }
+        }
+
+        save() {
+            this.backend.markChanged('users');
+        }
+
+        // Seeds the first owner from ADMIN_USERNAME plus ADMIN_PASSWORD_HASH (or ADMIN_PASSWORD) on an empty store
+        bootstrapOwner() {
+            if (this.users.length > 0) return null;
+
+            let passwordHash = ADMIN_CREDENTIALS.passwordHash;
+            if (!passwordHash && ADMIN_CREDENTIALS.password) {
+                passwordHash = bcrypt.hashSync(ADMIN_CREDENTIALS.password, BCRYPT_ROUNDS);
+            }
+
+            if (!passwordHash) {
+                logger.warn('⚠️ No admin users exist. Create one with: npm run create-owner -- <username>');
+                return null;
+            }
+
+            const owner = this.insertUser({
+                username: ADMIN_USERNAME,
+                passwordHash: passwordHash,
+                role: 'owner',
+                createdBy: 'bootstrap'
+            });
+
+            logger.log(`✅ Bootstrapped owner account: ${owner.username}`);
+            return owner;
+        }
+
+        insertUser({ username, passwordHash, role, createdBy }) {
+            const now = new Date(clock()).toISOString();
+            const user = {
+                id: clock() + Math.floor(Math.random() * 1000),
+                username: username,
+                passwordHash: passwordHash,
+                role: role,
+                active: true,
+                createdAt: now,
+                createdBy: createdBy,
+                passwordChangedAt: now,
+                lastLoginAt: null
+            };
+
+            this.users.push(user);
+            this.save();
+            return user;
+        }
+
+        async createUser({ username, password, role, createdBy }) {
+            const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+            return this.insertUser({ username, passwordHash, role, createdBy });
+        }
+
+        getUser(userId) {
+            return this.users.find(user => user.id == userId) || null;
+        }
+
+        findByUsername(username) {
+            const normalized = String(username).trim().toLowerCase();
+            return this.users.find(user => user.username.toLowerCase() === normalized) || null;
+        }
+
+        countActiveOwners() {
+            return this.users.filter(user => user.active && user.role === 'owner').length;
+        }
+
+        updateUser(userId, changes) {
+            const user = this.getUser(userId);
+            if (!user) return null;
+
+            Object.assign(user, changes);
+            this.save();
+            return user;
+        }
+
+        async setPassword(userId, password) {
+            const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+            return this.updateUser(userId, {
+                passwordHash: passwordHash,
+                passwordChangedAt: new Date(clock()).toISOString()
+            });
+        }
+
+        // Strips the password hash before a user leaves the server
+        toPublic(user) {
+            const { passwordHash, ...publicUser } = user;
+            return publicUser;
+        }
+    }
+
+    const adminUsers = new AdminUserStore();
+    adminUsers.bootstrapOwner();
+
+    // **🎟️ ADMIN SESSIONS**
+    const ACCESS_TOKEN_EXPIRES_IN = config.auth.accessTokenExpiresIn;
+    const REFRESH_TOKEN_EXPIRES_IN = config.auth.refreshTokenExpiresIn;
+    const MAX_SESSIONS_PER_USER = config.auth.maxSessionsPerUser;
+    const SESSION_CLEANUP_INTERVAL = config.auth.sessionCleanupInterval;
+
+    // Turns "15m", "2h", "7d" or a plain number of seconds (as jsonwebtoken reads expiresIn) into milliseconds
+    function parseDuration(value) {
+        const match = /^(\d+)\s*([smhd])?$/.exec(String(value).trim());
+        if (!match) {
+            throw new Error(`Invalid duration: ${value}`);
+        }
+        const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+        return parseInt(match[1]) * units[match[2] || 's'];
+    }
+
+    function hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    class SessionStore {
+        constructor() {
+            this.dataFile = path.join(dataDir, 'session_cache.json');
+            this.sessions = [];
+            this.backend = createStorageBackend(this.dataFile, { ...STORAGE_OPTIONS, fileMode: 0o600 });
+            this.backend.bind(() => ({ sessions: this.sessions }));
+            this.load();
+        }
+
+        load() {
+            try {
+                const parsed = this.backend.load();
+                this.sessions = parsed.sessions || [];
+                logger.log(`✅ Loaded ${this.sessions.length} admin session(s)`);
+            } catch (error) {
+                logger.error('❌ Error loading admin sessions:', error);
+                this.sessions = [];
+            }
+        }
+
+        save() {
+            this.backend.markChanged('sessions');
+        }
+
+        // Refresh tokens are "<session id>.<secret>"; only a hash of the whole token is kept
+        issueRefreshToken(session) {
+            const refreshToken = `${session.id}.${crypto.randomBytes(32).toString('base64url')}`;
+            session.refreshTokenHash = hashToken(refreshToken);
+            session.expiresAt = new Date(clock() + parseDuration(REFRESH_TOKEN_EXPIRES_IN)).toISOString();
+            return refreshToken;
+        }
+
+        createSession(user, { ip, userAgent }) {
+            const now = new Date(clock()).toISOString();
+            const session = {
+                id: crypto.randomBytes(16).toString('hex'),
+                userId: user.id,
+                username: user.username,
+                ip: ip,
+                userAgent: userAgent ? String(userAgent).slice(0, 200) : null,
+                createdAt: now,
+                lastUsedAt: now,
+                expiresAt: null,
+                refreshTokenHash: null,
+                revokedAt: null,
+                revokedBy: null,
+                revokeReason: null
+            };
+            const refreshToken = this.issueRefreshToken(session);
+
+            this.sessions.push(session);
+
+            // Keep each user under the session cap by revoking their oldest sessions
+            const active = this.getActiveSessions({ userId: user.id })
+                .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+            active.slice(0, Math.max(0, active.length - MAX_SESSIONS_PER_USER))
+                .forEach(old => this.markRevoked(old, 'system', 'session_limit'));
+
+            this.save();
+            return { session, refreshToken };
+        }
+
+        // Returns the rotated token, or null; presenting a superseded token revokes the session
+        rotateRefreshToken(refreshToken) {
+            const sessionId = String(refreshToken || '').split('.')[0];
+            const session = this.sessions.find(s => s.id === sessionId);
+
+            if (!session || !this.isActive(session)) return null;
+
+            if (session.refreshTokenHash !== hashToken(refreshToken)) {
+                this.markRevoked(session, 'system', 'refresh_token_reuse');
+                this.save();
+                logger.warn(`⚠️ Refresh token reuse detected, session revoked: ${session.id}`);
+                return null;
+            }
+
+            const rotated = this.issueRefreshToken(session);
+            session.lastUsedAt = new Date(clock()).toISOString();
+            this.save();
+            return { session, refreshToken: rotated };
+        }
+
+        getSession(sessionId) {
+            return this.sessions.find(session => session.id === sessionId) || null;
+        }
+
+        isActive(session) {
+            return !session.revokedAt && new Date(session.expiresAt) > new Date(clock());
+        }
+
+        getActiveSessions(filters = {}) {
+            return this.sessions
+                .filter(session => this.isActive(session))
+                .filter(session => filters.userId === undefined || session.userId == filters.userId);
+        }
+
+        markRevoked(session, revokedBy, reason) {
+            session.revokedAt = new Date(clock()).toISOString();
+            session.revokedBy = revokedBy;
+            session.revokeReason = reason;
+        }
+
+        revokeSession(sessionId, { revokedBy, reason } = {}) {
+            const session = this.getSession(sessionId);
+            if (!session || session.revokedAt) return null;
+
+            this.markRevoked(session, revokedBy || 'system', reason || 'revoked');
+            this.save();
+            return session;
+        }
+
+        revokeUserSessions(userId, { revokedBy, reason, exceptSessionId } = {}) {
+            const sessions = this.getActiveSessions({ userId })
+                .filter(session => session.id !== exceptSessionId);
+
+            sessions.forEach(session => this.markRevoked(session, revokedBy || 'system', reason || 'revoked'));
+            if (sessions.length > 0) this.save();
+            return sessions.length;
+        }
+
+        // Drops sessions that expired or were revoked more than a day ago
+        cleanup() {
+            const cutoff = clock() - 24 * 60 * 60 * 1000;
+            const before = this.sessions.length;
+
+            this.sessions = this.sessions.filter(session => {
+                const endedAt = session.revokedAt || session.expiresAt;
+                return new Date(endedAt).getTime() > cutoff;
+            });
+
+            if (this.sessions.length !== before) {
+                this.save();
+                logger.log(`🧹 Removed ${before - this.sessions.length} stale admin session(s)`);
+            }
+        }
+
+        toPublic(session) {
+            const { refreshTokenHash, ...publicSession } = session;
+            return publicSession;
+        }
+    }
+
+    const adminSessions = new SessionStore();
+
+    // **📧 MAIL TRANSPORT**
+    class Mailer {
+        // transport is a MAIL_TRANSPORT name or a ready nodemailer transport (anything with sendMail)
+        constructor(transport = config.mail.transport) {
+            const custom = Boolean(transport) && typeof transport.sendMail === 'function';
+            this.transportType = custom ? 'custom' : this.resolveTransportType(transport);
+            this.fromAddress = config.mail.user || 'no-reply@warmdelights.local';
+            this.fromName = config.mail.fromName;
+            this.bakeryAddress = config.mail.contactRecipient;
+            this.autoAcknowledge = config.mail.autoAcknowledge;
+            this.transporter = custom ? transport : this.createTransport();
+
+            logger.log(`📧 Mail transport: ${this.transportType}`);
+        }
+
+        // smtp, json, stream or disabled; anything else can only come from the mailTransport option
+        resolveTransportType(transport) {
+            const configured = String(transport || '').toLowerCase();
+            if (['smtp', 'json', 'stream', 'disabled'].includes(configured)) {
+                return configured;
+            }
+            logger.warn(`⚠️ Unknown mail transport "${configured}", mail is disabled`);
+            return 'disabled';
+        }
+
+        createTransport() {
+            switch (this.transportType) {
+                case 'smtp': {
+                    const auth = { user: config.mail.user, pass: config.mail.pass };
+                    if (config.mail.smtpHost) {
+                        return nodemailer.createTransport({
+                            host: config.mail.smtpHost,
+                            port: config.mail.smtpPort,
+                            secure: config.mail.smtpSecure,
+                            auth: auth
+                        });
+                    }
+                    return nodemailer.createTransport({
+                        service: config.mail.service,
+                        auth: auth
+                    });
+                }
+                case 'json':
+                    return nodemailer.createTransport({ jsonTransport: true });
+                case 'stream':
+                    return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+                default:
+                    return null;
+            }
+        }
+
+        get enabled() {
+            return this.transporter !== null;
+        }
+
+        // Never throws: the outcome is returned so callers can record it next to the data they stored
+        async send({ to, subject, text, replyTo, headers }) {
+            const attemptedAt = new Date(clock()).toISOString();
+
+            if (!this.enabled) {
+                return { status: 'disabled', at: attemptedAt };
+            }
+            if (!to) {
+                return { status: 'failed', error: 'No recipient configured', at: attemptedAt };
+            }
+
+            try {
+                const info = await this.transporter.sendMail({
+                    from: `"${this.fromName}" <${this.fromAddress}>`,
+                    to: to,
+                    replyTo: replyTo,
+                    subject: subject,
+                    text: text,
+                    headers: headers
+                });
+
+                if (this.transportType === 'json' || this.transportType === 'stream') {
+                    logger.log(`📧 [${this.transportType}] ${info.message.toString()}`);
+                }
+
+                return { status: 'sent', messageId: info.messageId, at: attemptedAt };
+            } catch (error) {
+                logger.error('❌ Mail delivery error:', error.message);
+                // responseCode is the SMTP reply; 5xx means the server rejected the address for good
+                return { status: 'failed', error: error.message, responseCode: error.responseCode || null, at: attemptedAt };
+            }
+        }
+    }
+
+    const mailer = new Mailer(options.mailTransport);
+
+    // Rate limiting for authentication
+    const authLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 5, // limit each IP to 5 requests per windowMs
+        message: 'Too many login attempts, please try again later.',
+        standardHeaders: true,
+        legacyHeaders: false,
+    });
+
+    // Enhanced CORS configuration; CORS_ORIGIN lists the sites allowed to call the API ("*" outside production)
+    const corsOptions = {
+        origin: config.cors.origins.includes('*') ? '*' : config.cors.origins,
+        credentials: config.cors.credentials,
+        methods: ['GET', 'POST', 'DELETE', 'PUT', 'PATCH', 'OPTIONS'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'Access-Control-Allow-Origin'],
+        exposedHeaders: ['X-Total-Count', 'X-Page', 'X-Limit'],
+        optionsSuccessStatus: 200
+    };
+    app.use(cors(corsOptions));
+
+    app.options('*', cors(corsOptions));
+
+    // Tracking events are small; this parser runs first so the 10mb limit never applies to them
+    app.use('/api/analytics/track', bodyParser.json({ limit: '64kb' }));
+    app.use(bodyParser.json({ limit: '10mb' }));
+    app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
+
+    // **🤖 BOT & ABUSE FILTERING**
+    // Behind Railway's proxy every request comes from the proxy's address; TRUST_PROXY tells Express how
+    // many proxy hops to believe in X-Forwarded-For ("true" means one), so limits apply per visitor
+    if (config.server.trustProxy) {
+        app.set('trust proxy', config.server.trustProxy);
+    }
+
+    // Crawlers, link previewers, uptime checkers and scripted clients; a request without a user agent counts too
+    const BOT_USER_AGENT_PATTERN = new RegExp('bot|crawl|spider|slurp|scrape|facebookexternalhit|embedly|preview|' +
+        'headless|phantomjs|puppeteer|playwright|selenium|lighthouse|pagespeed|pingdom|uptime|monitor|' +
+        'curl|wget|python-requests|aiohttp|httpclient|okhttp|go-http-client|java/|libwww|axios|node-fetch|postman', 'i');
+
+    const VIEW_DEDUP_WINDOW = config.analytics.viewDedupMinutes * 60 * 1000;
+    const MAX_TRACKED_VIEWS = 50000;
+    const CONTACT_MIN_FILL_TIME = 3000; // ms; people take longer than this to write a message
+    const CONTACT_HONEYPOT_FIELD = 'website';
+
+    function isBotRequest(req) {
+        const userAgent = req.get('User-Agent');
+        return !userAgent || BOT_USER_AGENT_PATTERN.test(userAgent);
+    }
+
+    // Dropped traffic goes into the daily rollups under its own key, e.g. "view.duplicate", so the
+    // analytics report shows how much was filtered without it ever counting as a visit
+    function recordFiltered(endpoint, reason) {
+        globalStorage.recordFilteredTraffic(`${endpoint}.${reason}`);
+    }
+
+    function createPublicLimiter(endpoint, windowMs, max, message) {
+        return rateLimit({
+            windowMs: windowMs,
+            max: max,
+            standardHeaders: true,
+            legacyHeaders: false,
+            handler: (req, res, next, options) => {
+                recordFiltered(endpoint, 'rate_limited');
+                res.status(options.statusCode).json({ success: false, message: message });
+            }
+        });
+    }
+
+    const trackingLimiter = createPublicLimiter('track', 60 * 1000, 120, 'Too many tracking requests, please slow down.');
+    const viewLimiter = createPublicLimiter('view', 60 * 1000, 60, 'Too many view requests, please slow down.');
+    const galleryLimiter = createPublicLimiter('gallery', 60 * 1000, 120, 'Too many gallery requests, please slow down.');
+    const contactLimiter = createPublicLimiter('contact', 60 * 60 * 1000, 5, 'Too many messages, please try again later.');
+
+    // Remembers which visitor saw which image in the last VIEW_DEDUP_WINDOW. Visitors are a keyed hash
+    // of address and user agent held in memory only; nothing here is written to disk.
+    class ViewDeduplicator {
+        constructor(windowMs, maxEntries) {
+            this.windowMs = windowMs;
+            this.maxEntries = maxEntries;
+            this.seen = new Map();
+            this.key = crypto.randomBytes(32);
+        }
+
+        visitorKey(req, filename) {
+            return crypto.createHmac('sha256', this.key)
+                .update(`${req.ip}|${req.get('User-Agent') || ''}|${filename}`)
+                .digest('base64');
+        }
+
+        // True the first time a visitor views an image within the window
+        shouldCount(req, filename, now = clock()) {
+            const key = this.visitorKey(req, filename);
+            const expiresAt = this.seen.get(key);
+            if (expiresAt && expiresAt > now) return false;
+
+            if (this.seen.size >= this.maxEntries) this.prune(now);
+            // Still full of live entries: the oldest go first, which at worst lets a view count twice
+            if (this.seen.size >= this.maxEntries) this.seen.delete(this.seen.keys().next().value);
+
+            this.seen.delete(key);
+            this.seen.set(key, now + this.windowMs);
+            return true;
+        }
+
+        prune(now = clock()) {
+            for (const [key, expiresAt] of this.seen) {
+                if (expiresAt <= now) this.seen.delete(key);
+            }
+        }
+    }
+
+    const viewDeduplicator = new ViewDeduplicator(VIEW_DEDUP_WINDOW, MAX_TRACKED_VIEWS);
+
+    // Honeypot: a field the form hides with CSS, so only bots fill it in. formStartedAt (ms since
+    // epoch, set when the form is shown) is optional for older frontends, but a submission that
+    // arrives sooner than a person could type is dropped.
+    function detectContactSpam(body, now = clock()) {
+        if (body[CONTACT_HONEYPOT_FIELD]) return 'honeypot';
+
+        if (body.formStartedAt !== undefined) {
+            const startedAt = Number(body.formStartedAt);
+            if (!Number.isFinite(startedAt) || now - startedAt < CONTACT_MIN_FILL_TIME) return 'too_fast';
+        }
+        return null;
+    }
+
+    // **🖼️ ENHANCED STATIC FILE SERVING**
+    app.use('/uploads', express.static(globalStorage.uploadDir, {
+        maxAge: '1y', // Cache for 1 year
+        etag: true,
+        lastModified: true,
+        setHeaders: (res, filePath) => {
+            // Set proper content type for images
+            const ext = path.extname(filePath).toLowerCase();
+            const mimeTypes = {
+                '.jpg': 'image/jpeg',
+                '.jpeg': 'image/jpeg',
+                '.png': 'image/png',
+                '.gif': 'image/gif',
+                '.webp': 'image/webp'
+            };
+
+            if (mimeTypes[ext]) {
+                res.setHeader('Content-Type', mimeTypes[ext]);
+            }
+
+            // Enable cross-origin access for images
+            res.setHeader('Access-Control-Allow-Origin', '*');
+            res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+            res.setHeader('Cache-Control', 'public, max-age=31536000'); // 1 year cache
+        }
+    }));
+
+    // **🔎 UPLOAD INSPECTION**
+    // The client's MIME type and extension are only trusted once the file's own bytes agree with them
+    const IMAGE_EXTENSIONS = {
+        'image/jpeg': ['.jpg', '.jpeg'],
+        'image/png': ['.png'],
+        'image/gif': ['.gif'],
+        'image/webp': ['.webp']
+    };
+
+    function sniffImageType(buffer) {
+        if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+            return 'image/jpeg';
+        }
+        if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+            return 'image/png';
+        }
+        if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) {
+            return 'image/gif';
+        }
+        if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+            return 'image/webp';
+        }
+        return null;
+    }
+
+    function readJpegDimensions(buffer) {
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xFF) return null;
+
+            const marker = buffer[offset + 1];
+            if (marker === 0xFF) {
+                offset++; // fill byte
+                continue;
+            }
+
+            // Start-of-frame markers carry the size; C4 (DHT), C8 (JPG) and CC (DAC) do not
+            if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+                return {
+                    height: buffer.readUInt16BE(offset + 5),
+                    width: buffer.readUInt16BE(offset + 7)
+                };
+            }
+
+            // Standalone markers have no length field
+            if ((marker >= 0xD0 && marker <= 0xD9) || marker === 0x01) {
+                offset += 2;
+                continue;
+            }
+
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+        return null;
+    }
+
+    function readWebpDimensions(buffer) {
+        const chunk = buffer.toString('ascii', 12, 16);
+
+        if (chunk === 'VP8 ' && buffer.length >= 30) {
+            return {
+                width: buffer.readUInt16LE(26) & 0x3FFF,
+                height: buffer.readUInt16LE(28) & 0x3FFF
+            };
+        }
+        if (chunk === 'VP8L' && buffer.length >= 25) {
+            const bits = buffer.readUInt32LE(21);
+            return {
+                width: (bits & 0x3FFF) + 1,
+                height: ((bits >> 14) & 0x3FFF) + 1
+            };
+        }
+        if (chunk === 'VP8X' && buffer.length >= 30) {
+            return {
+                width: buffer.readUIntLE(24, 3) + 1,
+                height: buffer.readUIntLE(27, 3) + 1
+            };
+        }
+        return null;
+    }
+
+    function readImageDimensions(buffer, type) {
+        switch (type) {
+            case 'image/png':
+                return buffer.length >= 24
+                    ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+                    : null;
+            case 'image/gif':
+                return buffer.length >= 10
+                    ? { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) }
+                    : null;
+            case 'image/jpeg':
+                return readJpegDimensions(buffer);
+            case 'image/webp':
+                return readWebpDimensions(buffer);
+            default:
+                return null;
+        }
+    }
+
+    function inspectImageBuffer(buffer) {
+        const type = sniffImageType(buffer);
+        return {
+            type: type,
+            dimensions: type ? readImageDimensions(buffer, type) : null,
+            contentHash: crypto.createHash('sha256').update(buffer).digest('hex')
+        };
+    }
+
+    // Checks a stored upload; returns { error } or { type, dimensions, contentHash }
+    async function inspectUploadedFile(file) {
+        const buffer = await fs.promises.readFile(file.path);
+        const inspection = inspectImageBuffer(buffer);
+        const claimedType = file.mimetype.toLowerCase() === 'image/jpg' ? 'image/jpeg' : file.mimetype.toLowerCase();
+        const extension = path.extname(file.originalname).toLowerCase();
+
+        if (!inspection.type) {
+            return { error: `${file.originalname} is not a JPEG, PNG, WebP or GIF image` };
+        }
+        if (inspection.type !== claimedType || !IMAGE_EXTENSIONS[inspection.type].includes(extension)) {
+            return { error: `${file.originalname} was sent as ${file.mimetype} but its content is ${inspection.type}` };
+        }
+        return inspection;
+    }
+
+    function removeUploadedFiles(files) {
+        (files || []).forEach(file => {
+            fs.promises.unlink(file.path).catch(error => {
+                logger.error('❌ Could not remove rejected upload:', error.message);
+            });
+        });
+    }
+
+    // **📤 MULTER CONFIGURATION**
+    const storage = multer.diskStorage({
+        destination: function (req, file, cb) {
+            cb(null, globalStorage.uploadDir);
+        },
+        filename: uniqueUploadFilename
+    });
+
+    function uniqueUploadFilename(req, file, cb) {
+        const timestamp = clock();
+        const random = Math.round(Math.random() * 1E9);
+        const extension = path.extname(file.originalname).toLowerCase();
+        const baseName = path.basename(file.originalname, extension);
+        const safeName = baseName.replace(/[^a-zA-Z0-9]/g, '_');
+        const uniqueName = `${timestamp}-${random}-${safeName}${extension}`;
+        cb(null, uniqueName);
+    }
+
+    // ALLOWED_FILE_TYPES can narrow this to a subset of the images inspectUploadedFile recognises
+    const allowedMimeTypes = config.uploads.allowedTypes;
+    const MAX_UPLOAD_FILE_SIZE = config.uploads.maxFileSize;
+
+    const fileFilter = (req, file, cb) => {
+        if (allowedMimeTypes.includes(file.mimetype.toLowerCase())) {
+            cb(null, true);
+        } else {
+            const error = new Error(`Invalid file type: ${file.mimetype}. Allowed types: ${allowedMimeTypes.join(', ')}.`);
+            error.code = 'INVALID_FILE_TYPE';
+            cb(error, false);
+        }
+    };
+
+    const upload = multer({
+        storage: storage,
+        limits: {
+            fileSize: MAX_UPLOAD_FILE_SIZE,
+            files: config.uploads.maxFiles
+        },
+        fileFilter: fileFilter
+    });
+
+    // **🔐 AUTHENTICATION MIDDLEWARE**
+    function authMiddleware(req, res, next) {
+        try {
+            const authHeader = req.headers.authorization;
+            if (!authHeader || !authHeader.startsWith('Bearer ')) {
+                return res.status(401).json({
+                    error: 'Unauthorized',
+                    message: 'Missing or invalid authorization header'
+                });
+            }
+
+            const token = authHeader.substring(7);
+            const decoded = jwt.verify(token, JWT_SECRET, { clockTimestamp: Math.floor(clock() / 1000) });
+
+            if (!decoded.isAdmin) {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: 'Admin access required'
+                });
+            }
+
+            // Disabled accounts, revoked sessions and tokens issued before a password change stop working immediately
+            const user = adminUsers.getUser(decoded.sub);
+            const session = decoded.sid ? adminSessions.getSession(decoded.sid) : null;
+            const passwordChangedAt = user ? Math.floor(new Date(user.passwordChangedAt).getTime() / 1000) : 0;
+            if (!user || !user.active || decoded.iat < passwordChangedAt ||
+                !session || !adminSessions.isActive(session) || session.userId != user.id) {
+                return res.status(401).json({
+                    error: 'Unauthorized',
+                    message: 'Invalid token'
+                });
+            }
+
+            req.admin = {
+                id: user.id,
+                username: user.username,
+                role: user.role,
+                sessionId: session.id
+            };
+            next();
+        } catch (error) {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Invalid token'
+            });
+        }
+    }
+
+    // Roles are ordered: owner can do everything an editor can, an editor everything a viewer can
+    function requireRole(minimumRole) {
+        const minimumLevel = ADMIN_ROLES.indexOf(minimumRole);
+
+        return (req, res, next) => {
+            if (!req.admin || ADMIN_ROLES.indexOf(req.admin.role) < minimumLevel) {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: `This action requires the ${minimumRole} role`
+                });
+            }
+            next();
+        };
+    }
+
+    // **🧾 AUDIT TRAIL**
+    // Every mutating request to /api/admin by a signed-in admin is appended to admin_audit.jsonl, one
+    // JSON line per action. Each line carries the hash of the previous one, so edits or deletions in
+    // the middle of the file show up when the chain is verified.
+    const AUDIT_FILE = path.join(dataDir, 'admin_audit.jsonl');
+    const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+    const AUDIT_REDACTED_FIELDS = ['password', 'passwordHash', 'temporaryPassword', 'token', 'refreshToken',
+        'refreshTokenHash', 'tokenHash', 'secret'];
+    const MAX_AUDIT_PAGE_SIZE = 500;
+
+    // How to load the current state of each resource under /api/admin/<resource>/:id
+    const AUDIT_RESOURCES = {
+        gallery: id => globalStorage.getImage(id),
+        trash: id => globalStorage.getTrashedImage(id),
+        albums: id => globalStorage.getAlbum(id),
+        products: id => globalStorage.getProduct(id),
+        orders: id => globalStorage.getOrder(id),
+        inquiries: id => globalStorage.getInquiry(id),
+        messages: id => globalStorage.getMessage(id),
+        reviews: id => globalStorage.getReview(id),
+        schedule: () => globalStorage.schedule,
+        users: id => {
+            const user = adminUsers.getUser(id);
+            return user ? adminUsers.toPublic(user) : null;
+        },
+        sessions: id => {
+            const session = adminSessions.getSession(id);
+            return session ? adminSessions.toPublic(session) : null;
+        },
+        subscribers: id => globalStorage.getSubscriber(id),
+        campaigns: id => {
+            const campaign = globalStorage.getCampaign(id);
+            return campaign ? formatCampaign(campaign) : null;
+        },
+        webhooks: id => {
+            const webhook = webhookStore.getWebhook(id);
+            return webhook ? webhookStore.toPublic(webhook) : null;
+        }
+    };
+
+    class AuditLog {
+        constructor(filePath) {
+            this.filePath = filePath;
+            this.entries = [];
+            this.load();
+        }
+
+        load() {
+            if (!fs.existsSync(this.filePath)) return;
+
+            const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    this.entries.push(JSON.parse(line));
+                } catch (error) {
+                    // Only the last line can be torn by a crash mid-append
+                    logger.warn(`⚠️ Skipping unreadable entry in ${path.basename(this.filePath)}`);
+                }
+            }
+            logger.log(`✅ Loaded ${this.entries.length} audit entries`);
+        }
+
+        static hashEntry(entry) {
+            const { hash, ...content } = entry;
+            return sha256(Buffer.from(JSON.stringify(content)));
+        }
+
+        // Written synchronously so an action is never reported as done without its audit line
+        record(entry) {
+            const previous = this.entries[this.entries.length - 1];
+            const full = {
+                id: previous ? previous.id + 1 : 1,
+                timestamp: new Date(clock()).toISOString(),
+                ...entry,
+                prevHash: previous ? previous.hash : null
+            };
+            full.hash = AuditLog.hashEntry(full);
+
+            fs.appendFileSync(this.filePath, JSON.stringify(full) + '\n', { mode: 0o600 });
+            this.entries.push(full);
+            return full;
+        }
+
+        // Returns the id of the first entry that does not match its hash or its predecessor, or null
+        verify() {
+            let previousHash = null;
+            for (const entry of this.entries) {
+                if (entry.prevHash !== previousHash || AuditLog.hashEntry(entry) !== entry.hash) {
+                    return entry.id;
+                }
+                previousHash = entry.hash;
+            }
+            return null;
+        }
+
+        query(filters = {}) {
+            const from = filters.from ? new Date(filters.from) : null;
+            const to = filters.to ? new Date(filters.to) : null;
+
+            return this.entries
+                .filter(entry => !filters.actor || entry.actor.username === filters.actor)
+                .filter(entry => !filters.action || entry.action === filters.action ||
+                    entry.action.startsWith(`${filters.action}.`))
+                .filter(entry => !filters.resource || entry.resource === filters.resource)
+                .filter(entry => !filters.targetId || [].concat(entry.targetId).some(id => String(id) === String(filters.targetId)))
+                .filter(entry => !from || new Date(entry.timestamp) >= from)
+                .filter(entry => !to || new Date(entry.timestamp) <= to)
+                .reverse();
+        }
+    }
+
+    const auditLog = new AuditLog(AUDIT_FILE);
+
+    // Deep copy with credentials stripped, so snapshots never leak secrets into the log
+    function auditSnapshot(value) {
+        if (value === null || value === undefined) return null;
+
+        return JSON.parse(JSON.stringify(value), (key, field) =>
+            AUDIT_REDACTED_FIELDS.includes(key) ? undefined : field);
+    }
+
+    // "PATCH /api/admin/orders/:id/status" -> "orders.status", "POST /api/admin/products" -> "products.create"
+    function auditActionName(method, routePath) {
+        if (routePath === '/api/admin/logout') return 'sessions.logout';
+
+        const segments = routePath.replace(/^\/api\/admin\/?/, '').split('/').filter(Boolean);
+        const names = segments.filter(segment => !segment.startsWith(':'));
+        const endsWithParam = segments.length > 1 && segments[segments.length - 1].startsWith(':');
+
+        if (names.length <= 1 || endsWithParam) {
+            const verbs = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+            names.push(verbs[method]);
+        } else if (method === 'DELETE') {
+            names.push('delete');
+        }
+        return names.join('.');
+    }
+
+    function auditTrail(req, res, next) {
+        if (!AUDITED_METHODS.includes(req.method)) return next();
+
+        const [resource, targetId] = req.path.split('/').filter(Boolean);
+        const resolve = AUDIT_RESOURCES[resource];
+        const before = resolve ? auditSnapshot(resolve(targetId)) : null;
+
+        let responseBody = null;
+        const sendJson = res.json.bind(res);
+        res.json = body => {
+            responseBody = body;
+            return sendJson(body);
+        };
+
+        res.on('finish', () => {
+            // Unauthenticated calls (login, refresh) and unmatched paths are not admin actions
+            if (!req.admin || !req.route) return;
+
+            try {
+                const routePath = req.baseUrl + req.route.path;
+                // "/gallery/upload" names an action, not an image; only ":param" segments are ids
+                const hasIdParam = (routePath.replace(/^\/api\/admin\/?/, '').split('/')[1] || '').startsWith(':');
+                let id = hasIdParam ? targetId : null;
+                let after = resolve && id ? auditSnapshot(resolve(id)) : null;
+
+                // Creates have no id in the path; take it from what the route returned
+                if (!id && req.method === 'POST' && responseBody) {
+                    const values = Object.values(responseBody);
+                    const created = values
+                        .find(value => value && typeof value === 'object' && !Array.isArray(value) && value.id !== undefined);
+                    const createdList = values
+                        .find(value => Array.isArray(value) && value.length > 0 && value.every(item => item && item.id !== undefined));
+
+                    if (created) {
+                        id = created.id;
+                        after = auditSnapshot(resolve ? resolve(id) || created : created);
+                    } else if (createdList) {
+                        id = createdList.map(item => item.id);
+                        after = auditSnapshot(createdList);
+                    }
+                }
+                if (resource === 'schedule') after = auditSnapshot(globalStorage.schedule);
+
+                auditLog.record({
+                    actor: { id: req.admin.id, username: req.admin.username, role: req.admin.role },
+                    action: auditActionName(req.method, routePath),
+                    method: req.method,
+                    route: routePath,
+                    resource: resource || null,
+                    targetId: id,
+                    statusCode: res.statusCode,
+                    success: res.statusCode < 400,
+                    before: hasIdParam || resource === 'schedule' ? before : null,
+                    after: after,
+                    ip: req.ip,
+                    userAgent: req.get('user-agent') || null
+                });
+            } catch (error) {
+                logger.error('❌ Audit log write failed:', error);
+            }
+        });
+
+        next();
+    }
+
+    app.use('/api/admin', auditTrail);
+
+    const AUDIT_CSV_COLUMNS = ['id', 'timestamp', 'actor', 'role', 'action', 'method', 'route', 'resource',
+        'targetId', 'statusCode', 'ip', 'before', 'after'];
+
+    function csvCell(value) {
+        if (value === null || value === undefined) return '';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        // Leading =, +, - or @ would be run as a formula by spreadsheet apps
+        const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+        return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+    }
+
+    // Query: actor, action (exact or prefix, e.g. "orders"), resource, targetId, from, to, page,
+    // limit, format=csv (exports every match, ignoring page/limit)
+    app.get('/api/admin/audit', authMiddleware, requireRole('owner'), (req, res) => {
+        try {
+            const { actor, action, resource, targetId, from, to, format } = req.query;
+            const page = req.query.page ? parseInt(req.query.page) : 1;
+            const limit = req.query.limit ? parseInt(req.query.limit) : 100;
+
+            if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+                return res.status(400).json({
+                    error: 'Invalid date range',
+                    message: 'from and to must be valid dates'
+                });
+            }
+            if (!(page >= 1) || !(limit >= 1 && limit <= MAX_AUDIT_PAGE_SIZE)) {
+                return res.status(400).json({
+                    error: 'Invalid pagination',
+                    message: `page must be 1 or more and limit between 1 and ${MAX_AUDIT_PAGE_SIZE}`
+                });
+            }
+
+            const entries = auditLog.query({ actor, action, resource, targetId, from, to });
+
+            if (format === 'csv') {
+                const rows = entries.map(entry => [
+                    entry.id, entry.timestamp, entry.actor.username, entry.actor.role, entry.action, entry.method,
+                    entry.route, entry.resource, entry.targetId, entry.statusCode, entry.ip, entry.before, entry.after
+                ].map(csvCell).join(','));
+
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date(clock()).toISOString().slice(0, 10)}.csv"`);
+                return res.send([AUDIT_CSV_COLUMNS.join(','), ...rows].join('\n') + '\n');
+            }
+
+            res.set('X-Total-Count', String(entries.length));
+            res.json({
+                success: true,
+                total: entries.length,
+                page: page,
+                limit: limit,
+                chainBrokenAt: auditLog.verify(),
+                entries: entries.slice((page - 1) * limit, page * limit)
+            });
+
+        } catch (error) {
+            logger.error('❌ Audit query error:', error);
+            res.status(500).json({
+                error: 'Audit query failed',
+                message: 'Could not load the audit log'
+            });
+        }
+    });
+
+    // Compared against when the username is unknown, so failed logins take the same time either way
+    const DUMMY_PASSWORD_HASH = bcrypt.hashSync('warm-delights-dummy-password', BCRYPT_ROUNDS);
+
+    // **🔑 ADMIN LOGIN WITH GLOBAL STORAGE**
+    app.post('/api/admin/login', authLimiter, async (req, res) => {
+        try {
+            const { username, password } = req.body;
+
+            if (!username || !password) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Username and password are required'
+                });
+            }
+
+            // Verify credentials
+            const user = adminUsers.findByUsername(username);
+            const isValidPassword = await bcrypt.compare(String(password), user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+
+            if (!user || !isValidPassword || !user.active) {
+                // Track failed attempt
+                globalStorage.trackEvent('admin_login_failed', {
+                    username: String(username).slice(0, 100),
+                    ip: req.ip,
+                    userAgent: req.get('User-Agent')
+                });
+
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid credentials'
+                });
+            }
+
+            // Open a server-side session and hand out a short-lived access token plus a refresh token
+            const { session, refreshToken } = adminSessions.createSession(user, {
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            adminUsers.updateUser(user.id, { lastLoginAt: new Date(clock()).toISOString() });
+
+            // Track successful login
+            globalStorage.trackEvent('admin_login_success', {
+                username: user.username,
+                sessionId: session.id,
+                ip: req.ip
+            });
+
+            logger.log(`✅ Admin login successful: ${user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Login successful',
+                ...issueTokenPair(user, session, refreshToken),
+                user: {
+                    username: user.username,
+                    role: user.role
+                }
+            });
+
+        } catch (error) {
+            logger.error('❌ Admin login error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error'
+            });
+        }
+    });
+
+    function issueTokenPair(user, session, refreshToken) {
+        const token = jwt.sign({
+            sub: user.id,
+            sid: session.id,
+            username: user.username,
+            role: user.role,
+            isAdmin: true,
+            iat: Math.floor(clock() / 1000)
+        }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+
+        return {
+            token: token,
+            expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+            refreshToken: refreshToken,
+            refreshExpiresAt: session.expiresAt
+        };
+    }
+
+    const refreshLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 60,
+        message: 'Too many token refreshes, please try again later.',
+        standardHeaders: true,
+        legacyHeaders: false,
+    });
+
+    // **🔄 TOKEN REFRESH**
+    app.post('/api/admin/refresh', refreshLimiter, (req, res) => {
+        try {
+            const { refreshToken } = req.body || {};
+
+            if (!refreshToken) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Refresh token is required'
+                });
+            }
+
+            const rotated = adminSessions.rotateRefreshToken(String(refreshToken));
+            const user = rotated && adminUsers.getUser(rotated.session.userId);
+
+            if (!rotated || !user || !user.active) {
+                if (rotated) {
+                    adminSessions.revokeSession(rotated.session.id, { reason: 'user_disabled' });
+                }
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid or expired refresh token'
+                });
+            }
+
+            res.json({
+                success: true,
+                ...issueTokenPair(user, rotated.session, rotated.refreshToken)
+            });
+
+        } catch (error) {
+            logger.error('❌ Token refresh error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error'
+            });
+        }
+    });
+
+    // **🚪 LOGOUT**
+    app.post('/api/admin/logout', authMiddleware, (req, res) => {
+        adminSessions.revokeSession(req.admin.sessionId, {
+            revokedBy: req.admin.username,
+            reason: 'logout'
+        });
+
+        globalStorage.trackEvent('admin_logout', {
+            username: req.admin.username,
+            sessionId: req.admin.sessionId
+        });
+
+        res.json({
+            success: true,
+            message: 'Logged out'
+        });
+    });
+
+    // **🎟️ SESSION MANAGEMENT**
+    // Everyone sees their own sessions; owners can pass ?all=true to see every admin's
+    app.get('/api/admin/sessions', authMiddleware, (req, res) => {
+        const showAll = req.query.all === 'true' && req.admin.role === 'owner';
+        const sessions = adminSessions.getActiveSessions(showAll ? {} : { userId: req.admin.id })
+            .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt))
+            .map(session => ({
+                ...adminSessions.toPublic(session),
+                current: session.id === req.admin.sessionId
+            }));
+
+        res.json({
+            success: true,
+            count: sessions.length,
+            sessions: sessions
+        });
+    });
+
+    app.delete('/api/admin/sessions/:id', authMiddleware, (req, res) => {
+        const session = adminSessions.getSession(req.params.id);
+
+        if (!session || !adminSessions.isActive(session) ||
+            (session.userId != req.admin.id && req.admin.role !== 'owner')) {
+            return res.status(404).json({
+                error: 'Session not found',
+                message: 'The requested session does not exist or is already revoked'
+            });
+        }
+
+        adminSessions.revokeSession(session.id, {
+            revokedBy: req.admin.username,
+            reason: 'revoked'
+        });
+
+        globalStorage.trackEvent('admin_session_revoked', {
+            sessionId: session.id,
+            username: session.username,
+            by: req.admin.username
+        });
+
+        res.json({
+            success: true,
+            message: 'Session revoked'
+        });
+    });
+
+    // **👥 ADMIN USER MANAGEMENT**
+    function validatePassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+        }
+        return null;
+    }
+
+    function generateTemporaryPassword() {
+        return crypto.randomBytes(12).toString('base64url');
+    }
+
+    app.get('/api/admin/me', authMiddleware, (req, res) => {
+        res.json({
+            success: true,
+            user: adminUsers.toPublic(adminUsers.getUser(req.admin.id))
+        });
+    });
+
+    app.post('/api/admin/me/password', authMiddleware, async (req, res) => {
+        try {
+            const { currentPassword, newPassword } = req.body || {};
+            const user = adminUsers.getUser(req.admin.id);
+
+            if (!currentPassword || !(await bcrypt.compare(String(currentPassword), user.passwordHash))) {
+                return res.status(400).json({
+                    error: 'Invalid password',
+                    message: 'Current password is incorrect'
+                });
+            }
+
+            const passwordError = validatePassword(newPassword);
+            if (passwordError) {
+                return res.status(400).json({
+                    error: 'Invalid password',
+                    message: passwordError
+                });
+            }
+
+            await adminUsers.setPassword(user.id, newPassword);
+            adminSessions.revokeUserSessions(user.id, { revokedBy: user.username, reason: 'password_changed' });
+
+            globalStorage.trackEvent('admin_password_changed', {
+                username: user.username
+            });
+
+            res.json({
+                success: true,
+                message: 'Password changed. Please log in again.'
+            });
+
+        } catch (error) {
+            logger.error('❌ Password change error:', error);
+            res.status(500).json({
+                error: 'Update failed',
+                message: 'Could not change password'
+            });
+        }
+    });
+
+    app.get('/api/admin/users', authMiddleware, requireRole('owner'), (req, res) => {
+        res.json({
+            success: true,
+            users: adminUsers.users.map(user => adminUsers.toPublic(user))
+        });
+    });
+
+    app.post('/api/admin/users', authMiddleware, requireRole('owner'), async (req, res) => {
+        try {
+            const { username, password, role } = req.body || {};
+
+            if (typeof username !== 'string' || !/^[a-zA-Z0-9_.-]{3,50}$/.test(username)) {
+                return res.status(400).json({
+                    error: 'Invalid username',
+                    message: 'Username must be 3-50 letters, digits, dots, dashes or underscores'
+                });
+            }
+
+            if (!ADMIN_ROLES.includes(role)) {
+                return res.status(400).json({
+                    error: 'Invalid role',
+                    message: `role must be one of: ${ADMIN_ROLES.join(', ')}`
+                });
+            }
+
+            const passwordError = validatePassword(password);
+            if (passwordError) {
+                return res.status(400).json({
+                    error: 'Invalid password',
+                    message: passwordError
+                });
+            }
+
+            if (adminUsers.findByUsername(username)) {
+                return res.status(409).json({
+                    error: 'Username taken',
+                    message: 'An admin user with that username already exists'
+                });
+            }
+
+            const user = await adminUsers.createUser({
+                username: username,
+                password: password,
+                role: role,
+                createdBy: req.admin.username
+            });
+
+            globalStorage.trackEvent('admin_user_created', {
+                username: user.username,
+                role: user.role,
+                by: req.admin.username
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Admin user created',
+                user: adminUsers.toPublic(user)
+            });
+
+        } catch (error) {
+            logger.error('❌ User create error:', error);
+            res.status(500).json({
+                error: 'Create failed',
+                message: 'Could not create admin user'
+            });
+        }
+    });
+
+    app.patch('/api/admin/users/:id', authMiddleware, requireRole('owner'), (req, res) => {
+        const { role, active } = req.body || {};
+        const user = adminUsers.getUser(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                error: 'User not found',
+                message: 'The requested admin user does not exist'
+            });
+        }
+
+        if (role !== undefined && !ADMIN_ROLES.includes(role)) {
+            return res.status(400).json({
+                error: 'Invalid role',
+                message: `role must be one of: ${ADMIN_ROLES.join(', ')}`
+            });
+        }
+
+        if (active !== undefined && typeof active !== 'boolean') {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'active must be a boolean'
+            });
+        }
+
+        const losesOwner = user.role === 'owner' && user.active &&
+            ((role !== undefined && role !== 'owner') || active === false);
+        if (losesOwner && adminUsers.countActiveOwners() <= 1) {
+            return res.status(409).json({
+                error: 'Last owner',
+                message: 'At least one active owner must remain'
+            });
+        }
+
+        const changes = {};
+        if (role !== undefined) changes.role = role;
+        if (active !== undefined) changes.active = active;
+
+        const updated = adminUsers.updateUser(user.id, changes);
+        if (active === false) {
+            adminSessions.revokeUserSessions(user.id, { revokedBy: req.admin.username, reason: 'user_disabled' });
+        }
+
+        globalStorage.trackEvent('admin_user_updated', {
+            username: updated.username,
+            changes: changes,
+            by: req.admin.username
+        });
+
+        res.json({
+            success: true,
+            message: 'Admin user updated',
+            user: adminUsers.toPublic(updated)
+        });
+    });
+
+    app.post('/api/admin/users/:id/reset-password', authMiddleware, requireRole('owner'), async (req, res) => {
+        try {
+            const user = adminUsers.getUser(req.params.id);
+
+            if (!user) {
+                return res.status(404).json({
+                    error: 'User not found',
+                    message: 'The requested admin user does not exist'
+                });
+            }
+
+            // Without a password in the body, a temporary one is generated and returned once
+            const provided = req.body && req.body.password;
+            const password = provided || generateTemporaryPassword();
+            const passwordError = validatePassword(password);
+            if (passwordError) {
+                return res.status(400).json({
+                    error: 'Invalid password',
+                    message: passwordError
+                });
+            }
+
+            await adminUsers.setPassword(user.id, password);
+            adminSessions.revokeUserSessions(user.id, { revokedBy: req.admin.username, reason: 'password_reset' });
+
+            globalStorage.trackEvent('admin_password_reset', {
+                username: user.username,
+                by: req.admin.username
+            });
+
+            res.json({
+                success: true,
+                message: `Password reset for ${user.username}`,
+                temporaryPassword: provided ? undefined : password
+            });
+
+        } catch (error) {
+            logger.error('❌ Password reset error:', error);
+            res.status(500).json({
+                error: 'Reset failed',
+                message: 'Could not reset password'
+            });
+        }
+    });
+
+    // **📤 IMAGE UPLOAD TO GLOBAL STORAGE**
+    // Files whose bytes are already in the gallery are skipped unless the form sends allowDuplicates=true
+    app.post('/api/admin/gallery/upload', authMiddleware, requireRole('editor'), upload.array('images', config.uploads.maxFiles), async (req, res) => {
+        logger.log('📸 Admin gallery upload to global storage');
+
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({
+                error: 'No files uploaded',
+                message: 'Please select image files'
+            });
+        }
+
+        try {
+            // Inspect every file before storing any, so a bad file rejects the whole upload
+            const inspections = [];
+            for (const file of req.files) {
+                const inspection = await inspectUploadedFile(file);
+                if (inspection.error) {
+                    removeUploadedFiles(req.files);
+
+                    globalStorage.trackEvent('admin_upload_rejected', {
+                        originalName: file.originalname,
+                        reason: inspection.error
+                    });
+
+                    return res.status(400).json({
+                        error: 'Invalid file content',
+                        message: inspection.error
+                    });
+                }
+                inspections.push(inspection);
+            }
+
+            const allowDuplicates = req.body.allowDuplicates === 'true';
+            const uploadedImages = [];
+            const duplicates = [];
+
+            // Process each uploaded file
+            for (const [index, file] of req.files.entries()) {
+                const { type, dimensions, contentHash } = inspections[index];
+                const existing = globalStorage.findImageByHash(contentHash);
+
+                if (existing && !allowDuplicates) {
+                    removeUploadedFiles([file]);
+                    duplicates.push({
+                        originalName: file.originalname,
+                        existingImageId: existing.id,
+                        existingUrl: existing.url
+                    });
+                    continue;
+                }
+
+                // Add to global storage
+                const imageData = globalStorage.addImage({
+                    filename: file.filename,
+                    originalName: file.originalname,
+                    uploadedBy: req.admin.username,
+                    size: file.size,
+                    mimeType: type,
+                    width: dimensions ? dimensions.width : null,
+                    height: dimensions ? dimensions.height : null,
+                    contentHash: contentHash,
+                    duplicateOf: existing ? existing.id : null
+                });
+
+                uploadedImages.push(imageData);
+
+                // Track successful upload
+                globalStorage.trackEvent('admin_upload_success', {
+                    filename: file.filename,
+                    size: file.size
+                });
+
+                logger.log('✅ Image uploaded to global storage:', imageData.filename);
+            }
+
+            res.json({
+                success: true,
+                message: `${uploadedImages.length} image(s) uploaded to global storage!` +
+                    (duplicates.length > 0 ? ` ${duplicates.length} duplicate(s) skipped.` : ''),
+                images: uploadedImages,
+                duplicates: duplicates
+            });
+
+        } catch (error) {
+            logger.error('❌ Upload error:', error);
+            removeUploadedFiles(req.files);
+            res.status(500).json({
+                error: 'Upload failed',
+                message: 'Could not upload images to global storage'
+            });
+        }
+    });
+
+    // **🖼️ PUBLIC GALLERY FROM GLOBAL STORAGE**
+    const GALLERY_SORTS = ['date', 'views', 'order'];
+    const MAX_GALLERY_PAGE_SIZE = 100;
+
+    // The body stays a plain array for existing clients; pagination details travel in X-* headers
+    app.get('/api/images', galleryLimiter, (req, res) => {
+        try {
+            const sort = req.query.sort || 'date';
+            const page = req.query.page ? parseInt(req.query.page) : 1;
+            const limit = req.query.limit ? parseInt(req.query.limit) : null;
+            const tag = req.query.tag ? normalizeTag(req.query.tag) : null;
+
+            if (!GALLERY_SORTS.includes(sort)) {
+                return res.status(400).json({
+                    error: 'Invalid sort',
+                    message: `sort must be one of: ${GALLERY_SORTS.join(', ')}`
+                });
+            }
+
+            if (!(page >= 1) || (limit !== null && !(limit >= 1 && limit <= MAX_GALLERY_PAGE_SIZE))) {
+                return res.status(400).json({
+                    error: 'Invalid pagination',
+                    message: `page must be 1 or more and limit between 1 and ${MAX_GALLERY_PAGE_SIZE}`
+                });
+            }
+
+            const { images, total } = globalStorage.queryPublicImages({ tag, sort, page, limit });
+
+            const imageData = images.map(img => ({
+                id: img.id,
+                filename: img.filename,
+                name: img.originalName,
+                url: img.url,
+                alt: img.alt,
+                caption: img.caption || '',
+                tags: img.tags || [],
+                width: img.width || null,
+                height: img.height || null,
+                views: img.views,
+                uploadedAt: img.uploadedAt,
+                size: img.size
+            }));
+
+            // Track gallery view
+            if (isBotRequest(req)) {
+                recordFiltered('gallery', 'bot');
+            } else {
+                globalStorage.trackEvent('gallery_viewed', {
+                    ip: req.ip,
+                    imagesCount: imageData.length
+                });
+            }
+
+            logger.log(`🌍 Global gallery served: ${imageData.length} images`);
+
+            res.set('X-Total-Count', String(total));
+            if (limit) {
+                res.set('X-Page', String(page));
+                res.set('X-Limit', String(limit));
+            }
+            res.json(imageData);
+
+        } catch (error) {
+            logger.error('❌ Gallery error:', error);
+            res.status(500).json({ error: 'Failed to load gallery from global storage' });
+        }
+    });
+
+    // **🏷️ GALLERY METADATA**
+    const MAX_IMAGE_TAGS = 20;
+
+    function normalizeTag(tag) {
+        return String(tag).trim().toLowerCase().replace(/\s+/g, '-');
+    }
+
+    // Validates editable image fields; with `partial` only the supplied fields are checked (for PATCH)
+    function validateImageMetadata(body, { partial = false } = {}) {
+        const errors = [];
+        const changes = {};
+        const has = field => body[field] !== undefined;
+
+        if (!partial || has('alt')) {
+            if (typeof body.alt !== 'string' || !body.alt.trim() || body.alt.length > 300) {
+                errors.push('alt must be a non-empty string of at most 300 characters');
+            } else {
+                changes.alt = body.alt.trim();
+            }
+        }
+
+        if (!partial || has('caption')) {
+            if (has('caption') && (typeof body.caption !== 'string' || body.caption.length > 1000)) {
+                errors.push('caption must be a string of at most 1000 characters');
+            } else {
+                changes.caption = (body.caption || '').trim();
+            }
+        }
+
+        if (!partial || has('tags')) {
+            const tags = has('tags') ? body.tags : [];
+            if (!Array.isArray(tags) || tags.length > MAX_IMAGE_TAGS) {
+                errors.push(`tags must be an array of at most ${MAX_IMAGE_TAGS} tags`);
+            } else {
+                const normalized = tags.map(normalizeTag);
+                if (normalized.some(tag => !/^[a-z0-9-]{1,40}$/.test(tag))) {
+                    errors.push('tags may only contain letters, digits and dashes (up to 40 characters)');
+                } else {
+                    changes.tags = [...new Set(normalized)];
+                }
+            }
+        }
+
+        if (!partial || has('isPublic')) {
+            if (has('isPublic') && typeof body.isPublic !== 'boolean') {
+                errors.push('isPublic must be a boolean');
+            } else {
+                changes.isPublic = body.isPublic !== false;
+            }
+        }
+
+        return { errors, changes };
+    }
+
+    // Every image, including private ones, for the admin gallery manager
+    app.get('/api/admin/gallery', authMiddleware, (req, res) => {
+        const images = globalStorage.images
+            .slice()
+            .sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0));
+
+        res.json({
+            success: true,
+            count: images.length,
+            images: images
+        });
+    });
+
+    app.put('/api/admin/gallery/order', authMiddleware, requireRole('editor'), (req, res) => {
+        try {
+            const { ids } = req.body || {};
+
+            if (!Array.isArray(ids) || ids.length === 0) {
+                return res.status(400).json({
+                    error: 'Invalid order',
+                    message: 'ids must be a non-empty array of image ids'
+                });
+            }
+
+            const unknown = ids.filter(id => !globalStorage.getImage(id));
+            if (unknown.length > 0 || new Set(ids.map(Number)).size !== ids.length) {
+                return res.status(400).json({
+                    error: 'Invalid order',
+                    message: unknown.length > 0
+                        ? `Unknown image ids: ${unknown.join(', ')}`
+                        : 'ids must not contain duplicates'
+                });
+            }
+
+            const images = globalStorage.reorderImages(ids);
+
+            globalStorage.trackEvent('admin_gallery_reordered', {
+                count: ids.length
+            });
+
+            res.json({
+                success: true,
+                message: 'Gallery order updated',
+                order: images.map(img => ({ id: img.id, sortOrder: img.sortOrder }))
+            });
+
+        } catch (error) {
+            logger.error('❌ Reorder error:', error);
+            res.status(500).json({
+                error: 'Reorder failed',
+                message: 'Could not update gallery order'
+            });
+        }
+    });
+
+    const updateImageHandler = (req, res) => {
+        try {
+            if (!globalStorage.getImage(req.params.id)) {
+                return res.status(404).json({
+                    error: 'Image not found',
+                    message: 'The requested image does not exist in global storage'
+                });
+            }
+
+            // PUT replaces all editable fields, PATCH only the supplied ones
+            const { errors, changes } = validateImageMetadata(req.body || {}, { partial: req.method === 'PATCH' });
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    error: 'Invalid image metadata',
+                    message: errors.join('; ')
+                });
+            }
+
+            const image = globalStorage.updateImage(req.params.id, changes);
+
+            globalStorage.trackEvent('admin_image_updated', {
+                imageId: image.id,
+                fields: Object.keys(changes)
+            });
+
+            res.json({
+                success: true,
+                message: 'Image updated',
+                image: image
+            });
+
+        } catch (error) {
+            logger.error('❌ Image update error:', error);
+            res.status(500).json({
+                error: 'Update failed',
+                message: 'Could not update image in global storage'
+            });
+        }
+    };
+
+    app.put('/api/admin/gallery/:id', authMiddleware, requireRole('editor'), updateImageHandler);
+    app.patch('/api/admin/gallery/:id', authMiddleware, requireRole('editor'), updateImageHandler);
+
+    // **👁️ TRACK IMAGE VIEWS IN GLOBAL STORAGE**
+    // Only the first view per visitor per image within VIEW_DEDUP_WINDOW counts; repeats and bots get
+    // the current count back with counted: false
+    app.post('/api/images/:filename/view', viewLimiter, (req, res) => {
+        try {
+            const filename = req.params.filename;
+            const image = globalStorage.images.find(img => img.filename === filename && img.isPublic !== false);
+
+            if (!image) {
+                recordFiltered('view', 'unknown_image');
+                return res.status(404).json({
+                    success: false,
+                    message: 'Image not found'
+                });
+            }
+
+            const filterReason = isBotRequest(req) ? 'bot'
+                : !viewDeduplicator.shouldCount(req, filename) ? 'duplicate'
+                : null;
+            if (filterReason) {
+                recordFiltered('view', filterReason);
+                return res.json({ success: true, views: image.views || 0, counted: false });
+            }
+
+            const views = globalStorage.incrementImageViews(filename);
+
+            globalStorage.trackEvent('image_view', {
+                filename: filename,
+                ip: req.ip,
+                views: views
+            });
+
+            res.json({ success: true, views: views, counted: true });
+
+        } catch (error) {
+            logger.error('❌ Image view tracking error:', error);
+            res.status(500).json({ error: 'View tracking failed' });
+        }
+    });
+
+    // **🗑️ DELETE FROM GLOBAL STORAGE**
+    // Deleting only moves the image to the trash; it can be restored until it is purged
+    const TRASH_RETENTION_DAYS = config.retention.trashDays;
+    const TRASH_PURGE_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+    app.delete('/api/admin/gallery/:id', authMiddleware, requireRole('editor'), (req, res) => {
+        try {
+            const imageId = parseInt(req.params.id);
+            const trashedImage = globalStorage.trashImage(imageId, req.admin.username);
+
+            if (!trashedImage) {
+                return res.status(404).json({
+                    error: 'Image not found',
+                    message: 'The requested image does not exist in global storage'
+                });
+            }
+
+            // Track deletion
+            globalStorage.trackEvent('admin_image_deleted', {
+                imageId: imageId,
+                filename: trashedImage.filename
+            });
+
+            res.json({
+                success: true,
+                message: `Image moved to trash. It will be permanently deleted after ${TRASH_RETENTION_DAYS} days.`,
+                deletedImage: {
+                    id: imageId,
+                    filename: trashedImage.filename,
+                    deletedAt: trashedImage.deletedAt
+                }
+            });
+
+        } catch (error) {
+            logger.error('❌ Delete error:', error);
+            res.status(500).json({
+                error: 'Delete failed',
+                message: 'Could not delete image from global storage'
+            });
+        }
+    });
+
+    // **♻️ TRASH**
+    function trashedImageNotFound(res) {
+        return res.status(404).json({
+            error: 'Image not found',
+            message: 'The requested image is not in the trash'
+        });
+    }
+
+    app.get('/api/admin/trash', authMiddleware, (req, res) => {
+        const retentionMs = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        const images = globalStorage.trash
+            .slice()
+            .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+            .map(img => ({
+                ...img,
+                purgeAt: new Date(new Date(img.deletedAt).getTime() + retentionMs).toISOString()
+            }));
+
+        res.json({
+            success: true,
+            retentionDays: TRASH_RETENTION_DAYS,
+            count: images.length,
+            images: images
+        });
+    });
+
+    app.post('/api/admin/trash/:id/restore', authMiddleware, requireRole('editor'), (req, res) => {
+        try {
+            const image = globalStorage.restoreImage(req.params.id);
+            if (!image) return trashedImageNotFound(res);
+
+            globalStorage.trackEvent('admin_image_restored', {
+                imageId: image.id,
+                filename: image.filename
+            });
+
+            res.json({
+                success: true,
+                message: 'Image restored from trash',
+                image: image
+            });
+
+        } catch (error) {
+            logger.error('❌ Restore error:', error);
+            res.status(500).json({
+                error: 'Restore failed',
+                message: 'Could not restore image from trash'
+            });
+        }
+    });
+
+    app.delete('/api/admin/trash/:id', authMiddleware, requireRole('editor'), (req, res) => {
+        const purged = globalStorage.purgeTrashedImage(req.params.id);
+        if (!purged) return trashedImageNotFound(res);
+
+        globalStorage.trackEvent('admin_image_purged', {
+            imageId: purged.id,
+            filename: purged.filename
+        });
+
+        res.json({
+            success: true,
+            message: 'Image permanently deleted',
+            deletedImage: {
+                id: purged.id,
+                filename: purged.filename
+            }
+        });
+    });
+
+    function purgeExpiredTrash() {
+        const expired = globalStorage.purgeExpiredTrash(TRASH_RETENTION_DAYS);
+        if (expired.length > 0) {
+            logger.log(`🧹 Purged ${expired.length} image(s) from trash`);
+            globalStorage.trackEvent('trash_auto_purged', {
+                count: expired.length,
+                imageIds: expired.map(img => img.id)
+            });
+        }
+    }
+
+    // **🩺 STORAGE INTEGRITY**
+    app.get('/api/admin/integrity', authMiddleware, (req, res) => {
+        try {
+            res.json({ success: true, report: globalStorage.checkIntegrity() });
+        } catch (error) {
+            logger.error('❌ Integrity check error:', error);
+            res.status(500).json({
+                error: 'Integrity check failed',
+                message: 'Could not check storage integrity'
+            });
+        }
+    });
+
+    // Body flags: importOrphans, pruneMissing, fixSizes (all default to false)
+    app.post('/api/admin/integrity/repair', authMiddleware, requireRole('owner'), async (req, res) => {
+        try {
+            const body = req.body || {};
+            const options = {
+                importOrphans: body.importOrphans === true,
+                pruneMissing: body.pruneMissing === true,
+                fixSizes: body.fixSizes === true
+            };
+
+            const result = await globalStorage.repairIntegrity(options, req.admin.username);
+
+            globalStorage.trackEvent('admin_integrity_repaired', {
+                options: options,
+                imported: result.actions.imported.length,
+                pruned: result.actions.pruned.length,
+                resized: result.actions.resized.length
+            });
+
+            res.json({ success: true, ...result });
+
+        } catch (error) {
+            logger.error('❌ Integrity repair error:', error);
+            res.status(500).json({
+                error: 'Repair failed',
+                message: 'Could not repair storage'
+            });
+        }
+    });
+
+    // **🗄️ BACKUPS**
+    // Archives are gzipped tar files holding global_gallery.json, the upload and trash files, and a
+    // manifest.json with a SHA-256 checksum for each of them. Admin accounts and sessions are not included.
+    const BACKUP_FORMAT = 'warm-delights-backup';
+    const BACKUP_FORMAT_VERSION = 1;
+    const BACKUP_ENABLED = config.backups.enabled;
+    const BACKUP_INTERVAL = config.backups.interval;
+    const MAX_BACKUPS = config.backups.keep;
+    const BACKUP_LOCATION = path.resolve(dataDir, config.paths.backups);
+    const MAX_BACKUP_UPLOAD_SIZE = config.uploads.maxBackupSize;
+    const BACKUP_FILE_PATTERN = /^warm-delights-([a-z-]+?)-(\d{4}-[0-9TZ-]+)\.tar\.gz$/;
+    const TAR_BLOCK_SIZE = 512;
+
+    function writeTarString(header, value, offset, length) {
+        header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+    }
+
+    function writeTarOctal(header, value, offset, length) {
+        header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+    }
+
+    function createTarHeader(name, size, mtime, type = '0') {
+        const header = Buffer.alloc(TAR_BLOCK_SIZE);
+        writeTarString(header, name, 0, 100);
+        writeTarOctal(header, 0o644, 100, 8);
+        writeTarOctal(header, 0, 108, 8);
+        writeTarOctal(header, 0, 116, 8);
+        writeTarOctal(header, size, 124, 12);
+        writeTarOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+        header.write('        ', 148, 8, 'ascii');
+        header.write(type, 156, 1, 'ascii');
+        header.write('ustar\0' + '00', 257, 8, 'ascii');
+
+        let checksum = 0;
+        for (const byte of header) checksum += byte;
+        header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+        return header;
+    }
+
+    function tarPadding(size) {
+        return Buffer.alloc((TAR_BLOCK_SIZE - (size % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE);
+    }
+
+    // Names longer than the 100-byte ustar field are written as a GNU long-name entry first
+    function* tarEntry(name, data, mtime = new Date(clock())) {
+        if (Buffer.byteLength(name) > 100) {
+            const longName = Buffer.from(name + '\0');
+            yield createTarHeader('././@LongLink', longName.length, mtime, 'L');
+            yield longName;
+            yield tarPadding(longName.length);
+        }
+        yield createTarHeader(name, data.length, mtime);
+        yield data;
+        yield tarPadding(data.length);
+    }
+
+    // Returns a Map of entry name -> Buffer; throws on anything that is not a well-formed archive
+    function readTarArchive(buffer) {
+        const tar = buffer[0] === 0x1f && buffer[1] === 0x8b ? zlib.gunzipSync(buffer) : buffer;
+        const entries = new Map();
+        let offset = 0;
+        let longName = null;
+
+        while (offset + TAR_BLOCK_SIZE <= tar.length) {
+            const header = tar.subarray(offset, offset + TAR_BLOCK_SIZE);
+            if (header.every(byte => byte === 0)) return entries;
+
+            const readString = (start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+            const storedChecksum = parseInt(readString(148, 8).trim(), 8);
+            let checksum = 0;
+            header.forEach((byte, index) => {
+                checksum += index >= 148 && index < 156 ? 0x20 : byte;
+            });
+            if (storedChecksum !== checksum) {
+                throw new Error(`Corrupt tar header at offset ${offset}`);
+            }
+
+            const size = parseInt(readString(124, 12).trim() || '0', 8);
+            const type = readString(156, 1) || '0';
+            const dataStart = offset + TAR_BLOCK_SIZE;
+            if (dataStart + size > tar.length) {
+                throw new Error('Archive is truncated');
+            }
+            const data = tar.subarray(dataStart, dataStart + size);
+            offset = dataStart + size + tarPadding(size).length;
+
+            if (type === 'L') {
+                longName = data.toString('utf8').replace(/\0.*$/s, '');
+                continue;
+            }
+
+            const prefix = readString(345, 155);
+            // Archives repacked with `tar -C dir .` name their entries "./manifest.json" and so on
+            const name = (longName || (prefix ? `${prefix}/${readString(0, 100)}` : readString(0, 100))).replace(/^\.\//, '');
+            longName = null;
+            if (type === '0') entries.set(name, data);
+        }
+
+        throw new Error('Archive is truncated');
+    }
+
+    function sha256(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex');
+    }
+
+    // Yields the archive's tar blocks one file at a time, with the manifest last so checksums are
+    // computed while streaming instead of reading every upload twice
+    async function* generateBackupEntries() {
+        const snapshot = JSON.stringify(globalStorage.getSnapshot(), null, 2);
+        const manifest = {
+            format: BACKUP_FORMAT,
+            version: BACKUP_FORMAT_VERSION,
+            createdAt: new Date(clock()).toISOString(),
+            counts: {
+                images: globalStorage.images.length,
+                trash: globalStorage.trash.length,
+                products: globalStorage.products.length,
+                orders: globalStorage.orders.length,
+                messages: globalStorage.messages.length,
+                albums: globalStorage.albums.length,
+                inquiries: globalStorage.inquiries.length,
+                reviews: globalStorage.reviews.length,
+                subscribers: globalStorage.subscribers.length,
+                analyticsEvents: globalStorage.analyticsEvents.length
+            },
+            files: []
+        };
+
+        const addFile = function* (name, data, mtime) {
+            manifest.files.push({ path: name, size: data.length, sha256: sha256(data) });
+            yield* tarEntry(name, data, mtime);
+        };
+
+        yield* addFile('global_gallery.json', Buffer.from(snapshot));
+
+        const folders = [
+            ['uploads', globalStorage.uploadDir],
+            ['trash', globalStorage.trashDir],
+            ['inquiries', globalStorage.inquiryDir],
+            ['reviews', globalStorage.reviewDir]
+        ];
+        for (const [folder, dir] of folders) {
+            for (const [filename, stat] of globalStorage.listFiles(dir)) {
+                const data = await fs.promises.readFile(path.join(dir, filename));
+                yield* addFile(`${folder}/${filename}`, data, stat.mtime);
+            }
+        }
+
+        yield* tarEntry('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+        yield Buffer.alloc(TAR_BLOCK_SIZE * 2);
+    }
+
+    function streamBackup(destination) {
+        return new Promise((resolve, reject) => {
+            pipeline(Readable.from(generateBackupEntries()), zlib.createGzip(), destination, error => {
+                if (error) reject(error);
+                else resolve();
+            });
+        });
+    }
+
+    async function createBackupSnapshot(kind = 'snapshot') {
+        fs.mkdirSync(BACKUP_LOCATION, { recursive: true });
+
+        const stamp = new Date(clock()).toISOString().replace(/[:.]/g, '-');
+        const filePath = path.join(BACKUP_LOCATION, `warm-delights-${kind}-${stamp}.tar.gz`);
+        const tmpPath = `${filePath}.tmp`;
+
+        await streamBackup(fs.createWriteStream(tmpPath, { mode: 0o600 }));
+        await fs.promises.rename(tmpPath, filePath);
+
+        rotateBackupSnapshots();
+        logger.log(`🗄️ Backup written: ${path.basename(filePath)}`);
+        return filePath;
+    }
+
+    function listBackupSnapshots() {
+        if (!fs.existsSync(BACKUP_LOCATION)) return [];
+
+        return fs.readdirSync(BACKUP_LOCATION)
+            .filter(name => BACKUP_FILE_PATTERN.test(name))
+            .map(name => {
+                const stat = fs.statSync(path.join(BACKUP_LOCATION, name));
+                const kind = BACKUP_FILE_PATTERN.exec(name)[1];
+                return { name: name, kind: kind, size: stat.size, createdAt: stat.mtime.toISOString() };
+            })
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // MAX_BACKUPS applies to each kind on its own, so scheduled snapshots never push out
+    // the pre-restore archive (the way back from a bad restore) or a manual backup
+    function rotateBackupSnapshots() {
+        const kept = {};
+        listBackupSnapshots().forEach(snapshot => {
+            kept[snapshot.kind] = (kept[snapshot.kind] || 0) + 1;
+            if (kept[snapshot.kind] <= MAX_BACKUPS) return;
+
+            fs.unlinkSync(path.join(BACKUP_LOCATION, snapshot.name));
+            logger.log(`🧹 Rotated out backup: ${snapshot.name}`);
+        });
+    }
+
+    function runScheduledBackup() {
+        createBackupSnapshot('snapshot').catch(error => {
+            logger.error('❌ Scheduled backup failed:', error);
+        });
+    }
+
+    function invalidBackup(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_BACKUP';
+        return error;
+    }
+
+    // Checks the archive against its manifest and returns its entries and parsed gallery data;
+    // throws an INVALID_BACKUP error describing the first problem found
+    function validateBackupArchive(buffer) {
+        let entries;
+        try {
+            entries = readTarArchive(buffer);
+        } catch (error) {
+            throw invalidBackup(`Archive could not be read: ${error.message}`);
+        }
+
+        const manifestData = entries.get('manifest.json');
+        if (!manifestData) throw invalidBackup('Archive has no manifest.json');
+
+        let manifest;
+        try {
+            manifest = JSON.parse(manifestData.toString('utf8'));
+        } catch (error) {
+            throw invalidBackup('manifest.json is not valid JSON');
+        }
+
+        if (manifest.format !== BACKUP_FORMAT || !Array.isArray(manifest.files)) {
+            throw invalidBackup('Archive is not a Warm Delights backup');
+        }
+        if (manifest.version > BACKUP_FORMAT_VERSION) {
+            throw invalidBackup(`Backup format version ${manifest.version} is newer than this server supports`);
+        }
+
+        const listed = new Set(['manifest.json']);
+        manifest.files.forEach(file => {
+            const isDataFile = file.path === 'global_gallery.json';
+            const isMediaFile = /^(uploads|trash|inquiries|reviews)\/[^/\\]+$/.test(file.path) && !file.path.includes('..');
+            if (!isDataFile && !isMediaFile) {
+                throw invalidBackup(`Unexpected path in manifest: ${file.path}`);
+            }
+
+            const data = entries.get(file.path);
+            if (!data) throw invalidBackup(`Missing file: ${file.path}`);
+            if (data.length !== file.size || sha256(data) !== file.sha256) {
+                throw invalidBackup(`Checksum mismatch: ${file.path}`);
+            }
+            listed.add(file.path);
+        });
+
+        const unlisted = [...entries.keys()].filter(name => !listed.has(name));
+        if (unlisted.length > 0) {
+            throw invalidBackup(`Files not listed in manifest: ${unlisted.slice(0, 5).join(', ')}`);
+        }
+
+        if (!entries.has('global_gallery.json')) throw invalidBackup('Archive has no global_gallery.json');
+
+        let data;
+        try {
+            data = JSON.parse(entries.get('global_gallery.json').toString('utf8'));
+        } catch (error) {
+            throw invalidBackup('global_gallery.json is not valid JSON');
+        }
+        if (!Array.isArray(data.images)) throw invalidBackup('global_gallery.json has no images list');
+
+        const missingMedia = [
+            ...data.images.map(img => `uploads/${img.filename}`),
+            ...(data.trash || []).map(img => `trash/${img.filename}`),
+            ...inquiryPhotoFilenames(data.inquiries || []).map(filename => `inquiries/${filename}`),
+            ...reviewPhotoFilenames(data.reviews || []).map(filename => `reviews/${filename}`)
+        ].filter(name => !entries.has(name));
+
+        return { entries, manifest, data, missingMedia };
+    }
+
+    function inquiryPhotoFilenames(inquiries) {
+        return inquiries.flatMap(inquiry => (inquiry.photos || []).map(photo => photo.filename));
+    }
+
+    function reviewPhotoFilenames(reviews) {
+        return reviews.filter(review => review.photo).map(review => review.photo.filename);
+    }
+
+    function writeBackupMedia(entries, folder, dir, filenames) {
+        fs.mkdirSync(dir, { recursive: true });
+        filenames.forEach(filename => {
+            const data = entries.get(`${folder}/${filename}`);
+            if (data) fs.writeFileSync(path.join(dir, filename), data);
+        });
+    }
+
+    // Replace swaps the whole store for the archive's contents; merge only adds what is missing.
+    // A "pre-restore" snapshot of the current state is always taken first.
+    async function restoreBackupArchive(buffer, { mode = 'merge', dryRun = false } = {}) {
+        const { entries, manifest, data, missingMedia } = validateBackupArchive(buffer);
+        const summary = {
+            mode: mode,
+            dryRun: dryRun,
+            createdAt: manifest.createdAt,
+            counts: manifest.counts,
+            missingMedia: missingMedia
+        };
+        if (dryRun) return summary;
+
+        summary.safetySnapshot = path.basename(await createBackupSnapshot('pre-restore'));
+
+        if (mode === 'replace') {
+            [globalStorage.uploadDir, globalStorage.trashDir, globalStorage.inquiryDir, globalStorage.reviewDir].forEach(dir => {
+                globalStorage.listFiles(dir).forEach((stat, filename) => fs.unlinkSync(path.join(dir, filename)));
+            });
+            writeBackupMedia(entries, 'uploads', globalStorage.uploadDir, (data.images || []).map(img => img.filename));
+            writeBackupMedia(entries, 'trash', globalStorage.trashDir, (data.trash || []).map(img => img.filename));
+            writeBackupMedia(entries, 'inquiries', globalStorage.inquiryDir, inquiryPhotoFilenames(data.inquiries || []));
+            writeBackupMedia(entries, 'reviews', globalStorage.reviewDir, reviewPhotoFilenames(data.reviews || []));
+
+            globalStorage.applySnapshot(data);
+            globalStorage.persist('images', 'trash', 'inquiries', 'reviews', 'schedule', 'subscribers', 'campaigns', 'products', 'orders', 'orderIdCounter', 'messages', 'albums', 'analytics', 'analyticsRollups');
+        } else {
+            const merged = globalStorage.mergeSnapshot(data);
+            writeBackupMedia(entries, 'uploads', globalStorage.uploadDir, merged.images.map(img => img.filename));
+            writeBackupMedia(entries, 'trash', globalStorage.trashDir, merged.trash.map(img => img.filename));
+            writeBackupMedia(entries, 'inquiries', globalStorage.inquiryDir, inquiryPhotoFilenames(merged.inquiries));
+            writeBackupMedia(entries, 'reviews', globalStorage.reviewDir, reviewPhotoFilenames(merged.reviews));
+            summary.added = {
+                ...merged,
+                images: merged.images.length,
+                trash: merged.trash.length,
+                inquiries: merged.inquiries.length,
+                reviews: merged.reviews.length
+            };
+        }
+
+        globalStorage.saveGalleryData();
+        logger.log(`♻️ Backup restored (${mode}) from archive created ${manifest.createdAt}`);
+        return summary;
+    }
+
+    const backupUpload = multer({
+        dest: path.join(BACKUP_LOCATION, 'incoming'),
+        limits: {
+            fileSize: MAX_BACKUP_UPLOAD_SIZE,
+            files: 1
+        }
+    });
+
+    app.get('/api/admin/backup', authMiddleware, requireRole('owner'), async (req, res) => {
+        const stamp = new Date(clock()).toISOString().replace(/[:.]/g, '-');
+        res.setHeader('Content-Type', 'application/gzip');
+        res.setHeader('Content-Disposition', `attachment; filename="warm-delights-export-${stamp}.tar.gz"`);
+
+        globalStorage.trackEvent('admin_backup_exported', { by: req.admin.username });
+
+        try {
+            await streamBackup(res);
+        } catch (error) {
+            logger.error('❌ Backup export error:', error);
+            // Headers are already sent, so the client sees a truncated download
+            res.destroy(error);
+        }
+    });
+
+    app.get('/api/admin/backups', authMiddleware, requireRole('owner'), (req, res) => {
+        res.json({
+            success: true,
+            enabled: BACKUP_ENABLED,
+            interval: BACKUP_INTERVAL,
+            maxBackups: MAX_BACKUPS,
+            backups: listBackupSnapshots()
+        });
+    });
+
+    app.post('/api/admin/backups', authMiddleware, requireRole('owner'), async (req, res) => {
+        try {
+            const filePath = await createBackupSnapshot('manual');
+            globalStorage.trackEvent('admin_backup_created', { by: req.admin.username, name: path.basename(filePath) });
+
+            res.status(201).json({
+                success: true,
+                backup: listBackupSnapshots().find(snapshot => snapshot.name === path.basename(filePath))
+            });
+        } catch (error) {
+            logger.error('❌ Backup snapshot error:', error);
+            res.status(500).json({
+                error: 'Backup failed',
+                message: 'Could not create backup snapshot'
+            });
+        }
+    });
+
+    // Multipart field "archive"; body "mode" is merge (default) or replace, "dryRun=true" only validates
+    app.post('/api/admin/backup/restore', authMiddleware, requireRole('owner'), backupUpload.single('archive'), async (req, res) => {
+        if (!req.file) {
+            return res.status(400).json({
+                error: 'No archive',
+                message: 'Upload the backup as the "archive" field'
+            });
+        }
+
+        try {
+            const mode = req.body.mode || 'merge';
+            if (!['merge', 'replace'].includes(mode)) {
+                return res.status(400).json({
+                    error: 'Invalid mode',
+                    message: 'Mode must be "merge" or "replace"'
+                });
+            }
+
+            const buffer = await fs.promises.readFile(req.file.path);
+            const summary = await restoreBackupArchive(buffer, { mode: mode, dryRun: req.body.dryRun === 'true' });
+
+            globalStorage.trackEvent('admin_backup_restored', {
+                by: req.admin.username,
+                mode: mode,
+                dryRun: summary.dryRun
+            });
+
+            res.json({ success: true, restore: summary });
+
+        } catch (error) {
+            if (error.code === 'INVALID_BACKUP') {
+                return res.status(400).json({
+                    error: 'Invalid backup',
+                    message: error.message
+                });
+            }
+
+            logger.error('❌ Backup restore error:', error);
+            res.status(500).json({
+                error: 'Restore failed',
+                message: 'Could not restore backup'
+            });
+        } finally {
+            fs.unlink(req.file.path, () => {});
+        }
+    });
+
+    // **📚 ALBUMS**
+    function slugify(text) {
+        return String(text)
+            .toLowerCase()
+            .trim()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 60);
+    }
+
+    // Validates album fields; with `partial` only the supplied fields are checked (for PATCH)
+    function validateAlbumInput(body, { partial = false, albumId = null } = {}) {
+        const errors = [];
+        const album = {};
+        const has = field => body[field] !== undefined;
+
+        if (!partial || has('name')) {
+            if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 100) {
+                errors.push('name must be a non-empty string of at most 100 characters');
+            } else {
+                album.name = body.name.trim();
+            }
+        }
+
+        if (has('slug') || (!partial && album.name)) {
+            const slug = has('slug') ? String(body.slug) : slugify(album.name);
+            const taken = globalStorage.findAlbumBySlug(slug);
+            if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(slug)) {
+                errors.push('slug may only contain lowercase letters, digits and single dashes');
+            } else if (taken && taken.id != albumId) {
+                errors.push(`An album with the slug "${slug}" already exists`);
+            } else {
+                album.slug = slug;
+            }
+        }
+
+        if (!partial || has('description')) {
+            if (has('description') && (typeof body.description !== 'string' || body.description.length > 2000)) {
+                errors.push('description must be a string of at most 2000 characters');
+            } else {
+                album.description = (body.description || '').trim();
+            }
+        }
+
+        if (has('coverImageId')) {
+            if (body.coverImageId !== null && !globalStorage.getImage(body.coverImageId)) {
+                errors.push(`Unknown cover image id: ${body.coverImageId}`);
+            } else {
+                album.coverImageId = body.coverImageId === null ? null : Number(body.coverImageId);
+            }
+        }
+
+        return { errors, album };
+    }
+
+    function validateAlbumImageIds(imageIds) {
+        if (!Array.isArray(imageIds)) {
+            return 'imageIds must be an array';
+        }
+        const unknown = imageIds.filter(id => !globalStorage.getImage(id));
+        if (unknown.length > 0) {
+            return `Unknown image ids: ${unknown.join(', ')}`;
+        }
+        if (new Set(imageIds.map(Number)).size !== imageIds.length) {
+            return 'imageIds must not contain duplicates';
+        }
+        return null;
+    }
+
+    function formatPublicAlbum(album, { includeImages = false } = {}) {
+        const images = globalStorage.getAlbumImages(album);
+        const cover = album.coverImageId ? globalStorage.getImage(album.coverImageId) : null;
+        // Fall back to the first image when no public cover has been chosen
+        const coverImage = cover && cover.isPublic ? cover : images[0] || null;
+
+        const formatted = {
+            id: album.id,
+            name: album.name,
+            slug: album.slug,
+            description: album.description,
+            coverUrl: coverImage ? coverImage.url : null,
+            imageCount: images.length,
+            updatedAt: album.updatedAt
+        };
+
+        if (includeImages) {
+            formatted.images = images.map(img => ({
+                id: img.id,
+                url: img.url,
+                alt: img.alt,
+                caption: img.caption || '',
+                tags: img.tags || []
+            }));
+        }
+
+        return formatted;
+    }
+
+    function albumNotFound(res) {
+        return res.status(404).json({
+            error: 'Album not found',
+            message: 'The requested album does not exist'
+        });
+    }
+
+    app.get('/api/albums', (req, res) => {
+        const albums = globalStorage.albums
+            .slice()
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(album => formatPublicAlbum(album));
+
+        res.json({ success: true, albums: albums });
+    });
+
+    app.get('/api/albums/:slug', (req, res) => {
+        const album = globalStorage.findAlbumBySlug(req.params.slug);
+        if (!album) return albumNotFound(res);
+
+        res.json({ success: true, album: formatPublicAlbum(album, { includeImages: true }) });
+    });
+
+    app.get('/api/admin/albums', authMiddleware, (req, res) => {
+        res.json({ success: true, albums: globalStorage.albums });
+    });
+
+    app.post('/api/admin/albums', authMiddleware, requireRole('editor'), (req, res) => {
+        const body = req.body || {};
+        const { errors, album } = validateAlbumInput(body);
+        const imageIdsError = body.imageIds !== undefined ? validateAlbumImageIds(body.imageIds) : null;
+        if (imageIdsError) errors.push(imageIdsError);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid album',
+                message: errors.join('; ')
+            });
+        }
+
+        const created = globalStorage.addAlbum({
+            ...album,
+            imageIds: (body.imageIds || []).map(Number)
+        });
+
+        globalStorage.trackEvent('admin_album_created', {
+            albumId: created.id,
+            slug: created.slug
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Album created',
+            album: created
+        });
+    });
+
+    const updateAlbumHandler = (req, res) => {
+        const existing = globalStorage.getAlbum(req.params.id);
+        if (!existing) return albumNotFound(res);
+
+        const { errors, album } = validateAlbumInput(req.body || {}, {
+            partial: req.method === 'PATCH',
+            albumId: existing.id
+        });
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid album',
+                message: errors.join('; ')
+            });
+        }
+
+        const updated = globalStorage.updateAlbum(existing.id, album);
+
+        globalStorage.trackEvent('admin_album_updated', {
+            albumId: updated.id,
+            fields: Object.keys(album)
+        });
+
+        res.json({
+            success: true,
+            message: 'Album updated',
+            album: updated
+        });
+    };
+
+    app.put('/api/admin/albums/:id', authMiddleware, requireRole('editor'), updateAlbumHandler);
+    app.patch('/api/admin/albums/:id', authMiddleware, requireRole('editor'), updateAlbumHandler);
+
+    app.delete('/api/admin/albums/:id', authMiddleware, requireRole('editor'), (req, res) => {
+        const removedAlbum = globalStorage.removeAlbum(req.params.id);
+        if (!removedAlbum) return albumNotFound(res);
+
+        globalStorage.trackEvent('admin_album_deleted', {
+            albumId: removedAlbum.id,
+            slug: removedAlbum.slug
+        });
+
+        res.json({
+            success: true,
+            message: 'Album deleted',
+            deletedAlbum: { id: removedAlbum.id, slug: removedAlbum.slug }
+        });
+    });
+
+    // Replaces the album's images with the given ids, in that order
+    app.put('/api/admin/albums/:id/images', authMiddleware, requireRole('editor'), (req, res) => {
+        const album = globalStorage.getAlbum(req.params.id);
+        if (!album) return albumNotFound(res);
+
+        const { imageIds } = req.body || {};
+        const imageIdsError = validateAlbumImageIds(imageIds);
+        if (imageIdsError) {
+            return res.status(400).json({
+                error: 'Invalid album images',
+                message: imageIdsError
+            });
+        }
+
+        const updated = globalStorage.updateAlbum(album.id, { imageIds: imageIds.map(Number) });
+
+        res.json({
+            success: true,
+            message: 'Album images updated',
+            album: updated
+        });
+    });
+
+    // Appends images that are not in the album yet
+    app.post('/api/admin/albums/:id/images', authMiddleware, requireRole('editor'), (req, res) => {
+        const album = globalStorage.getAlbum(req.params.id);
+        if (!album) return albumNotFound(res);
+
+        const { imageIds } = req.body || {};
+        const imageIdsError = validateAlbumImageIds(imageIds);
+        if (imageIdsError) {
+            return res.status(400).json({
+                error: 'Invalid album images',
+                message: imageIdsError
+            });
+        }
+
+        const additions = imageIds.map(Number).filter(id => !album.imageIds.includes(id));
+        const updated = globalStorage.updateAlbum(album.id, { imageIds: [...album.imageIds, ...additions] });
+
+        res.json({
+            success: true,
+            message: `${additions.length} image(s) added to album`,
+            album: updated
+        });
+    });
+
+    app.delete('/api/admin/albums/:id/images/:imageId', authMiddleware, requireRole('editor'), (req, res) => {
+        const album = globalStorage.getAlbum(req.params.id);
+        if (!album) return albumNotFound(res);
+
+        if (!album.imageIds.some(id => id == req.params.imageId)) {
+            return res.status(404).json({
+                error: 'Image not in album',
+                message: 'The image is not part of this album'
+            });
+        }
+
+        const updated = globalStorage.updateAlbum(album.id, {
+            imageIds: album.imageIds.filter(id => id != req.params.imageId),
+            coverImageId: album.coverImageId == req.params.imageId ? null : album.coverImageId
+        });
+
+        res.json({
+            success: true,
+            message: 'Image removed from album',
+            album: updated
+        });
+    });
+
+    // **🧁 PRODUCT CATALOG**
+    const PRODUCT_FIELDS = ['name', 'category', 'description', 'price', 'variants', 'imageIds', 'available'];
+
+    // Validates a product payload; with `partial` only the supplied fields are checked (for updates)
+    function validateProductInput(body, { partial = false } = {}) {
+        const errors = [];
+        const product = {};
+        const has = field => body[field] !== undefined;
+
+        if (!partial || has('name')) {
+            if (typeof body.name !== 'string' || !body.name.trim()) {
+                errors.push('name is required');
+            } else {
+                product.name = body.name.trim();
+            }
+        }
+
+        if (!partial || has('category')) {
+            if (typeof body.category !== 'string' || !body.category.trim()) {
+                errors.push('category is required');
+            } else {
+                product.category = body.category.trim().toLowerCase();
+            }
+        }
+
+        if (!partial || has('description')) {
+            if (has('description') && typeof body.description !== 'string') {
+                errors.push('description must be a string');
+            } else {
+                product.description = (body.description || '').trim();
+            }
+        }
+
+        if (!partial || has('price')) {
+            const price = Number(body.price);
+            if (!has('price') || !Number.isFinite(price) || price < 0) {
+                errors.push('price must be a non-negative number');
+            } else {
+                product.price = price;
+            }
+        }
+
+        if (!partial || has('variants')) {
+            const variants = has('variants') ? body.variants : [];
+            if (!Array.isArray(variants)) {
+                errors.push('variants must be an array');
+            } else {
+                product.variants = variants.map((variant, index) => {
+                    const price = Number(variant && variant.price);
+                    if (!variant || typeof variant !== 'object') {
+                        errors.push(`variants[${index}] must be an object`);
+                        return null;
+                    }
+                    if (!Number.isFinite(price) || price < 0) {
+                        errors.push(`variants[${index}].price must be a non-negative number`);
+                    }
+                    return {
+                        id: variant.id || `${clock()}-${index}`,
+                        size: variant.size ? String(variant.size).trim() : null,
+                        flavour: variant.flavour ? String(variant.flavour).trim() : null,
+                        eggless: Boolean(variant.eggless),
+                        price: price,
+                        available: variant.available !== false
+                    };
+                });
+            }
+        }
+
+        if (!partial || has('imageIds')) {
+            const imageIds = has('imageIds') ? body.imageIds : [];
+            if (!Array.isArray(imageIds)) {
+                errors.push('imageIds must be an array');
+            } else {
+                const missing = imageIds.filter(id => !globalStorage.images.some(img => img.id == id));
+                if (missing.length > 0) {
+                    errors.push(`Unknown image ids: ${missing.join(', ')}`);
+                }
+                product.imageIds = imageIds.map(Number);
+            }
+        }
+
+        if (!partial || has('available')) {
+            if (has('available') && typeof body.available !== 'boolean') {
+                errors.push('available must be a boolean');
+            } else {
+                product.available = body.available !== false;
+            }
+        }
+
+        return { errors, product };
+    }
+
+    function formatProduct(product, { includePrivateImages = false } = {}) {
+        const images = product.imageIds
+            .map(id => globalStorage.images.find(img => img.id == id))
+            .filter(img => img && (includePrivateImages || img.isPublic))
+            .map(img => ({ id: img.id, url: img.url, alt: img.alt }));
+
+        return {
+            id: product.id,
+            name: product.name,
+            category: product.category,
+            description: product.description,
+            price: product.price,
+            variants: product.variants,
+            available: product.available,
+            images: images,
+            rating: globalStorage.getRatingSummary(product.id),
+            updatedAt: product.updatedAt
+        };
+    }
+
+    app.get('/api/products', (req, res) => {
+        try {
+            const filters = {};
+            if (req.query.category) filters.category = String(req.query.category).toLowerCase();
+            if (req.query.available !== undefined) filters.available = req.query.available === 'true';
+
+            const products = globalStorage.getProducts(filters).map(product => formatProduct(product));
+
+            res.json({
+                success: true,
+                products: products,
+                categories: globalStorage.getProductCategories()
+            });
+
+        } catch (error) {
+            logger.error('❌ Product list error:', error);
+            res.status(500).json({ error: 'Failed to load products' });
+        }
+    });
+
+    app.get('/api/products/:id', (req, res) => {
+        try {
+            const product = globalStorage.getProduct(req.params.id);
+
+            if (!product) {
+                return res.status(404).json({
+                    error: 'Product not found',
+                    message: 'The requested product does not exist'
+                });
+            }
+
+            res.json({ success: true, product: formatProduct(product) });
+
+        } catch (error) {
+            logger.error('❌ Product fetch error:', error);
+            res.status(500).json({ error: 'Failed to load product' });
+        }
+    });
+
+    app.post('/api/admin/products', authMiddleware, requireRole('editor'), (req, res) => {
+        try {
+            const { errors, product } = validateProductInput(req.body || {});
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    error: 'Invalid product',
+                    message: errors.join('; ')
+                });
+            }
+
+            const created = globalStorage.addProduct(product);
+
+            globalStorage.trackEvent('admin_product_created', {
+                productId: created.id,
+                name: created.name
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Product added to catalog',
+                product: formatProduct(created, { includePrivateImages: true })
+            });
+
+        } catch (error) {
+            logger.error('❌ Product create error:', error);
+            res.status(500).json({
+                error: 'Create failed',
+                message: 'Could not add product to catalog'
+            });
+        }
+    });
+
+    const updateProductHandler = (req, res) => {
+        try {
+            if (!globalStorage.getProduct(req.params.id)) {
+                return res.status(404).json({
+                    error: 'Product not found',
+                    message: 'The requested product does not exist'
+                });
+            }
+
+            // PUT replaces the whole product, PATCH only the supplied fields
+            const body = req.body || {};
+            const { errors, product } = validateProductInput(body, { partial: req.method === 'PATCH' });
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    error: 'Invalid product',
+                    message: errors.join('; ')
+                });
+            }
+
+            const changes = {};
+            PRODUCT_FIELDS.forEach(field => {
+                if (product[field] !== undefined) changes[field] = product[field];
+            });
+
+            const updated = globalStorage.updateProduct(req.params.id, changes);
+
+            globalStorage.trackEvent('admin_product_updated', {
+                productId: updated.id,
+                fields: Object.keys(changes)
+            });
+
+            res.json({
+                success: true,
+                message: 'Product updated',
+                product: formatProduct(updated, { includePrivateImages: true })
+            });
+
+        } catch (error) {
+            logger.error('❌ Product update error:', error);
+            res.status(500).json({
+                error: 'Update failed',
+                message: 'Could not update product'
+            });
+        }
+    };
+
+    app.put('/api/admin/products/:id', authMiddleware, requireRole('editor'), updateProductHandler);
+    app.patch('/api/admin/products/:id', authMiddleware, requireRole('editor'), updateProductHandler);
+
+    app.delete('/api/admin/products/:id', authMiddleware, requireRole('editor'), (req, res) => {
+        try {
+            const removedProduct = globalStorage.removeProduct(req.params.id);
+
+            if (!removedProduct) {
+                return res.status(404).json({
+                    error: 'Product not found',
+                    message: 'The requested product does not exist'
+                });
+            }
+
+            globalStorage.trackEvent('admin_product_deleted', {
+                productId: removedProduct.id,
+                name: removedProduct.name
+            });
+
+            res.json({
+                success: true,
+                message: 'Product removed from catalog',
+                deletedProduct: {
+                    id: removedProduct.id,
+                    name: removedProduct.name
+                }
+            });
+
+        } catch (error) {
+            logger.error('❌ Product delete error:', error);
+            res.status(500).json({
+                error: 'Delete failed',
+                message: 'Could not remove product from catalog'
+            });
+        }
+    });
+
+    // **🧾 ORDERS**
+    const ORDER_STATUSES = ['pending', 'confirmed', 'baking', 'ready', 'delivered', 'cancelled'];
+
+    // Allowed moves in the order lifecycle; delivered and cancelled are final
+    const ORDER_TRANSITIONS = {
+        pending: ['confirmed', 'cancelled'],
+        confirmed: ['baking', 'cancelled'],
+        baking: ['ready', 'cancelled'],
+        ready: ['delivered', 'cancelled'],
+        delivered: [],
+        cancelled: []
+    };
+
+    const MAX_ORDER_ITEMS = 20;
+    const MAX_ITEM_QUANTITY = 50;
+
+    const orderLimiter = createPublicLimiter('order', 60 * 60 * 1000, 10, 'Too many orders, please try again later.');
+    const orderLookupLimiter = createPublicLimiter('order_lookup', 15 * 60 * 1000, 30, 'Too many order lookups, please try again later.');
+
+    // Compares phone numbers on their last 10 digits so "+91 98765-43210" matches "9876543210"
+    function normalizePhone(phone) {
+        return String(phone || '').replace(/\D/g, '').slice(-10);
+    }
+
+    // Checks cart line items against the catalog and prices them on the server
+    function priceOrderItems(items) {
+        const errors = [];
+        const lines = [];
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return { errors: ['items must be a non-empty array'], lines };
+        }
+        if (items.length > MAX_ORDER_ITEMS) {
+            return { errors: [`An order can contain at most ${MAX_ORDER_ITEMS} items`], lines };
+        }
+
+        items.forEach((item, index) => {
+            const product = item && globalStorage.getProduct(item.productId);
+            const quantity = Number(item && item.quantity);
+
+            if (!product) {
+                errors.push(`items[${index}]: unknown product`);
+                return;
+            }
+            if (!product.available) {
+                errors.push(`items[${index}]: ${product.name} is currently unavailable`);
+                return;
+            }
+            if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_ITEM_QUANTITY) {
+                errors.push(`items[${index}]: quantity must be a whole number between 1 and ${MAX_ITEM_QUANTITY}`);
+                return;
+            }
+
+            let variant = null;
+            if (item.variantId !== undefined && item.variantId !== null) {
+                variant = product.variants.find(v => v.id == item.variantId);
+                if (!variant) {
+                    errors.push(`items[${index}]: unknown variant for ${product.name}`);
+                    return;
+                }
+                if (!variant.available) {
+                    errors.push(`items[${index}]: the selected ${product.name} option is unavailable`);
+                    return;
+                }
+            }
+
+            const unitPrice = variant ? variant.price : product.price;
+            lines.push({
+                productId: product.id,
+                variantId: variant ? variant.id : null,
+                name: product.name,
+                size: variant ? variant.size : null,
+                flavour: variant ? variant.flavour : null,
+                eggless: variant ? variant.eggless : false,
+                quantity: quantity,
+                unitPrice: unitPrice,
+                lineTotal: Math.round(unitPrice * quantity * 100) / 100
+            });
+        });
+
+        return { errors, lines };
+    }
+
+    // What a customer may see about their own order
+    function formatPublicOrder(order) {
+        return {
+            reference: order.reference,
+            status: order.status,
+            items: order.items.map(item => ({
+                name: item.name,
+                size: item.size,
+                flavour: item.flavour,
+                eggless: item.eggless,
+                quantity: item.quantity,
+                lineTotal: item.lineTotal
+            })),
+            total: order.total,
+            fulfilment: order.fulfilment,
+            history: order.history.map(entry => ({ status: entry.status, at: entry.at })),
+            createdAt: order.createdAt
+        };
+    }
+
+    app.post('/api/orders', orderLimiter, (req, res) => {
+        try {
+            const { customer, items, fulfilment, notes } = req.body || {};
+            const errors = [];
+
+            if (!customer || typeof customer.name !== 'string' || !customer.name.trim()) {
+                errors.push('customer.name is required');
+            }
+            if (!customer || normalizePhone(customer.phone).length < 10) {
+                errors.push('customer.phone must be a valid phone number');
+            }
+            if (customer && customer.email && !EMAIL_PATTERN.test(String(customer.email))) {
+                errors.push('customer.email must be a valid email address');
+            }
+
+            const fulfilmentType = (fulfilment && fulfilment.type) || 'pickup';
+            if (!['pickup', 'delivery'].includes(fulfilmentType)) {
+                errors.push('fulfilment.type must be pickup or delivery');
+            }
+            if (fulfilmentType === 'delivery' && !(fulfilment && typeof fulfilment.address === 'string' && fulfilment.address.trim())) {
+                errors.push('fulfilment.address is required for delivery');
+            }
+            if (fulfilment && fulfilment.date && isNaN(new Date(fulfilment.date))) {
+                errors.push('fulfilment.date must be a valid date');
+            }
+            if (!(fulfilment && fulfilment.date) && globalStorage.isCapacityManaged()) {
+                errors.push('fulfilment.date is required');
+            }
+
+            const priced = priceOrderItems(items);
+            errors.push(...priced.errors);
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid order',
+                    errors: errors
+                });
+            }
+
+            // Checked right before addOrder with nothing awaited in between, so the booking is atomic
+            let slot = null;
+            if (fulfilment && fulfilment.date) {
+                const booking = globalStorage.checkSlot({
+                    date: fulfilment.date,
+                    slotId: fulfilment.slotId,
+                    type: fulfilmentType
+                });
+                if (booking.error) {
+                    return res.status(booking.status).json({
+                        success: false,
+                        message: booking.error
+                    });
+                }
+                slot = booking.slot;
+            }
+
+            const subtotal = priced.lines.reduce((sum, line) => sum + line.lineTotal, 0);
+
+            const order = globalStorage.addOrder({
+                customer: {
+                    name: customer.name.trim(),
+                    phone: String(customer.phone).trim(),
+                    email: customer.email ? String(customer.email).trim() : null
+                },
+                items: priced.lines,
+                subtotal: Math.round(subtotal * 100) / 100,
+                total: Math.round(subtotal * 100) / 100,
+                fulfilment: {
+                    type: fulfilmentType,
+                    date: fulfilment && fulfilment.date ? fulfilment.date : null,
+                    slotId: slot ? slot.slotId : null,
+                    address: fulfilmentType === 'delivery' ? String(fulfilment.address).slice(0, 500) : null
+                },
+                slot: slot,
+                notes: notes ? String(notes).slice(0, 1000) : ''
+            });
+
+            globalStorage.trackEvent('order_placed', {
+                orderId: order.id,
+                reference: order.reference,
+                total: order.total,
+                items: order.items.length,
+                ip: req.ip
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Order placed',
+                order: formatPublicOrder(order)
+            });
+
+        } catch (error) {
+            logger.error('❌ Order placement error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to place order'
+            });
+        }
+    });
+
+    app.get('/api/orders/:reference', orderLookupLimiter, (req, res) => {
+        try {
+            const order = globalStorage.findOrderByReference(req.params.reference);
+            const phone = normalizePhone(req.query.phone);
+
+            // Same response for a wrong reference or a wrong phone so references can't be probed
+            if (!order || !phone || normalizePhone(order.customer.phone) !== phone) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'No order found for that reference and phone number'
+                });
+            }
+
+            res.json({ success: true, order: formatPublicOrder(order) });
+
+        } catch (error) {
+            logger.error('❌ Order lookup error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Order lookup failed'
+            });
+        }
+    });
+
+    app.get('/api/admin/orders', authMiddleware, (req, res) => {
+        try {
+            const { status, from, to, q } = req.query;
+
+            if (status && !ORDER_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    error: 'Invalid status',
+                    message: `status must be one of: ${ORDER_STATUSES.join(', ')}`
+                });
+            }
+
+            const orders = globalStorage.getOrders({ status, from, to, search: q });
+
+            res.json({
+                success: true,
+                count: orders.length,
+                orders: orders
+            });
+
+        } catch (error) {
+            logger.error('❌ Order list error:', error);
+            res.status(500).json({
+                error: 'Failed to load orders',
+                message: 'Could not load orders from global storage'
+            });
+        }
+    });
+
+    app.get('/api/admin/orders/:id', authMiddleware, (req, res) => {
+        const order = globalStorage.getOrder(req.params.id);
+
+        if (!order) {
+            return res.status(404).json({
+                error: 'Order not found',
+                message: 'The requested order does not exist'
+            });
+        }
+
+        res.json({ success: true, order: order });
+    });
+
+    app.patch('/api/admin/orders/:id/status', authMiddleware, requireRole('editor'), (req, res) => {
+        try {
+            const { status, note } = req.body || {};
+            const order = globalStorage.getOrder(req.params.id);
+
+            if (!order) {
+                return res.status(404).json({
+                    error: 'Order not found',
+                    message: 'The requested order does not exist'
+                });
+            }
+
+            if (!ORDER_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    error: 'Invalid status',
+                    message: `status must be one of: ${ORDER_STATUSES.join(', ')}`
+                });
+            }
+
+            if (!ORDER_TRANSITIONS[order.status].includes(status)) {
+                return res.status(409).json({
+                    error: 'Invalid transition',
+                    message: `Cannot move an order from ${order.status} to ${status}`
+                });
+            }
+
+            const previousStatus = order.status;
+            const updated = globalStorage.updateOrderStatus(order.id, status, {
+                by: req.admin.username,
+                note: note ? String(note).slice(0, 500) : undefined
+            });
+
+            globalStorage.trackEvent('admin_order_status_changed', {
+                orderId: updated.id,
+                reference: updated.reference,
+                from: previousStatus,
+                to: status
+            });
+
+            res.json({
+                success: true,
+                message: `Order ${updated.reference} is now ${status}`,
+                order: updated
+            });
+
+        } catch (error) {
+            logger.error('❌ Order status error:', error);
+            res.status(500).json({
+                error: 'Update failed',
+                message: 'Could not update order status'
+            });
+        }
+    });
+
+    // **🎂 CUSTOM CAKE INQUIRIES**
+    const INQUIRY_STATUSES = ['new', 'quoted', 'accepted', 'declined'];
+
+    // "quoted" -> "quoted" is a revised quote; it replaces the old one and invalidates its link
+    const INQUIRY_TRANSITIONS = {
+        new: ['quoted', 'declined'],
+        quoted: ['quoted', 'accepted', 'declined'],
+        accepted: [],
+        declined: []
+    };
+
+    const MAX_INQUIRY_PHOTOS = 3;
+    const MAX_INQUIRY_SERVINGS = 500;
+    const SITE_URL = config.server.siteUrl;
+
+    // Same checks as gallery uploads, but into a folder that is never served statically
+    const inquiryUpload = multer({
+        storage: multer.diskStorage({
+            destination: function (req, file, cb) {
+                cb(null, globalStorage.inquiryDir);
+            },
+            filename: uniqueUploadFilename
+        }),
+        limits: {
+            fileSize: MAX_UPLOAD_FILE_SIZE,
+            files: MAX_INQUIRY_PHOTOS
+        },
+        fileFilter: fileFilter
+    });
+
+    const inquiryLimiter = createPublicLimiter('inquiry', 60 * 60 * 1000, 10, 'Too many inquiries, please try again later.');
+
+    function validateInquiryInput(body) {
+        const errors = [];
+        const { name, email, phone, eventDate, servings, flavour, designNotes } = body || {};
+
+        if (typeof name !== 'string' || !name.trim()) {
+            errors.push('name is required');
+        }
+        if (!EMAIL_PATTERN.test(String(email || ''))) {
+            errors.push('email must be a valid email address');
+        }
+        if (phone && normalizePhone(phone).length < 10) {
+            errors.push('phone must be a valid phone number');
+        }
+
+        // The same "today" as slot booking, so the two never disagree around midnight
+        const today = bakeryToday();
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(eventDate || '')) || isNaN(new Date(eventDate))) {
+            errors.push('eventDate must be a date in YYYY-MM-DD format');
+        } else if (eventDate < today) {
+            errors.push('eventDate cannot be in the past');
+        }
+
+        const servingCount = Number(servings);
+        if (!Number.isInteger(servingCount) || servingCount < 1 || servingCount > MAX_INQUIRY_SERVINGS) {
+            errors.push(`servings must be a whole number between 1 and ${MAX_INQUIRY_SERVINGS}`);
+        }
+        if (typeof flavour !== 'string' || !flavour.trim()) {
+            errors.push('flavour is required');
+        }
+
+        return {
+            errors,
+            inquiry: {
+                customer: {
+                    name: String(name || '').trim().slice(0, 200),
+                    email: String(email || '').trim().slice(0, 200),
+                    phone: phone ? String(phone).trim().slice(0, 30) : null
+                },
+                eventDate: eventDate,
+                servings: servingCount,
+                flavour: String(flavour || '').trim().slice(0, 100),
+                designNotes: designNotes ? String(designNotes).trim().slice(0, 2000) : ''
+            }
+        };
+    }
+
+    // What a customer may see through their quote link
+    function formatPublicInquiry(inquiry) {
+        return {
+            reference: inquiry.reference,
+            status: inquiry.status,
+            eventDate: inquiry.eventDate,
+            servings: inquiry.servings,
+            flavour: inquiry.flavour,
+            designNotes: inquiry.designNotes,
+            photos: inquiry.photos.length,
+            quote: inquiry.quote ? {
+                amount: inquiry.quote.amount,
+                currency: inquiry.quote.currency,
+                message: inquiry.quote.message,
+                validUntil: inquiry.quote.validUntil,
+                quotedAt: inquiry.quote.quotedAt
+            } : null,
+            history: inquiry.history.map(entry => ({ status: entry.status, at: entry.at })),
+            createdAt: inquiry.createdAt
+        };
+    }
+
+    // Quote links carry a random token; only its hash is stored
+    function findInquiryByQuoteToken(reference, token) {
+        const inquiry = globalStorage.findInquiryByReference(reference);
+        if (!inquiry || !inquiry.quote || typeof token !== 'string' || !token) return null;
+
+        const expected = Buffer.from(inquiry.quote.tokenHash, 'hex');
+        const actual = Buffer.from(hashToken(token), 'hex');
+        return crypto.timingSafeEqual(expected, actual) ? inquiry : null;
+    }
+
+    function inquiryNotFound(res) {
+        return res.status(404).json({
+            error: 'Inquiry not found',
+            message: 'The requested inquiry does not exist'
+        });
+    }
+
+    // Multipart form: name, email, phone, eventDate, servings, flavour, designNotes and up to
+    // three "photos"; a plain JSON body works too when there are no photos
+    app.post('/api/inquiries', inquiryLimiter, inquiryUpload.array('photos', MAX_INQUIRY_PHOTOS), async (req, res) => {
+        const files = req.files || [];
+
+        try {
+            const { errors, inquiry: inquiryData } = validateInquiryInput(req.body);
+
+            const photos = [];
+            for (const file of files) {
+                const inspection = await inspectUploadedFile(file);
+                if (inspection.error) {
+                    errors.push(inspection.error);
+                    continue;
+                }
+                photos.push({
+                    filename: file.filename,
+                    originalName: file.originalname,
+                    size: file.size,
+                    mimeType: inspection.type,
+                    width: inspection.dimensions ? inspection.dimensions.width : null,
+                    height: inspection.dimensions ? inspection.dimensions.height : null
+                });
+            }
+
+            if (errors.length > 0) {
+                removeUploadedFiles(files);
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid inquiry',
+                    errors: errors
+                });
+            }
+
+            // Nothing is awaited between the check and addInquiry, so the day's capacity is held atomically
+            const booking = globalStorage.checkSlot({ date: inquiryData.eventDate, type: null });
+            if (booking.error) {
+                removeUploadedFiles(files);
+                return res.status(booking.status).json({
+                    success: false,
+                    message: booking.error
+                });
+            }
+
+            const inquiry = globalStorage.addInquiry({ ...inquiryData, photos: photos, slot: booking.slot });
+
+            const notification = await mailer.send({
+                to: mailer.bakeryAddress,
+                replyTo: inquiry.customer.email,
+                subject: `New custom cake inquiry ${inquiry.reference} from ${inquiry.customer.name}`,
+                text: [
+                    `Reference: ${inquiry.reference}`,
+                    `Name: ${inquiry.customer.name}`,
+                    `Email: ${inquiry.customer.email}`,
+                    `Phone: ${inquiry.customer.phone || '-'}`,
+                    `Event date: ${inquiry.eventDate}`,
+                    `Servings: ${inquiry.servings}`,
+                    `Flavour: ${inquiry.flavour}`,
+                    `Reference photos: ${photos.length}`,
+                    '',
+                    inquiry.designNotes || '(no design notes)'
+                ].join('\n')
+            });
+            inquiry.notification = notification;
+            globalStorage.persist('inquiries');
+
+            globalStorage.trackEvent('inquiry_submitted', {
+                inquiryId: inquiry.id,
+                reference: inquiry.reference,
+                servings: inquiry.servings,
+                photos: photos.length,
+                ip: req.ip
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Thank you! We will email you a quote soon.',
+                reference: inquiry.reference
+            });
+
+        } catch (error) {
+            removeUploadedFiles(files);
+            logger.error('❌ Inquiry submission error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to submit inquiry'
+            });
+        }
+    });
+
+    app.get('/api/inquiries/:reference', orderLookupLimiter, (req, res) => {
+        const inquiry = findInquiryByQuoteToken(req.params.reference, req.query.token);
+
+        // Same response for a wrong reference or token so references can't be probed
+        if (!inquiry) {
+            return res.status(404).json({
+                success: false,
+                message: 'This quote link is invalid or has been replaced'
+            });
+        }
+
+        res.json({ success: true, inquiry: formatPublicInquiry(inquiry) });
+    });
+
+    // Body: { token, decision: "accept" | "decline" }
+    app.post('/api/inquiries/:reference/respond', orderLookupLimiter, (req, res) => {
+        try {
+            const { token, decision } = req.body || {};
+            const inquiry = findInquiryByQuoteToken(req.params.reference, token);
+
+            if (!inquiry) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'This quote link is invalid or has been replaced'
+                });
+            }
+
+            if (!['accept', 'decline'].includes(decision)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'decision must be "accept" or "decline"'
+                });
+            }
+
+            if (inquiry.status !== 'quoted') {
+                return res.status(409).json({
+                    success: false,
+                    message: `This quote has already been ${inquiry.status}`
+                });
+            }
+
+            // validUntil is a date in the bakery's timezone, like every other inquiry date
+            if (inquiry.quote.validUntil && inquiry.quote.validUntil < bakeryToday()) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This quote has expired, please contact us for a new one'
+                });
+            }
+
+            const status = decision === 'accept' ? 'accepted' : 'declined';
+            const updated = globalStorage.updateInquiryStatus(inquiry.id, status, { by: 'customer' });
+
+            globalStorage.trackEvent('inquiry_responded', {
+                inquiryId: updated.id,
+                reference: updated.reference,
+                decision: status
+            });
+
+            mailer.send({
+                to: mailer.bakeryAddress,
+                subject: `Quote ${updated.reference} ${status} by ${updated.customer.name}`,
+                text: `${updated.customer.name} has ${status} the quote for ${updated.reference} ` +
+                    `(${updated.quote.currency} ${updated.quote.amount}, event on ${updated.eventDate}).`
+            });
+
+            res.json({ success: true, inquiry: formatPublicInquiry(updated) });
+
+        } catch (error) {
+            logger.error('❌ Inquiry response error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Could not record your response'
+            });
+        }
+    });
+
+    app.get('/api/admin/inquiries', authMiddleware, (req, res) => {
+        const { status, q } = req.query;
+
+        if (status && !INQUIRY_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid status',
+                message: `status must be one of: ${INQUIRY_STATUSES.join(', ')}`
+            });
+        }
+
+        const inquiries = globalStorage.getInquiries({ status, search: q });
+
+        res.json({
+            success: true,
+            count: inquiries.length,
+            inquiries: inquiries
+        });
+    });
+
+    app.get('/api/admin/inquiries/:id', authMiddleware, (req, res) => {
+        const inquiry = globalStorage.getInquiry(req.params.id);
+        if (!inquiry) return inquiryNotFound(res);
+
+        res.json({ success: true, inquiry: inquiry });
+    });
+
+    app.get('/api/admin/inquiries/:id/photos/:filename', authMiddleware, (req, res) => {
+        const inquiry = globalStorage.getInquiry(req.params.id);
+        const photo = inquiry && inquiry.photos.find(p => p.filename === req.params.filename);
+
+        if (!photo) {
+            return res.status(404).json({
+                error: 'Photo not found',
+                message: 'The requested photo does not exist'
+            });
+        }
+
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.sendFile(path.join(globalStorage.inquiryDir, photo.filename));
+    });
+
+    // Body: { amount, currency?, message?, validUntil? }; emails the customer a link to view and answer it
+    app.post('/api/admin/inquiries/:id/quote', authMiddleware, requireRole('editor'), async (req, res) => {
+        try {
+            const inquiry = globalStorage.getInquiry(req.params.id);
+            if (!inquiry) return inquiryNotFound(res);
+
+            const { amount, currency, message, validUntil } = req.body || {};
+            const errors = [];
+
+            const quotedAmount = Number(amount);
+            if (!Number.isFinite(quotedAmount) || quotedAmount <= 0) {
+                errors.push('amount must be a positive number');
+            }
+            if (currency !== undefined && !/^[A-Z]{3}$/.test(String(currency))) {
+                errors.push('currency must be a three-letter code such as INR');
+            }
+            if (validUntil !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(String(validUntil)) || isNaN(new Date(validUntil)))) {
+                errors.push('validUntil must be a date in YYYY-MM-DD format');
+            } else if (validUntil !== undefined && validUntil < bakeryToday()) {
+                errors.push('validUntil cannot be in the past');
+            }
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    error: 'Invalid quote',
+                    message: errors.join('; ')
+                });
+            }
+
+            if (!INQUIRY_TRANSITIONS[inquiry.status].includes('quoted')) {
+                return res.status(409).json({
+                    error: 'Invalid transition',
+                    message: `Cannot quote an inquiry that is ${inquiry.status}`
+                });
+            }
+
+            const token = crypto.randomBytes(24).toString('base64url');
+            const quote = {
+                amount: Math.round(quotedAmount * 100) / 100,
+                currency: currency || 'INR',
+                message: message ? String(message).trim().slice(0, 2000) : '',
+                validUntil: validUntil || null,
+                quotedAt: new Date(clock()).toISOString(),
+                quotedBy: req.admin.username,
+                tokenHash: hashToken(token),
+                delivery: null
+            };
+
+            const updated = globalStorage.updateInquiryStatus(inquiry.id, 'quoted', {
+                by: req.admin.username,
+                quote: quote
+            });
+
+            const quoteUrl = `${SITE_URL}/quote/${updated.reference}?token=${token}`;
+            quote.delivery = await mailer.send({
+                to: updated.customer.email,
+                replyTo: mailer.bakeryAddress || undefined,
+                subject: `Your custom cake quote ${updated.reference} - Warm Delights`,
+                text: [
+                    `Hi ${updated.customer.name},`,
+                    '',
+                    `Thank you for your custom cake inquiry for ${updated.eventDate}. ` +
+                        `Our quote is ${quote.currency} ${quote.amount}.`,
+                    quote.message ? `\n${quote.message}\n` : '',
+                    `View and accept or decline the quote here:\n${quoteUrl}`,
+                    quote.validUntil ? `\nThis quote is valid until ${quote.validUntil}.` : '',
+                    '',
+                    'Warm regards,',
+                    'Warm Delights'
+                ].join('\n')
+            });
+            globalStorage.persist('inquiries');
+
+            globalStorage.trackEvent('admin_inquiry_quoted', {
+                inquiryId: updated.id,
+                reference: updated.reference,
+                amount: quote.amount,
+                delivery: quote.delivery.status
+            });
+
+            res.json({
+                success: true,
+                message: `Quote sent for ${updated.reference}`,
+                quoteUrl: quoteUrl,
+                inquiry: updated
+            });
+
+        } catch (error) {
+            logger.error('❌ Inquiry quote error:', error);
+            res.status(500).json({
+                error: 'Quote failed',
+                message: 'Could not save the quote'
+            });
+        }
+    });
+
+    // For decisions taken outside the quote link (e.g. over the phone); quoting has its own route
+    app.patch('/api/admin/inquiries/:id/status', authMiddleware, requireRole('editor'), (req, res) => {
+        try {
+            const { status, note } = req.body || {};
+            const inquiry = globalStorage.getInquiry(req.params.id);
+            if (!inquiry) return inquiryNotFound(res);
+
+            if (!INQUIRY_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    error: 'Invalid status',
+                    message: `status must be one of: ${INQUIRY_STATUSES.join(', ')}`
+                });
+            }
+
+            if (status === 'quoted') {
+                return res.status(400).json({
+                    error: 'Invalid status',
+                    message: 'Use POST /api/admin/inquiries/:id/quote to send a quote'
+                });
+            }
+
+            if (!INQUIRY_TRANSITIONS[inquiry.status].includes(status)) {
+                return res.status(409).json({
+                    error: 'Invalid transition',
+                    message: `Cannot move an inquiry from ${inquiry.status} to ${status}`
+                });
+            }
+
+            const previousStatus = inquiry.status;
+            const updated = globalStorage.updateInquiryStatus(inquiry.id, status, {
+                by: req.admin.username,
+                note: note ? String(note).slice(0, 500) : undefined
+            });
+
+            globalStorage.trackEvent('admin_inquiry_status_changed', {
+                inquiryId: updated.id,
+                reference: updated.reference,
+                from: previousStatus,
+                to: status
+            });
+
+            res.json({
+                success: true,
+                message: `Inquiry ${updated.reference} is now ${status}`,
+                inquiry: updated
+            });
+
+        } catch (error) {
+            logger.error('❌ Inquiry status error:', error);
+            res.status(500).json({
+                error: 'Update failed',
+                message: 'Could not update inquiry status'
+            });
+        }
+    });
+
+    // **📅 PICKUP & DELIVERY SLOTS**
+    const MAX_SLOT_RANGE_DAYS = 62;
+    const MAX_TIME_SLOTS = 12;
+    const MAX_DAILY_CAPACITY = 1000;
+    const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+    const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+    function isValidDate(value) {
+        return DATE_PATTERN.test(String(value || '')) && !isNaN(new Date(value)) &&
+            new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+    }
+
+    function isValidCapacity(value) {
+        return Number.isInteger(value) && value >= 0 && value <= MAX_DAILY_CAPACITY;
+    }
+
+    // Only the fields present in the body are changed
+    function validateScheduleInput(body) {
+        const errors = [];
+        const changes = {};
+        const input = body || {};
+
+        if (input.dailyCapacity !== undefined) {
+            if (input.dailyCapacity !== null && !isValidCapacity(input.dailyCapacity)) {
+                errors.push(`dailyCapacity must be null or a whole number between 0 and ${MAX_DAILY_CAPACITY}`);
+            } else {
+                changes.dailyCapacity = input.dailyCapacity;
+            }
+        }
+
+        if (input.minLeadDays !== undefined) {
+            if (!Number.isInteger(input.minLeadDays) || input.minLeadDays < 0 || input.minLeadDays > 60) {
+                errors.push('minLeadDays must be a whole number between 0 and 60');
+            } else {
+                changes.minLeadDays = input.minLeadDays;
+            }
+        }
+
+        if (input.closedWeekdays !== undefined) {
+            if (!Array.isArray(input.closedWeekdays) ||
+                !input.closedWeekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+                errors.push('closedWeekdays must be an array of weekday numbers (0 = Sunday ... 6 = Saturday)');
+            } else {
+                changes.closedWeekdays = [...new Set(input.closedWeekdays)].sort();
+            }
+        }
+
+        if (input.slots !== undefined) {
+            if (!Array.isArray(input.slots) || input.slots.length > MAX_TIME_SLOTS) {
+                errors.push(`slots must be an array of at most ${MAX_TIME_SLOTS} time slots`);
+            } else {
+                const slots = [];
+                input.slots.forEach((slot, index) => {
+                    const { start, end, capacity, label, types } = slot || {};
+                    if (!TIME_PATTERN.test(String(start)) || !TIME_PATTERN.test(String(end)) || start >= end) {
+                        errors.push(`slots[${index}]: start and end must be HH:MM times with start before end`);
+                        return;
+                    }
+                    if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_DAILY_CAPACITY) {
+                        errors.push(`slots[${index}]: capacity must be a whole number between 1 and ${MAX_DAILY_CAPACITY}`);
+                        return;
+                    }
+                    const slotTypes = types === undefined ? ['pickup', 'delivery'] : types;
+                    if (!Array.isArray(slotTypes) || slotTypes.length === 0 ||
+                        !slotTypes.every(type => ['pickup', 'delivery'].includes(type))) {
+                        errors.push(`slots[${index}]: types must list pickup and/or delivery`);
+                        return;
+                    }
+
+                    // Ids are derived from the times so existing bookings keep pointing at the same slot
+                    const id = `${start}-${end}`;
+                    if (slots.some(existing => existing.id === id)) {
+                        errors.push(`slots[${index}]: duplicate slot ${id}`);
+                        return;
+                    }
+                    slots.push({
+                        id: id,
+                        label: label ? String(label).trim().slice(0, 50) : `${start} - ${end}`,
+                        start: start,
+                        end: end,
+                        capacity: capacity,
+                        types: [...new Set(slotTypes)]
+                    });
+                });
+                changes.slots = slots.sort((a, b) => a.start.localeCompare(b.start));
+            }
+        }
+
+        return { errors, changes };
+    }
+
+    app.get('/api/slots', (req, res) => {
+        try {
+            const today = bakeryToday();
+            const from = req.query.from || today;
+            const to = req.query.to || addDays(from, 13);
+
+            if (!isValidDate(from) || !isValidDate(to) || to < from) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'from and to must be dates in YYYY-MM-DD format, with from before to'
+                });
+            }
+            if (to > addDays(from, MAX_SLOT_RANGE_DAYS - 1)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `A range can cover at most ${MAX_SLOT_RANGE_DAYS} days`
+                });
+            }
+
+            const days = [];
+            for (let date = from; date <= to; date = addDays(date, 1)) {
+                const day = globalStorage.getDayAvailability(date);
+                // Customers only need to know whether they can book, not who else has
+                delete day.booked;
+                days.push(day);
+            }
+
+            res.json({
+                success: true,
+                timezone: BAKERY_TIMEZONE,
+                today: today,
+                days: days
+            });
+
+        } catch (error) {
+            logger.error('❌ Slot availability error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Could not load availability'
+            });
+        }
+    });
+
+    app.get('/api/admin/schedule', authMiddleware, (req, res) => {
+        res.json({
+            success: true,
+            timezone: BAKERY_TIMEZONE,
+            schedule: globalStorage.schedule
+        });
+    });
+
+    function updateScheduleHandler(req, res) {
+        try {
+            const { errors, changes } = validateScheduleInput(req.body);
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    error: 'Invalid schedule',
+                    message: errors.join('; ')
+                });
+            }
+
+            const schedule = globalStorage.updateSchedule(changes);
+
+            globalStorage.trackEvent('admin_schedule_updated', {
+                fields: Object.keys(changes)
+            });
+
+            res.json({
+                success: true,
+                message: 'Schedule updated',
+                schedule: schedule
+            });
+
+        } catch (error) {
+            logger.error('❌ Schedule update error:', error);
+            res.status(500).json({
+                error: 'Update failed',
+                message: 'Could not update schedule'
+            });
+        }
+    }
+
+    app.put('/api/admin/schedule', authMiddleware, requireRole('editor'), updateScheduleHandler);
+    app.patch('/api/admin/schedule', authMiddleware, requireRole('editor'), updateScheduleHandler);
+
+    // Body: { date, until?, reason? }; closes one date or an inclusive range (holidays, leave, ...).
+    // Existing bookings are kept and returned so the customers can be contacted.
+    app.post('/api/admin/schedule/blackouts', authMiddleware, requireRole('editor'), (req, res) => {
+        const { date, until, reason } = req.body || {};
+        const lastDate = until || date;
+
+        if (!isValidDate(date) || !isValidDate(lastDate) || lastDate < date) {
+            return res.status(400).json({
+                error: 'Invalid dates',
+                message: 'date (and optional until) must be YYYY-MM-DD, with until on or after date'
+            });
+        }
+        if (lastDate > addDays(date, MAX_SLOT_RANGE_DAYS - 1)) {
+            return res.status(400).json({
+                error: 'Invalid dates',
+                message: `A blackout can cover at most ${MAX_SLOT_RANGE_DAYS} days`
+            });
+        }
+
+        const dates = [];
+        for (let day = date; day <= lastDate; day = addDays(day, 1)) dates.push(day);
+
+        const note = reason ? String(reason).trim().slice(0, 100) : null;
+        const blackouts = globalStorage.schedule.blackouts
+            .filter(entry => !dates.includes(entry.date))
+            .concat(dates.map(day => ({ date: day, reason: note, createdBy: req.admin.username })))
+            .sort((a, b) => a.date.localeCompare(b.date));
+        globalStorage.updateSchedule({ blackouts });
+
+        const affectedBookings = dates.flatMap(day => globalStorage.getBookings(day).map(booking => ({ date: day, ...booking })));
+
+        globalStorage.trackEvent('admin_blackout_added', {
+            from: date,
+            to: lastDate,
+            reason: note,
+            affectedBookings: affectedBookings.length
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Closed ${dates.length} date(s)`,
+            dates: dates,
+            affectedBookings: affectedBookings
+        });
+    });
+
+    app.delete('/api/admin/schedule/blackouts/:date', authMiddleware, requireRole('editor'), (req, res) => {
+        const blackouts = globalStorage.schedule.blackouts.filter(entry => entry.date !== req.params.date);
+
+        if (blackouts.length === globalStorage.schedule.blackouts.length) {
+            return res.status(404).json({
+                error: 'Blackout not found',
+                message: 'That date is not blacked out'
+            });
+        }
+
+        globalStorage.updateSchedule({ blackouts });
+        globalStorage.trackEvent('admin_blackout_removed', { date: req.params.date });
+
+        res.json({ success: true, message: `${req.params.date} is open again` });
+    });
+
+    // Body: { capacity }; overrides the daily capacity for one date (e.g. extra staff before a festival)
+    app.put('/api/admin/schedule/capacity/:date', authMiddleware, requireRole('editor'), (req, res) => {
+        const { capacity } = req.body || {};
+
+        if (!isValidDate(req.params.date)) {
+            return res.status(400).json({
+                error: 'Invalid date',
+                message: 'Date must be in YYYY-MM-DD format'
+            });
+        }
+        if (!isValidCapacity(capacity)) {
+            return res.status(400).json({
+                error: 'Invalid capacity',
+                message: `capacity must be a whole number between 0 and ${MAX_DAILY_CAPACITY}`
+            });
+        }
+
+        const capacityOverrides = { ...globalStorage.schedule.capacityOverrides, [req.params.date]: capacity };
+        globalStorage.updateSchedule({ capacityOverrides });
+        globalStorage.trackEvent('admin_capacity_overridden', { date: req.params.date, capacity: capacity });
+
+        res.json({ success: true, day: globalStorage.getDayAvailability(req.params.date) });
+    });
+
+    app.delete('/api/admin/schedule/capacity/:date', authMiddleware, requireRole('editor'), (req, res) => {
+        if (globalStorage.schedule.capacityOverrides[req.params.date] === undefined) {
+            return res.status(404).json({
+                error: 'Override not found',
+                message: 'That date has no capacity override'
+            });
+        }
+
+        const capacityOverrides = { ...globalStorage.schedule.capacityOverrides };
+        delete capacityOverrides[req.params.date];
+        globalStorage.updateSchedule({ capacityOverrides });
+
+        res.json({ success: true, day: globalStorage.getDayAvailability(req.params.date) });
+    });
+
+    app.get('/api/admin/bookings', authMiddleware, (req, res) => {
+        const date = req.query.date || bakeryToday();
+
+        if (!isValidDate(date)) {
+            return res.status(400).json({
+                error: 'Invalid date',
+                message: 'date must be in YYYY-MM-DD format'
+            });
+        }
+
+        res.json({
+            success: true,
+            day: globalStorage.getDayAvailability(date),
+            bookings: globalStorage.getBookings(date)
+        });
+    });
+
+    // **⭐ REVIEWS**
+    const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+    const REVIEW_SORTS = ['recent', 'rating'];
+    const MAX_REVIEW_PAGE_SIZE = 50;
+    const MIN_REVIEW_LENGTH = 10;
+    const MAX_REVIEW_LENGTH = 2000;
+    const REVIEW_SPAM_THRESHOLD = 2;
+    const REVIEW_SPAM_TERMS = /\b(casino|crypto|bitcoin|forex|viagra|cialis|loans?|seo|backlinks?|betting|porn)\b/i;
+
+    const reviewUpload = multer({
+        storage: multer.diskStorage({
+            destination: function (req, file, cb) {
+                cb(null, globalStorage.reviewDir);
+            },
+            filename: uniqueUploadFilename
+        }),
+        limits: {
+            fileSize: MAX_UPLOAD_FILE_SIZE,
+            files: 1
+        },
+        fileFilter: fileFilter
+    });
+
+    const reviewLimiter = createPublicLimiter('review', 60 * 60 * 1000, 5, 'Too many reviews, please try again later.');
+
+    // Flagged reviews still land in the moderation queue; the flags tell the moderator why to look twice
+    function scoreReviewSpam({ text, name, ipHash }) {
+        const flags = [];
+        let score = 0;
+        const content = `${name} ${text}`;
+
+        if (/(https?:\/\/|www\.)\S+/i.test(content)) {
+            flags.push('links');
+            score += 2;
+        }
+        if (REVIEW_SPAM_TERMS.test(content)) {
+            flags.push('spam_terms');
+            score += 2;
+        }
+
+        const letters = text.replace(/[^a-zA-Z]/g, '');
+        if (letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) {
+            flags.push('shouting');
+            score += 1;
+        }
+        if (/(.)\1{6,}/.test(text)) {
+            flags.push('repeated_characters');
+            score += 1;
+        }
+
+        const normalized = text.toLowerCase().replace(/\s+/g, ' ').trim();
+        const monthAgo = clock() - 30 * 24 * 60 * 60 * 1000;
+        if (globalStorage.reviews.some(review => new Date(review.createdAt).getTime() > monthAgo &&
+            review.text.toLowerCase().replace(/\s+/g, ' ').trim() === normalized)) {
+            flags.push('duplicate');
+            score += 2;
+        }
+
+        const dayAgo = clock() - 24 * 60 * 60 * 1000;
+        if (globalStorage.reviews.filter(review => review.ipHash === ipHash &&
+            new Date(review.createdAt).getTime() > dayAgo).length >= 3) {
+            flags.push('burst');
+            score += 1;
+        }
+
+        return { score: score, flags: flags, flagged: score >= REVIEW_SPAM_THRESHOLD };
+    }
+
+    function formatPublicReview(review) {
+        const product = review.productId ? globalStorage.getProduct(review.productId) : null;
+
+        return {
+            id: review.id,
+            name: review.name,
+            rating: review.rating,
+            text: review.text,
+            productId: review.productId,
+            productName: product ? product.name : null,
+            verifiedPurchase: review.verifiedPurchase,
+            featured: review.featured,
+            photoUrl: review.photo ? `/api/reviews/${review.id}/photo` : null,
+            reply: review.reply ? { text: review.reply.text, at: review.reply.at } : null,
+            createdAt: review.createdAt
+        };
+    }
+
+    function reviewNotFound(res) {
+        return res.status(404).json({
+            error: 'Review not found',
+            message: 'The requested review does not exist'
+        });
+    }
+
+    // Multipart or JSON: name, rating (1-5), text, optional email, productId, orderReference + phone
+    // (marks the review as a verified purchase) and one optional "photo"
+    app.post('/api/reviews', reviewLimiter, reviewUpload.single('photo'), async (req, res) => {
+        const files = req.file ? [req.file] : [];
+
+        try {
+            const { name, email, rating, text, productId, orderReference, phone } = req.body || {};
+            const errors = [];
+
+            const stars = Number(rating);
+            if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+                errors.push('rating must be a whole number from 1 to 5');
+            }
+            if (typeof name !== 'string' || !name.trim()) {
+                errors.push('name is required');
+            }
+            const reviewText = typeof text === 'string' ? text.trim() : '';
+            if (reviewText.length < MIN_REVIEW_LENGTH || reviewText.length > MAX_REVIEW_LENGTH) {
+                errors.push(`text must be between ${MIN_REVIEW_LENGTH} and ${MAX_REVIEW_LENGTH} characters`);
+            }
+            if (email && !EMAIL_PATTERN.test(String(email))) {
+                errors.push('email must be a valid email address');
+            }
+
+            const product = productId ? globalStorage.getProduct(productId) : null;
+            if (productId && !product) {
+                errors.push('productId does not match a product');
+            }
+
+            // An order reference only counts when the phone number on the order matches; an erased
+            // order has no phone left, so an empty one must never match it
+            let order = null;
+            if (orderReference) {
+                order = globalStorage.findOrderByReference(orderReference);
+                const givenPhone = normalizePhone(phone);
+                if (!order || !givenPhone || normalizePhone(order.customer.phone) !== givenPhone) {
+                    errors.push('orderReference and phone do not match an order');
+                }
+            }
+
+            let photo = null;
+            if (req.file) {
+                const inspection = await inspectUploadedFile(req.file);
+                if (inspection.error) {
+                    errors.push(inspection.error);
+                } else {
+                    photo = {
+                        filename: req.file.filename,
+                        size: req.file.size,
+                        mimeType: inspection.type,
+                        width: inspection.dimensions ? inspection.dimensions.width : null,
+                        height: inspection.dimensions ? inspection.dimensions.height : null
+                    };
+                }
+            }
+
+            if (errors.length > 0) {
+                removeUploadedFiles(files);
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid review',
+                    errors: errors
+                });
+            }
+
+            const ipHash = hashToken(req.ip || '');
+            const spam = scoreReviewSpam({ text: reviewText, name: name.trim(), ipHash });
+
+            const review = globalStorage.addReview({
+                name: name.trim().slice(0, 100),
+                email: email ? String(email).trim().slice(0, 200) : null,
+                rating: stars,
+                text: reviewText,
+                productId: product ? product.id : null,
+                orderId: order ? order.id : null,
+                verifiedPurchase: Boolean(order),
+                photo: photo,
+                spam: spam,
+                ipHash: ipHash
+            });
+
+            globalStorage.trackEvent('review_submitted', {
+                reviewId: review.id,
+                rating: review.rating,
+                productId: review.productId,
+                flagged: spam.flagged
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Thank you! Your review will appear once it has been approved.',
+                reviewId: review.id
+            });
+
+        } catch (error) {
+            removeUploadedFiles(files);
+            logger.error('❌ Review submission error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to submit review'
+            });
+        }
+    });
+
+    app.get('/api/reviews', (req, res) => {
+        try {
+            const sort = req.query.sort || 'recent';
+            const page = req.query.page ? parseInt(req.query.page) : 1;
+            const limit = req.query.limit ? parseInt(req.query.limit) : 10;
+            const productId = req.query.productId || undefined;
+            const featured = req.query.featured === 'true';
+
+            if (!REVIEW_SORTS.includes(sort)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `sort must be one of: ${REVIEW_SORTS.join(', ')}`
+                });
+            }
+            if (!(page >= 1) || !(limit >= 1 && limit <= MAX_REVIEW_PAGE_SIZE)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `page must be 1 or more and limit between 1 and ${MAX_REVIEW_PAGE_SIZE}`
+                });
+            }
+
+            const { reviews, total } = globalStorage.queryPublicReviews({ productId, featured, sort, page, limit });
+
+            // Average rating for every product with approved reviews
+            const productRatings = globalStorage.products
+                .map(product => ({ productId: product.id, name: product.name, ...globalStorage.getRatingSummary(product.id) }))
+                .filter(rating => rating.count > 0);
+
+            res.set('X-Total-Count', String(total));
+            res.set('X-Page', String(page));
+            res.set('X-Limit', String(limit));
+            res.json({
+                success: true,
+                page: page,
+                limit: limit,
+                total: total,
+                summary: globalStorage.getRatingSummary(productId),
+                productRatings: productRatings,
+                reviews: reviews.map(formatPublicReview)
+            });
+
+        } catch (error) {
+            logger.error('❌ Review list error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Could not load reviews'
+            });
+        }
+    });
+
+    app.get('/api/reviews/:id/photo', (req, res) => {
+        const review = globalStorage.getReview(req.params.id);
+
+        if (!review || review.status !== 'approved' || !review.photo) {
+            return res.status(404).json({
+                success: false,
+                message: 'Photo not found'
+            });
+        }
+
+        res.setHeader('Cache-Control', 'public, max-age=86400');
+        res.sendFile(path.join(globalStorage.reviewDir, review.photo.filename));
+    });
+
+    app.get('/api/admin/reviews', authMiddleware, (req, res) => {
+        const { status, flagged, productId } = req.query;
+
+        if (status && !REVIEW_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid status',
+                message: `status must be one of: ${REVIEW_STATUSES.join(', ')}`
+            });
+        }
+
+        const reviews = globalStorage.getReviews({
+            status,
+            productId,
+            flagged: flagged === undefined ? undefined : flagged === 'true'
+        });
+
+        res.json({
+            success: true,
+            count: reviews.length,
+            pending: globalStorage.reviews.filter(review => review.status === 'pending').length,
+            reviews: reviews
+        });
+    });
+
+    app.get('/api/admin/reviews/:id/photo', authMiddleware, (req, res) => {
+        const review = globalStorage.getReview(req.params.id);
+
+        if (!review || !review.photo) {
+            return res.status(404).json({
+                error: 'Photo not found',
+                message: 'The requested photo does not exist'
+            });
+        }
+
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.sendFile(path.join(globalStorage.reviewDir, review.photo.filename));
+    });
+
+    // Body: { status: "approved" | "rejected" | "pending", note? }
+    app.patch('/api/admin/reviews/:id/status', authMiddleware, requireRole('editor'), (req, res) => {
+        const { status, note } = req.body || {};
+        const review = globalStorage.getReview(req.params.id);
+        if (!review) return reviewNotFound(res);
+
+        if (!REVIEW_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid status',
+                message: `status must be one of: ${REVIEW_STATUSES.join(', ')}`
+            });
+        }
+
+        const previousStatus = review.status;
+        const updated = globalStorage.updateReview(review.id, {
+            status: status,
+            // Only approved reviews can stay featured
+            featured: status === 'approved' ? review.featured : false,
+            moderationNote: note ? String(note).slice(0, 500) : null,
+            moderatedBy: req.admin.username,
+            moderatedAt: new Date(clock()).toISOString()
+        });
+
+        globalStorage.trackEvent('admin_review_moderated', {
+            reviewId: updated.id,
+            from: previousStatus,
+            to: status,
+            flagged: updated.spam.flagged
+        });
+
+        res.json({
+            success: true,
+            message: `Review is now ${status}`,
+            review: updated
+        });
+    });
+
+    // Body: { text }; replaces any earlier reply
+    app.put('/api/admin/reviews/:id/reply', authMiddleware, requireRole('editor'), (req, res) => {
+        const { text } = req.body || {};
+        const review = globalStorage.getReview(req.params.id);
+        if (!review) return reviewNotFound(res);
+
+        if (typeof text !== 'string' || !text.trim() || text.length > MAX_REVIEW_LENGTH) {
+            return res.status(400).json({
+                error: 'Invalid reply',
+                message: `text is required and can be at most ${MAX_REVIEW_LENGTH} characters`
+            });
+        }
+
+        const updated = globalStorage.updateReview(review.id, {
+            reply: { text: text.trim(), by: req.admin.username, at: new Date(clock()).toISOString() }
+        });
+
+        globalStorage.trackEvent('admin_review_replied', { reviewId: updated.id });
+
+        res.json({ success: true, review: updated });
+    });
+
+    app.delete('/api/admin/reviews/:id/reply', authMiddleware, requireRole('editor'), (req, res) => {
+        const review = globalStorage.getReview(req.params.id);
+        if (!review) return reviewNotFound(res);
+
+        const updated = globalStorage.updateReview(review.id, { reply: null });
+        res.json({ success: true, review: updated });
+    });
+
+    // Body: { featured: boolean }
+    app.patch('/api/admin/reviews/:id/feature', authMiddleware, requireRole('editor'), (req, res) => {
+        const { featured } = req.body || {};
+        const review = globalStorage.getReview(req.params.id);
+        if (!review) return reviewNotFound(res);
+
+        if (typeof featured !== 'boolean') {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'featured must be a boolean'
+            });
+        }
+
+        if (featured && review.status !== 'approved') {
+            return res.status(409).json({
+                error: 'Not approved',
+                message: 'Only approved reviews can be featured'
+            });
+        }
+
+        const updated = globalStorage.updateReview(review.id, { featured });
+        globalStorage.trackEvent('admin_review_featured', { reviewId: updated.id, featured: featured });
+
+        res.json({ success: true, review: updated });
+    });
+
+    app.delete('/api/admin/reviews/:id', authMiddleware, requireRole('editor'), (req, res) => {
+        const removed = globalStorage.removeReview(req.params.id);
+        if (!removed) return reviewNotFound(res);
+
+        globalStorage.trackEvent('admin_review_deleted', { reviewId: removed.id });
+
+        res.json({
+            success: true,
+            message: 'Review deleted',
+            deletedReview: { id: removed.id }
+        });
+    });
+
+    // **📊 ANALYTICS FROM GLOBAL STORAGE**
+    const ANALYTICS_BUCKETS = ['hour', 'day', 'week'];
+    const MAX_HOURLY_RANGE = 7 * 24 * 60 * 60 * 1000;
+
+    app.get('/api/admin/analytics', authMiddleware, (req, res) => {
+        try {
+            const bucket = req.query.bucket || 'day';
+            const to = req.query.to ? new Date(req.query.to) : new Date(clock());
+            const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+            const types = req.query.types
+                ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+                : [];
+
+            if (isNaN(from) || isNaN(to) || from > to) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'from and to must be valid dates with from before to'
+                });
+            }
+
+            if (!ANALYTICS_BUCKETS.includes(bucket)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `bucket must be one of: ${ANALYTICS_BUCKETS.join(', ')}`
+                });
+            }
+
+            if (bucket === 'hour' && to - from > MAX_HOURLY_RANGE) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Hourly analytics are limited to a 7 day range'
+                });
+            }
+
+            const stats = globalStorage.getAnalyticsStats();
+            const report = globalStorage.getAnalyticsReport({ from, to, bucket, types });
+
+            // Track analytics view
+            globalStorage.trackEvent('admin_analytics_viewed', {});
+
+            res.json({
+                success: true,
+                stats: stats,
+                range: {
+                    from: from.toISOString(),
+                    to: to.toISOString(),
+                    bucket: bucket,
+                    types: types
+                },
+                ...report,
+                source: 'global-storage'
+            });
+
+        } catch (error) {
+            logger.error('❌ Analytics fetch error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to fetch analytics from global storage'
+            });
+        }
+    });
+
+    // **📝 ANALYTICS TRACKING**
+    // Event types the frontend may send, with the fields each one accepts. Anything else is rejected.
+    const STRING = (maxLength, required = false) => ({ type: 'string', maxLength, required });
+    const NUMBER = (min, max, required = false) => ({ type: 'number', min, max, required });
+
+    const TRACKABLE_EVENTS = {
+        page_visit: {
+            page: STRING(500, true),
+            referrer: STRING(500),
+            title: STRING(200)
+        },
+        navigation_clicked: {
+            target: STRING(200, true)
+        },
+        gallery_viewed: {
+            imagesCount: NUMBER(0, 100000),
+            source: STRING(50)
+        },
+        menu_viewed: {
+            category: STRING(100)
+        },
+        cart_add: {
+            productId: { type: ['string', 'number'], maxLength: 100 },
+            productName: STRING(200, true),
+            variant: STRING(200),
+            price: NUMBER(0, 1000000),
+            quantity: NUMBER(1, 1000)
+        },
+        cart_remove: {
+            productId: { type: ['string', 'number'], maxLength: 100 },
+            productName: STRING(200, true)
+        },
+        whatsapp_order: {
+            itemCount: NUMBER(0, 1000),
+            total: NUMBER(0, 10000000)
+        },
+        social_click: {
+            platform: STRING(50, true)
+        }
+    };
+
+    // Accepted on every event type
+    const COMMON_EVENT_FIELDS = {
+        timestamp: STRING(40)
+    };
+
+    const MAX_EVENT_DATA_BYTES = 2048;
+    const MAX_EVENTS_PER_BATCH = 50;
+
+    // Returns a list of problems with one event; empty when it can be stored
+    function validateTrackedEvent(input) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            return ['must be an object with eventType and data'];
+        }
+
+        const { eventType, data = {} } = input;
+        if (!eventType) {
+            return ['Event type is required'];
+        }
+
+        const schema = TRACKABLE_EVENTS[eventType];
+        if (!schema) {
+            return [`Unknown event type: ${String(eventType).slice(0, 50)}`];
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['data must be an object'];
+        }
+
+        if (Buffer.byteLength(JSON.stringify(data)) > MAX_EVENT_DATA_BYTES) {
+            return [`data must be at most ${MAX_EVENT_DATA_BYTES} bytes`];
+        }
+
+        const fields = { ...COMMON_EVENT_FIELDS, ...schema };
+        const errors = [];
+
+        Object.keys(data).forEach(field => {
+            if (!fields[field]) {
+                errors.push(`Unexpected field for ${eventType}: ${field.slice(0, 50)}`);
+            }
+        });
+
+        Object.entries(fields).forEach(([field, rule]) => {
+            const value = data[field];
+            if (value === undefined || value === null) {
+                if (rule.required) errors.push(`${field} is required for ${eventType}`);
+                return;
+            }
+
+            const allowedTypes = [].concat(rule.type);
+            const valueType = typeof value === 'number' && !Number.isFinite(value) ? 'invalid' : typeof value;
+            if (!allowedTypes.includes(valueType)) {
+                errors.push(`${field} must be a ${allowedTypes.join(' or ')}`);
+                return;
+            }
+            if (typeof value === 'string' && rule.maxLength && value.length > rule.maxLength) {
+                errors.push(`${field} must be at most ${rule.maxLength} characters`);
+            }
+            if (typeof value === 'number' && rule.min !== undefined && value < rule.min) {
+                errors.push(`${field} must be at least ${rule.min}`);
+            }
+            if (typeof value === 'number' && rule.max !== undefined && value > rule.max) {
+                errors.push(`${field} must be at most ${rule.max}`);
+            }
+        });
+
+        return errors;
+    }
+
+    // Accepts { eventType, data }, { events: [...] } or a bare array; a batch is stored all-or-nothing
+    app.post('/api/analytics/track', trackingLimiter, (req, res) => {
+        try {
+            const body = req.body || {};
+            const isBatch = Array.isArray(body) || Array.isArray(body.events);
+            const events = Array.isArray(body) ? body : (isBatch ? body.events : [body]);
+
+            // Answered like a success so crawlers have no reason to retry; nothing is stored
+            if (isBotRequest(req)) {
+                recordFiltered('track', 'bot');
+                return res.json({
+                    success: true,
+                    message: 'Event ignored',
+                    filtered: true
+                });
+            }
+
+            if (events.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No events to track'
+                });
+            }
+
+            if (events.length > MAX_EVENTS_PER_BATCH) {
+                return res.status(400).json({
+                    success: false,
+                    message: `A batch can contain at most ${MAX_EVENTS_PER_BATCH} events`
+                });
+            }
+
+            const errors = [];
+            events.forEach((input, index) => {
+                validateTrackedEvent(input).forEach(message => {
+                    errors.push(isBatch ? { index, message } : { message });
+                });
+            });
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: isBatch ? 'One or more events are invalid' : errors[0].message,
+                    errors: errors
+                });
+            }
+
+            const tracked = events.map(({ eventType, data }) => globalStorage.trackEvent(eventType, {
+                ...data,
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            }));
+
+            if (isBatch) {
+                return res.json({
+                    success: true,
+                    message: `${tracked.length} event(s) tracked in global storage`,
+                    eventIds: tracked.map(event => event.id)
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Event tracked in global storage',
+                eventId: tracked[0].id
+            });
+
+        } catch (error) {
+            logger.error('❌ Analytics tracking error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Event tracking failed'
+            });
+        }
+    });
+
+    // **🕶️ PRIVACY CONTROLS**
+    let lastPrivacySweep = null;
+
+    function runPrivacySweep() {
+        const result = globalStorage.sweepAnalytics(retentionDaysFor);
+        const removedCount = Object.values(result.removed).reduce((sum, count) => sum + count, 0);
+
+        lastPrivacySweep = { at: new Date(clock()).toISOString(), removedEvents: removedCount, ...result };
+        if (removedCount > 0 || result.anonymized > 0) {
+            logger.log(`🕶️ Privacy sweep: ${removedCount} expired event(s) removed, ${result.anonymized} anonymized`);
+        }
+        return lastPrivacySweep;
+    }
+
+    app.get('/api/admin/privacy', authMiddleware, requireRole('owner'), (req, res) => {
+        res.json({
+            success: true,
+            settings: {
+                ipAnonymization: IP_ANONYMIZATION,
+                storeUserAgents: STORE_USER_AGENTS,
+                retention: {
+                    defaultDays: ANALYTICS_RETENTION_DAYS,
+                    policy: RETENTION_POLICY
+                },
+                sweepInterval: PRIVACY_SWEEP_INTERVAL
+            },
+            lastSweep: lastPrivacySweep
+        });
+    });
+
+    app.post('/api/admin/privacy/sweep', authMiddleware, requireRole('owner'), (req, res) => {
+        try {
+            res.json({ success: true, sweep: runPrivacySweep() });
+        } catch (error) {
+            logger.error('❌ Privacy sweep error:', error);
+            res.status(500).json({
+                error: 'Sweep failed',
+                message: 'Could not apply the retention policy'
+            });
+        }
+    });
+
+    // Body: { email, phone, dryRun }. Removes or blanks everything stored about that person and
+    // reports what was touched, by id or reference only, so the report itself holds no personal data.
+    // The audit trail is append-only and hash-chained, and backups are never rewritten; entries in
+    // either are counted under "retained" and age out with audit exports and backup rotation.
+    app.post('/api/admin/privacy/erase', authMiddleware, requireRole('owner'), (req, res) => {
+        try {
+            const { email, phone, dryRun } = req.body || {};
+
+            if (!email && !phone) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: 'email or phone is required'
+                });
+            }
+            if (email && !EMAIL_PATTERN.test(String(email))) {
+                return res.status(400).json({
+                    error: 'Invalid email',
+                    message: 'email must be a valid email address'
+                });
+            }
+            if (phone && normalizePhone(phone).length < 10) {
+                return res.status(400).json({
+                    error: 'Invalid phone',
+                    message: 'phone must be a valid phone number'
+                });
+            }
+
+            const records = globalStorage.findSubjectRecords({ email, phone });
+            const eventIds = new Set(records.analyticsEvents.map(event => event.id));
+            const deliveries = webhookStore.deliveries.filter(delivery => eventIds.has(delivery.eventId));
+
+            // Matched on the raw text of the stored snapshots, the same way a person would search them
+            const searchTerms = [email && String(email).trim().toLowerCase(), phone && normalizePhone(phone)].filter(Boolean);
+            const auditEntries = auditLog.entries.filter(entry => {
+                const snapshot = JSON.stringify([entry.before, entry.after]).toLowerCase();
+                return searchTerms.some(term => snapshot.includes(term));
+            }).length;
+
+            const report = {
+                dryRun: Boolean(dryRun),
+                erasedAt: null,
+                removed: {
+                    messages: records.messages.map(message => message.id),
+                    reviews: records.reviews.map(review => review.id),
+                    subscribers: records.subscribers.map(subscriber => subscriber.id),
+                    analyticsEvents: records.analyticsEvents.length,
+                    webhookDeliveries: deliveries.length,
+                    files: 0
+                },
+                redacted: {
+                    orders: records.orders.map(order => order.reference),
+                    inquiries: records.inquiries.map(inquiry => inquiry.reference),
+                    campaignRecipients: 0
+                },
+                retained: {
+                    auditEntries: auditEntries,
+                    backups: listBackupSnapshots().length
+                }
+            };
+
+            if (!dryRun) {
+                const result = globalStorage.eraseSubjectRecords(records);
+                webhookStore.deliveries = webhookStore.deliveries.filter(delivery => !eventIds.has(delivery.eventId));
+                webhookStore.save('deliveries');
+
+                report.erasedAt = result.erasedAt;
+                report.removed.files = result.removedFiles.length;
+                report.redacted.campaignRecipients = result.campaignRecipients;
+
+                globalStorage.trackEvent('admin_privacy_erased', {
+                    by: req.admin.username,
+                    messages: report.removed.messages.length,
+                    orders: report.redacted.orders.length,
+                    inquiries: report.redacted.inquiries.length,
+                    reviews: report.removed.reviews.length,
+                    subscribers: report.removed.subscribers.length,
+                    analyticsEvents: report.removed.analyticsEvents
+                });
+            }
+
+            res.json({ success: true, report: report });
+
+        } catch (error) {
+            logger.error('❌ Privacy erase error:', error);
+            res.status(500).json({
+                error: 'Erase failed',
+                message: 'Could not erase the requested data'
+            });
+        }
+    });
+
+    // **📡 LIVE ADMIN STREAM**
+    const STREAM_HEARTBEAT_INTERVAL = 15 * 1000;
+    const STREAM_STATS_INTERVAL = config.stream.statsInterval;
+    const MAX_STREAM_CLIENTS = 20;
+    const MAX_STREAM_REPLAY = 1000;
+    const MAX_STREAM_BUFFER = 1024 * 1024; // Drop clients that stop reading instead of buffering forever
+
+    // "admin_*" matches every type starting with "admin_"; an empty list matches everything
+    function createEventTypeFilter(types) {
+        if (types.length === 0) return () => true;
+        return type => types.some(pattern => pattern.endsWith('*')
+            ? type.startsWith(pattern.slice(0, -1))
+            : type === pattern);
+    }
+
+    // Tracked events are sent as plain "message" events whose id is the analytics event id, so the
+    // browser's automatic Last-Event-ID resumes exactly where it left off. "stats", "resync" and
+    // "revoked" are named events without an id.
+    class AdminEventStream {
+        constructor(storage) {
+            this.storage = storage;
+            this.clients = new Set();
+            this.heartbeatTimer = null;
+            this.statsTimer = null;
+            storage.on('event', event => this.broadcast(event));
+        }
+
+        get isFull() {
+            return this.clients.size >= MAX_STREAM_CLIENTS;
+        }
+
+        addClient(req, res, { types, lastEventId }) {
+            const client = {
+                res: res,
+                accepts: createEventTypeFilter(types),
+                userId: req.admin.id,
+                sessionId: req.admin.sessionId
+            };
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no' // Stops nginx from buffering the stream
+            });
+            res.write('retry: 5000\n\n');
+
+            if (lastEventId) this.replay(client, lastEventId);
+            this.write(client, this.formatStats());
+
+            this.clients.add(client);
+            this.startTimers();
+
+            req.on('close', () => this.removeClient(client));
+        }
+
+        removeClient(client) {
+            this.clients.delete(client);
+            if (this.clients.size === 0) this.stopTimers();
+        }
+
+        replay(client, lastEventId) {
+            const events = this.storage.analyticsEvents;
+            const missed = events.filter(event => event.id > lastEventId && client.accepts(event.type));
+
+            // Older events than the in-memory window are gone; tell the client to reload its view
+            const truncated = missed.length > MAX_STREAM_REPLAY || (events.length > 0 && events[0].id > lastEventId + 1 &&
+                events.length >= 10000);
+            if (truncated) {
+                this.write(client, `event: resync\ndata: ${JSON.stringify({ reason: 'history_unavailable' })}\n\n`);
+            }
+
+            missed.slice(-MAX_STREAM_REPLAY).forEach(event => this.write(client, this.formatEvent(event)));
+        }
+
+        formatEvent(event) {
+            return `id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`;
+        }
+
+        formatStats() {
+            const stats = {
+                at: new Date(clock()).toISOString(),
+                stats: this.storage.getAnalyticsStats(),
+                queues: {
+                    pendingOrders: this.storage.orders.filter(order => order.status === 'pending').length,
+                    newInquiries: this.storage.inquiries.filter(inquiry => inquiry.status === 'new').length,
+                    unreadMessages: this.storage.messages.filter(message => message.status === 'new').length,
+                    pendingReviews: this.storage.reviews.filter(review => review.status === 'pending').length
+                },
+                images: this.storage.images.length
+            };
+            return `event: stats\ndata: ${JSON.stringify(stats)}\n\n`;
+        }
+
+        write(client, chunk) {
+            if (client.res.writableLength > MAX_STREAM_BUFFER) {
+                client.res.end();
+                this.removeClient(client);
+                return;
+            }
+            client.res.write(chunk);
+        }
+
+        broadcast(event) {
+            if (this.clients.size === 0) return;
+
+            const chunk = this.formatEvent(event);
+            this.clients.forEach(client => {
+                if (client.accepts(event.type)) this.write(client, chunk);
+            });
+        }
+
+        // Heartbeats keep proxies from closing idle connections, and double as a check that the
+        // admin's session has not been revoked since the stream was opened
+        heartbeat() {
+            this.clients.forEach(client => {
+                const user = adminUsers.getUser(client.userId);
+                const session = adminSessions.getSession(client.sessionId);
+                if (!user || !user.active || !session || !adminSessions.isActive(session)) {
+                    client.res.end('event: revoked\ndata: {}\n\n');
+                    this.removeClient(client);
+                    return;
+                }
+                this.write(client, `: heartbeat ${clock()}\n\n`);
+            });
+        }
+
+        startTimers() {
+            if (this.heartbeatTimer) return;
+            this.heartbeatTimer = setInterval(() => this.heartbeat(), STREAM_HEARTBEAT_INTERVAL);
+            this.statsTimer = setInterval(() => {
+                const chunk = this.formatStats();
+                this.clients.forEach(client => this.write(client, chunk));
+            }, STREAM_STATS_INTERVAL);
+            this.heartbeatTimer.unref();
+            this.statsTimer.unref();
+        }
+
+        stopTimers() {
+            clearInterval(this.heartbeatTimer);
+            clearInterval(this.statsTimer);
+            this.heartbeatTimer = null;
+            this.statsTimer = null;
+        }
+
+        // Open streams would otherwise keep server.close() waiting forever
+        closeAll() {
+            this.clients.forEach(client => client.res.end());
+            this.clients.clear();
+            this.stopTimers();
+        }
+    }
+
+    const adminStream = new AdminEventStream(globalStorage);
+
+    // EventSource cannot send an Authorization header, so the stream also accepts ?token=
+    function tokenFromQuery(req, res, next) {
+        if (!req.headers.authorization && typeof req.query.token === 'string') {
+            req.headers.authorization = `Bearer ${req.query.token}`;
+        }
+        next();
+    }
+
+    // Query: types=order_placed,admin_* (optional), lastEventId= (fallback for the Last-Event-ID header)
+    app.get('/api/admin/stream', tokenFromQuery, authMiddleware, (req, res) => {
+        if (adminStream.isFull) {
+            return res.status(503).json({
+                error: 'Too many streams',
+                message: `At most ${MAX_STREAM_CLIENTS} live streams can be open at once`
+            });
+        }
+
+        const types = String(req.query.types || '')
+            .split(',')
+            .map(type => type.trim())
+            .filter(Boolean);
+        const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10) || 0;
+
+        req.socket.setTimeout(0);
+        adminStream.addClient(req, res, { types, lastEventId });
+    });
+
+    // **🪝 WEBHOOKS**
+    // Subscriptions pick event types (wildcards allowed) from everything that passes through
+    // trackEvent. Each matching event becomes a queued delivery, POSTed as JSON with the header
+    //   X-WarmDelights-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+    // keyed with the subscription's secret. Failed deliveries are retried with exponential backoff;
+    // the queue is persisted, so pending retries survive a restart.
+    const WEBHOOK_MAX_ATTEMPTS = config.webhooks.maxAttempts;
+    const WEBHOOK_RETRY_BASE = config.webhooks.retryBase;
+    const WEBHOOK_TIMEOUT = 10 * 1000;
+    const WEBHOOK_POLL_INTERVAL = 5 * 1000;
+    const WEBHOOK_CONCURRENCY = 4;
+    const MAX_WEBHOOKS = 20;
+    const MAX_WEBHOOK_LOG = 2000; // Finished deliveries kept for the log; pending ones are never dropped
+    class WebhookStore {
+        constructor() {
+            this.dataFile = path.join(dataDir, 'webhooks.json');
+            this.webhooks = [];
+            this.deliveries = [];
+            this.inFlight = new Set();
+            this.delivering = false; // set by startJobs; until then processQueue leaves everything queued
+            this.backend = createStorageBackend(this.dataFile, { ...STORAGE_OPTIONS, fileMode: 0o600 });
+            this.backend.bind(() => ({ webhooks: this.webhooks, deliveries: this.deliveries }));
+            this.load();
+        }
+
+        load() {
+            try {
+                const parsed = this.backend.load();
+                this.webhooks = parsed.webhooks || [];
+                this.deliveries = parsed.deliveries || [];
+                // A delivery that was mid-request when the process stopped is simply retried
+                this.deliveries.forEach(delivery => {
+                    if (delivery.status === 'sending') delivery.status = 'pending';
+                });
+                logger.log(`✅ Loaded ${this.webhooks.length} webhook(s)`);
+            } catch (error) {
+                logger.error('❌ Error loading webhooks:', error);
+                this.webhooks = [];
+                this.deliveries = [];
+            }
+        }
+
+        save(...collections) {
+            collections.forEach(collection => this.backend.markChanged(collection));
+        }
+
+        getWebhook(webhookId) {
+            return this.webhooks.find(webhook => webhook.id == webhookId) || null;
+        }
+
+        createWebhook({ url, events, description, active }, createdBy) {
+            const webhook = {
+                id: clock() + Math.floor(Math.random() * 1000),
+                url: url,
+                events: events,
+                description: description || '',
+                active: active !== false,
+                secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+                createdBy: createdBy,
+                createdAt: new Date(clock()).toISOString(),
+                updatedAt: new Date(clock()).toISOString()
+            };
+
+            this.webhooks.push(webhook);
+            this.save('webhooks');
+            return webhook;
+        }
+
+        updateWebhook(webhookId, changes) {
+            const webhook = this.getWebhook(webhookId);
+            if (!webhook) return null;
+
+            Object.assign(webhook, changes, { updatedAt: new Date(clock()).toISOString() });
+            this.save('webhooks');
+            return webhook;
+        }
+
+        // Pending deliveries for a removed subscription are cancelled, the log is kept
+        removeWebhook(webhookId) {
+            const index = this.webhooks.findIndex(webhook => webhook.id == webhookId);
+            if (index === -1) return null;
+
+            const [removed] = this.webhooks.splice(index, 1);
+            this.deliveries.forEach(delivery => {
+                if (delivery.webhookId == removed.id && delivery.status === 'pending') {
+                    delivery.status = 'cancelled';
+                }
+            });
+            this.save('webhooks', 'deliveries');
+            return removed;
+        }
+
+        toPublic(webhook) {
+            const { secret, ...publicWebhook } = webhook;
+            return { ...publicWebhook, secretPreview: `${secret.slice(0, 10)}…` };
+        }
+
+        enqueueEvent(event) {
+            const matching = this.webhooks.filter(webhook => webhook.active && createEventTypeFilter(webhook.events)(event.type));
+            matching.forEach(webhook => this.addDelivery(webhook, {
+                id: event.id,
+                type: event.type,
+                timestamp: event.timestamp,
+                data: event.data
+            }));
+            if (matching.length > 0) setImmediate(() => this.processQueue());
+        }
+
+        addDelivery(webhook, event, replayOf = null) {
+            const delivery = {
+                id: `whd_${crypto.randomBytes(8).toString('hex')}`,
+                webhookId: webhook.id,
+                eventId: event.id,
+                eventType: event.type,
+                payload: event,
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: new Date(clock()).toISOString(),
+                lastStatusCode: null,
+                lastError: null,
+                history: [],
+                replayOf: replayOf,
+                createdAt: new Date(clock()).toISOString(),
+                deliveredAt: null
+            };
+
+            this.deliveries.push(delivery);
+            this.pruneLog();
+            this.save('deliveries');
+            return delivery;
+        }
+
+        getDelivery(deliveryId) {
+            return this.deliveries.find(delivery => delivery.id === deliveryId) || null;
+        }
+
+        getDeliveries(filters = {}) {
+            return this.deliveries
+                .filter(delivery => !filters.webhookId || delivery.webhookId == filters.webhookId)
+                .filter(delivery => !filters.status || delivery.status === filters.status)
+                .filter(delivery => !filters.eventType || delivery.eventType === filters.eventType)
+                .slice()
+                .reverse();
+        }
+
+        pruneLog() {
+            const finished = this.deliveries.filter(delivery => !['pending', 'sending'].includes(delivery.status));
+            if (finished.length <= MAX_WEBHOOK_LOG) return;
+
+            const dropped = new Set(finished.slice(0, finished.length - MAX_WEBHOOK_LOG));
+            this.deliveries = this.deliveries.filter(delivery => !dropped.has(delivery));
+        }
+
+        // Backoff doubles per attempt (30s, 1m, 2m, ...) with up to 20% jitter so retries spread out
+        retryDelay(attempts) {
+            const delay = WEBHOOK_RETRY_BASE * Math.pow(2, attempts - 1);
+            return Math.round(delay * (1 + Math.random() * 0.2));
+        }
+
+        processQueue() {
+            if (!this.delivering) return;
+
+            const now = new Date(clock()).toISOString();
+            const due = this.deliveries
+                .filter(delivery => delivery.status === 'pending' && delivery.nextAttemptAt <= now)
+                .slice(0, Math.max(0, WEBHOOK_CONCURRENCY - this.inFlight.size));
+
+            due.forEach(delivery => {
+                this.inFlight.add(delivery.id);
+                this.attempt(delivery)
+                    .catch(error => logger.error('❌ Webhook delivery error:', error))
+                    .finally(() => this.inFlight.delete(delivery.id));
+            });
+        }
+
+        async attempt(delivery) {
+            const webhook = this.getWebhook(delivery.webhookId);
+            if (!webhook) {
+                delivery.status = 'cancelled';
+                this.save('deliveries');
+                return;
+            }
+
+            delivery.status = 'sending';
+            delivery.attempts += 1;
+
+            const body = JSON.stringify({ deliveryId: delivery.id, event: delivery.payload });
+            const startedAt = clock();
+            let statusCode = null;
+            let error = null;
+
+            try {
+                const response = await fetch(webhook.url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'WarmDelights-Webhooks/1.0',
+                        'X-WarmDelights-Event': delivery.eventType,
+                        'X-WarmDelights-Delivery': delivery.id,
+                        [WEBHOOK_SIGNATURE_HEADER]: signWebhookPayload(webhook.secret, body)
+                    },
+                    body: body,
+                    redirect: 'manual',
+                    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+                });
+                statusCode = response.status;
+                if (!response.ok) error = `HTTP ${response.status}`;
+                await response.body?.cancel();
+            } catch (requestError) {
+                error = requestError.name === 'TimeoutError' ? 'Timed out' : requestError.message;
+            }
+
+            delivery.lastStatusCode = statusCode;
+            delivery.lastError = error;
+            delivery.history.push({
+                at: new Date(startedAt).toISOString(),
+                statusCode: statusCode,
+                error: error,
+                durationMs: clock() - startedAt
+            });
+
+            if (!error) {
+                delivery.status = 'delivered';
+                delivery.deliveredAt = new Date(clock()).toISOString();
+            } else if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+                delivery.status = 'failed';
+                logger.error(`❌ Webhook delivery ${delivery.id} to ${webhook.url} failed after ${delivery.attempts} attempts`);
+            } else {
+                delivery.status = 'pending';
+                delivery.nextAttemptAt = new Date(clock() + this.retryDelay(delivery.attempts)).toISOString();
+            }
+
+            this.save('deliveries');
+        }
+    }
+
+    const webhookStore = new WebhookStore();
+    globalStorage.on('event', event => webhookStore.enqueueEvent(event));
+
+    function validateWebhookInput(body, { partial = false } = {}) {
+        const errors = [];
+        const changes = {};
+        const input = body || {};
+
+        if (input.url !== undefined || !partial) {
+            let parsed = null;
+            try {
+                parsed = new URL(String(input.url));
+            } catch (error) {
+                // reported below
+            }
+            if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+                errors.push('url must be an http(s) URL');
+            } else {
+                changes.url = parsed.toString();
+            }
+        }
+
+        if (input.events !== undefined || !partial) {
+            if (!Array.isArray(input.events) || input.events.length === 0 ||
+                !input.events.every(type => typeof type === 'string' && /^[a-z0-9_]+\*?$|^\*$/.test(type))) {
+                errors.push('events must be a non-empty array of event types, e.g. ["order_placed", "admin_*"]');
+            } else {
+                changes.events = [...new Set(input.events)];
+            }
+        }
+
+        if (input.description !== undefined) {
+            changes.description = String(input.description).trim().slice(0, 200);
+        }
+
+        if (input.active !== undefined) {
+            if (typeof input.active !== 'boolean') {
+                errors.push('active must be a boolean');
+            } else {
+                changes.active = input.active;
+            }
+        }
+
+        return { errors, changes };
+    }
+
+    function webhookNotFound(res) {
+        return res.status(404).json({
+            error: 'Webhook not found',
+            message: 'The requested webhook does not exist'
+        });
+    }
+
+    app.get('/api/admin/webhooks', authMiddleware, requireRole('owner'), (req, res) => {
+        res.json({
+            success: true,
+            count: webhookStore.webhooks.length,
+            webhooks: webhookStore.webhooks.map(webhook => ({
+                ...webhookStore.toPublic(webhook),
+                pending: webhookStore.deliveries.filter(d => d.webhookId == webhook.id && d.status === 'pending').length,
+                failed: webhookStore.deliveries.filter(d => d.webhookId == webhook.id && d.status === 'failed').length
+            }))
+        });
+    });
+
+    // Body: { url, events, description?, active? }; the signing secret is only shown in this response
+    app.post('/api/admin/webhooks', authMiddleware, requireRole('owner'), (req, res) => {
+        const { errors, changes } = validateWebhookInput(req.body);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid webhook',
+                message: errors.join('; ')
+            });
+        }
+
+        if (webhookStore.webhooks.length >= MAX_WEBHOOKS) {
+            return res.status(409).json({
+                error: 'Too many webhooks',
+                message: `At most ${MAX_WEBHOOKS} webhooks can be configured`
+            });
+        }
+
+        const webhook = webhookStore.createWebhook(changes, req.admin.username);
+        globalStorage.trackEvent('admin_webhook_created', { webhookId: webhook.id, events: webhook.events });
+
+        res.status(201).json({
+            success: true,
+            message: 'Webhook created. Store the secret now, it will not be shown again.',
+            webhook: webhookStore.toPublic(webhook),
+            secret: webhook.secret
+        });
+    });
+
+    app.patch('/api/admin/webhooks/:id', authMiddleware, requireRole('owner'), (req, res) => {
+        if (!webhookStore.getWebhook(req.params.id)) return webhookNotFound(res);
+
+        const { errors, changes } = validateWebhookInput(req.body, { partial: true });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid webhook',
+                message: errors.join('; ')
+            });
+        }
+
+        const webhook = webhookStore.updateWebhook(req.params.id, changes);
+        res.json({ success: true, webhook: webhookStore.toPublic(webhook) });
+    });
+
+    app.post('/api/admin/webhooks/:id/rotate-secret', authMiddleware, requireRole('owner'), (req, res) => {
+        if (!webhookStore.getWebhook(req.params.id)) return webhookNotFound(res);
+
+        const webhook = webhookStore.updateWebhook(req.params.id, {
+            secret: `whsec_${crypto.randomBytes(24).toString('hex')}`
+        });
+        globalStorage.trackEvent('admin_webhook_secret_rotated', { webhookId: webhook.id });
+
+        res.json({
+            success: true,
+            message: 'Secret rotated. Deliveries from now on are signed with the new secret.',
+            webhook: webhookStore.toPublic(webhook),
+            secret: webhook.secret
+        });
+    });
+
+    app.delete('/api/admin/webhooks/:id', authMiddleware, requireRole('owner'), (req, res) => {
+        const removed = webhookStore.removeWebhook(req.params.id);
+        if (!removed) return webhookNotFound(res);
+
+        globalStorage.trackEvent('admin_webhook_deleted', { webhookId: removed.id });
+
+        res.json({
+            success: true,
+            message: 'Webhook deleted',
+            deletedWebhook: { id: removed.id }
+        });
+    });
+
+    // Sends a "webhook_test" event to this subscription only, whatever its event filter
+    app.post('/api/admin/webhooks/:id/test', authMiddleware, requireRole('owner'), (req, res) => {
+        const webhook = webhookStore.getWebhook(req.params.id);
+        if (!webhook) return webhookNotFound(res);
+
+        const delivery = webhookStore.addDelivery(webhook, {
+            id: clock(),
+            type: 'webhook_test',
+            timestamp: new Date(clock()).toISOString(),
+            data: { message: 'Test delivery from Warm Delights', requestedBy: req.admin.username }
+        });
+        setImmediate(() => webhookStore.processQueue());
+
+        res.status(202).json({ success: true, delivery: delivery });
+    });
+
+    app.get('/api/admin/webhooks/deliveries', authMiddleware, requireRole('owner'), (req, res) => {
+        const { webhookId, status, eventType } = req.query;
+        const page = req.query.page ? parseInt(req.query.page) : 1;
+        const limit = req.query.limit ? parseInt(req.query.limit) : 50;
+
+        if (!(page >= 1) || !(limit >= 1 && limit <= 200)) {
+            return res.status(400).json({
+                error: 'Invalid pagination',
+                message: 'page must be 1 or more and limit between 1 and 200'
+            });
+        }
+
+        const deliveries = webhookStore.getDeliveries({ webhookId, status, eventType });
+
+        res.set('X-Total-Count', String(deliveries.length));
+        res.json({
+            success: true,
+            total: deliveries.length,
+            page: page,
+            limit: limit,
+            deliveries: deliveries.slice((page - 1) * limit, page * limit)
+        });
+    });
+
+    app.get('/api/admin/webhooks/deliveries/:deliveryId', authMiddleware, requireRole('owner'), (req, res) => {
+        const delivery = webhookStore.getDelivery(req.params.deliveryId);
+
+        if (!delivery) {
+            return res.status(404).json({
+                error: 'Delivery not found',
+                message: 'The requested delivery does not exist'
+            });
+        }
+
+        res.json({ success: true, delivery: delivery });
+    });
+
+    // Queues a fresh copy of the delivery (same payload, attempts reset); the original stays in the log.
+    // A delivery still waiting for a retry is retried right away instead of being duplicated.
+    app.post('/api/admin/webhooks/deliveries/:deliveryId/replay', authMiddleware, requireRole('owner'), (req, res) => {
+        const original = webhookStore.getDelivery(req.params.deliveryId);
+
+        if (!original) {
+            return res.status(404).json({
+                error: 'Delivery not found',
+                message: 'The requested delivery does not exist'
+            });
+        }
+
+        if (['pending', 'sending'].includes(original.status)) {
+            original.nextAttemptAt = new Date(clock()).toISOString();
+            webhookStore.save('deliveries');
+            setImmediate(() => webhookStore.processQueue());
+            return res.status(202).json({ success: true, delivery: original });
+        }
+
+        const webhook = webhookStore.getWebhook(original.webhookId);
+        if (!webhook) return webhookNotFound(res);
+
+        const delivery = webhookStore.addDelivery(webhook, original.payload, original.id);
+        setImmediate(() => webhookStore.processQueue());
+
+        globalStorage.trackEvent('admin_webhook_replayed', { webhookId: webhook.id, deliveryId: original.id });
+
+        res.status(202).json({ success: true, delivery: delivery });
+    });
+
+    // **📞 CONTACT FORM WITH GLOBAL STORAGE**
+    const MESSAGE_STATUSES = ['new', 'read', 'handled'];
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+    app.post('/api/contact', contactLimiter, async (req, res) => {
+        try {
+            const { name, email, phone, message } = req.body;
+
+            // Bots get the normal success reply, so they cannot tell they were caught
+            const spamReason = detectContactSpam(req.body || {});
+            if (spamReason) {
+                recordFiltered('contact', spamReason);
+                return res.json({
+                    success: true,
+                    message: 'Message sent and tracked in global storage!'
+                });
+            }
+
+            if (!name || !email || !message) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Name, email, and message are required'
+                });
+            }
+
+            if (!EMAIL_PATTERN.test(String(email))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Please provide a valid email address'
+                });
+            }
+
+            const stored = globalStorage.addMessage({
+                name: String(name).trim().slice(0, 200),
+                email: String(email).trim().slice(0, 200),
+                phone: phone ? String(phone).trim().slice(0, 30) : null,
+                message: String(message).trim().slice(0, 5000)
+            });
+
+            const delivery = await mailer.send({
+                to: mailer.bakeryAddress,
+                replyTo: stored.email,
+                subject: `New message from ${stored.name} via the website`,
+                text: [
+                    `Name: ${stored.name}`,
+                    `Email: ${stored.email}`,
+                    `Phone: ${stored.phone || '-'}`,
+                    '',
+                    stored.message
+                ].join('\n')
+            });
+
+            let acknowledgement = null;
+            if (mailer.autoAcknowledge) {
+                acknowledgement = await mailer.send({
+                    to: stored.email,
+                    replyTo: mailer.bakeryAddress || undefined,
+                    subject: 'We received your message - Warm Delights',
+                    text: `Hi ${stored.name},\n\nThank you for reaching out to Warm Delights! ` +
+                        'We have received your message and will get back to you shortly.\n\nWarm regards,\nWarm Delights'
+                });
+            }
+
+            globalStorage.updateMessage(stored.id, { delivery, acknowledgement });
+
+            // Track contact submission
+            globalStorage.trackEvent('contact_submit', {
+                messageId: stored.id,
+                delivery: delivery.status,
+                ip: req.ip
+            });
+
+            res.json({
+                success: true,
+                message: 'Message sent and tracked in global storage!'
+            });
+        } catch (error) {
+            logger.error('Contact form error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to send message'
+            });
+        }
+    });
+
+    // **📬 ADMIN CONTACT INBOX**
+    app.get('/api/admin/messages', authMiddleware, (req, res) => {
+        const { status } = req.query;
+
+        if (status && !MESSAGE_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid status',
+                message: `status must be one of: ${MESSAGE_STATUSES.join(', ')}`
+            });
+        }
+
+        const messages = globalStorage.getMessages({ status });
+
+        res.json({
+            success: true,
+            count: messages.length,
+            unread: globalStorage.messages.filter(m => m.status === 'new').length,
+            messages: messages
+        });
+    });
+
+    app.get('/api/admin/messages/:id', authMiddleware, (req, res) => {
+        let message = globalStorage.getMessage(req.params.id);
+
+        if (!message) {
+            return res.status(404).json({
+                error: 'Message not found',
+                message: 'The requested message does not exist'
+            });
+        }
+
+        // Opening a new message marks it as read
+        if (message.status === 'new') {
+            message = globalStorage.updateMessage(message.id, {
+                status: 'read',
+                readAt: new Date(clock()).toISOString()
+            });
+        }
+
+        res.json({ success: true, message: message });
+    });
+
+    app.patch('/api/admin/messages/:id', authMiddleware, requireRole('editor'), (req, res) => {
+        const { handled } = req.body || {};
+
+        if (typeof handled !== 'boolean') {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'handled must be a boolean'
+            });
+        }
+
+        const message = globalStorage.updateMessage(req.params.id, handled
+            ? { status: 'handled', handledAt: new Date(clock()).toISOString(), handledBy: req.admin.username }
+            : { status: 'read', handledAt: null, handledBy: null });
 
-        // Load persistent data
-        this.loadGalleryData();
+        if (!message) {
+            return res.status(404).json({
+                error: 'Message not found',
+                message: 'The requested message does not exist'
+            });
+        }
+
+        res.json({ success: true, message: message });
+    });
+
+    app.delete('/api/admin/messages/:id', authMiddleware, requireRole('editor'), (req, res) => {
+        const removedMessage = globalStorage.removeMessage(req.params.id);
+
+        if (!removedMessage) {
+            return res.status(404).json({
+                error: 'Message not found',
+                message: 'The requested message does not exist'
+            });
+        }
+
+        globalStorage.trackEvent('admin_message_deleted', {
+            messageId: removedMessage.id
+        });
+
+        res.json({
+            success: true,
+            message: 'Message deleted',
+            deletedMessage: { id: removedMessage.id }
+        });
+    });
+
+    // **💌 NEWSLETTER**
+    // Sign-ups are double opt-in: the address only receives campaigns after the link in the
+    // confirmation email is followed. Links carry a signed token instead of the subscriber id, so
+    // nobody can confirm or unsubscribe an address they do not receive mail for.
+    const SUBSCRIBER_STATUSES = ['pending', 'subscribed', 'unsubscribed', 'bounced'];
+    const CAMPAIGN_STATUSES = ['draft', 'sending', 'sent', 'cancelled'];
+    const NEWSLETTER_CONFIRM_TTL = '7d';
+    const NEWSLETTER_RESEND_INTERVAL = 10 * 60 * 1000; // 10 minutes between confirmation emails
+    const NEWSLETTER_SEND_INTERVAL = config.newsletter.sendInterval;
+    const NEWSLETTER_MAX_ATTEMPTS = 3;
+    const NEWSLETTER_RETRY_DELAY = 5 * 60 * 1000;
+    const NEWSLETTER_BOUNCE_THRESHOLD = 3; // consecutive failed campaign emails before an address counts as bounced
+    const API_BASE_URL = config.server.baseUrl;
+    const SUBSCRIBER_CSV_COLUMNS = ['id', 'email', 'name', 'status', 'createdAt', 'confirmedAt', 'unsubscribedAt',
+        'failures', 'lastError'];
+
+    // Derived from JWT_SECRET so a newsletter token can never pass as an admin token or vice versa
+    const NEWSLETTER_TOKEN_KEY = crypto.createHmac('sha256', JWT_SECRET).update('newsletter-tokens').digest();
+
+    const newsletterLimiter = createPublicLimiter('newsletter', 60 * 60 * 1000, 10, 'Too many subscription requests, please try again later.');
+    // Generous, because one-click unsubscribes from a campaign arrive from a few mail providers' addresses
+    const newsletterLinkLimiter = createPublicLimiter('newsletter_link', 60 * 1000, 60, 'Too many requests, please try again shortly.');
+
+    function createNewsletterToken(subscriber, purpose) {
+        // Unsubscribe links must keep working in old emails, so only confirmation links expire
+        const options = purpose === 'confirm' ? { expiresIn: NEWSLETTER_CONFIRM_TTL } : {};
+        return jwt.sign({ sub: String(subscriber.id), email: subscriber.email, purpose: purpose, iat: Math.floor(clock() / 1000) },
+            NEWSLETTER_TOKEN_KEY, options);
+    }
+
+    // Returns the subscriber the token was issued for, or null when it is invalid, expired, meant
+    // for something else, or the address on record has changed since
+    function verifyNewsletterToken(token, purpose) {
+        if (typeof token !== 'string' || !token) return null;
+
+        try {
+            const decoded = jwt.verify(token, NEWSLETTER_TOKEN_KEY, { clockTimestamp: Math.floor(clock() / 1000) });
+            if (decoded.purpose !== purpose) return null;
+
+            const subscriber = globalStorage.getSubscriber(decoded.sub);
+            return subscriber && subscriber.email === decoded.email ? subscriber : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function unsubscribeLinks(subscriber) {
+        const token = createNewsletterToken(subscriber, 'unsubscribe');
+        return {
+            page: `${SITE_URL}/newsletter/unsubscribe?token=${token}`,
+            oneClick: `${API_BASE_URL}/api/newsletter/unsubscribe?token=${token}`
+        };
+    }
+
+    // RFC 8058 headers let mail clients show their own unsubscribe button, which POSTs to oneClick
+    function unsubscribeHeaders(links) {
+        return {
+            'List-Unsubscribe': `<${links.oneClick}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        };
+    }
+
+    async function sendNewsletterConfirmation(subscriber) {
+        const confirmUrl = `${SITE_URL}/newsletter/confirm?token=${createNewsletterToken(subscriber, 'confirm')}`;
+
+        const delivery = await mailer.send({
+            to: subscriber.email,
+            replyTo: mailer.bakeryAddress || undefined,
+            subject: 'Please confirm your subscription - Warm Delights',
+            text: [
+                `Hi ${subscriber.name || 'there'},`,
+                '',
+                'Thanks for signing up for news about our new menus and seasonal bakes.',
+                `Please confirm your subscription by opening this link:\n${confirmUrl}`,
+                '',
+                'The link is valid for 7 days. If you did not sign up, you can ignore this email.',
+                '',
+                'Warm regards,',
+                'Warm Delights'
+            ].join('\n')
+        });
+
+        globalStorage.updateSubscriber(subscriber.id, {
+            confirmationSentAt: delivery.at,
+            lastError: delivery.status === 'failed' ? delivery.error : subscriber.lastError
+        });
+        return delivery;
+    }
+
+    // {{name}}, {{email}} and {{unsubscribe_url}} are filled in per recipient; the unsubscribe link
+    // is appended when the template does not place it itself
+    function renderCampaignBody(body, subscriber, links) {
+        const values = {
+            name: subscriber.name || 'there',
+            email: subscriber.email,
+            unsubscribe_url: links.page
+        };
+        const text = body.replace(/\{\{\s*(name|email|unsubscribe_url)\s*\}\}/g, (match, key) => values[key]);
+
+        return /\{\{\s*unsubscribe_url\s*\}\}/.test(body)
+            ? text
+            : `${text}\n\n--\nYou are receiving this because you subscribed to Warm Delights news.\n` +
+                `Unsubscribe: ${links.page}`;
+    }
+
+    function validateCampaignInput(body, { partial = false } = {}) {
+        const errors = [];
+        const { subject, body: text } = body || {};
+        const campaign = {};
+
+        if (subject !== undefined || !partial) {
+            if (typeof subject !== 'string' || !subject.trim()) {
+                errors.push('subject is required');
+            } else {
+                campaign.subject = subject.trim().slice(0, 200);
+            }
+        }
+        if (text !== undefined || !partial) {
+            if (typeof text !== 'string' || !text.trim()) {
+                errors.push('body is required');
+            } else {
+                campaign.body = text.trim().slice(0, 50000);
+            }
+        }
+
+        return { errors, campaign };
+    }
+
+    // The recipient list is kept off the summary; it can run into thousands of entries
+    function formatCampaign(campaign, { withRecipients = false } = {}) {
+        const { recipients, ...summary } = campaign;
+        return withRecipients ? { ...summary, recipients: recipients } : summary;
+    }
+
+    function subscriberNotFound(res) {
+        return res.status(404).json({
+            error: 'Subscriber not found',
+            message: 'The requested subscriber does not exist'
+        });
+    }
+
+    function campaignNotFound(res) {
+        return res.status(404).json({
+            error: 'Campaign not found',
+            message: 'The requested campaign does not exist'
+        });
+    }
+
+    // Campaign emails go out one at a time, every NEWSLETTER_SEND_INTERVAL, so a large list never
+    // trips the SMTP provider's rate limits. Progress is stored on the campaign after each email,
+    // which lets a restart carry on where the previous process stopped.
+    let newsletterSendInFlight = false;
 
-        console.log(`✅ Global Storage initialized with ${this.images.length} images`);
-        console.log(`📊 Loaded ${this.analyticsEvents.length} analytics events`);
+    async function sendNextNewsletterEmail() {
+        if (newsletterSendInFlight || !mailer.enabled) return;
+
+        const now = clock();
+        const campaign = globalStorage.campaigns.find(candidate => candidate.status === 'sending');
+        if (!campaign) return;
+
+        const recipient = campaign.recipients.find(entry => entry.status === 'pending' &&
+            (!entry.nextAttemptAt || new Date(entry.nextAttemptAt).getTime() <= now));
+
+        if (!recipient) {
+            if (!campaign.recipients.some(entry => entry.status === 'pending')) {
+                globalStorage.updateCampaign(campaign.id, { status: 'sent', finishedAt: new Date(clock()).toISOString() });
+                globalStorage.trackEvent('newsletter_campaign_sent', {
+                    campaignId: campaign.id,
+                    ...campaign.stats
+                });
+                logger.log(`💌 Campaign ${campaign.id} finished: ${campaign.stats.sent} sent, ${campaign.stats.failed} failed`);
+            }
+            return;
+        }
+
+        newsletterSendInFlight = true;
+        try {
+            const subscriber = globalStorage.getSubscriber(recipient.subscriberId);
+
+            // Whoever unsubscribed or bounced after the campaign started is left out
+            if (!subscriber || subscriber.status !== 'subscribed') {
+                recipient.status = 'skipped';
+                campaign.stats.skipped++;
+                globalStorage.updateCampaign(campaign.id, {});
+                return;
+            }
+
+            const links = unsubscribeLinks(subscriber);
+            const delivery = await mailer.send({
+                to: subscriber.email,
+                replyTo: mailer.bakeryAddress || undefined,
+                subject: campaign.subject,
+                text: renderCampaignBody(campaign.body, subscriber, links),
+                headers: unsubscribeHeaders(links)
+            });
+
+            recipient.attempts = (recipient.attempts || 0) + 1;
+            recipient.lastAttemptAt = delivery.at;
+
+            if (delivery.status === 'sent') {
+                recipient.status = 'sent';
+                recipient.sentAt = delivery.at;
+                recipient.error = null;
+                campaign.stats.sent++;
+                globalStorage.updateSubscriber(subscriber.id, { lastSentAt: delivery.at, failures: 0, lastError: null });
+            } else {
+                // A 5xx reply means the address was rejected; anything else may clear up on a retry
+                const permanent = delivery.responseCode >= 500;
+                recipient.error = delivery.error || delivery.status;
+
+                if (permanent || recipient.attempts >= NEWSLETTER_MAX_ATTEMPTS) {
+                    recipient.status = 'failed';
+                    campaign.stats.failed++;
+
+                    const failures = (subscriber.failures || 0) + 1;
+                    const bounced = permanent || failures >= NEWSLETTER_BOUNCE_THRESHOLD;
+                    globalStorage.updateSubscriber(subscriber.id, {
+                        failures: failures,
+                        lastError: recipient.error,
+                        ...(bounced ? { status: 'bounced', bouncedAt: delivery.at } : {})
+                    });
+                    if (bounced) {
+                        logger.warn(`⚠️ Newsletter address marked as bounced: ${subscriber.email}`);
+                    }
+                } else {
+                    recipient.nextAttemptAt = new Date(clock() + NEWSLETTER_RETRY_DELAY).toISOString();
+                }
+            }
+            globalStorage.updateCampaign(campaign.id, {});
+        } catch (error) {
+            logger.error('❌ Newsletter send error:', error);
+        } finally {
+            newsletterSendInFlight = false;
+        }
     }
 
-    ensureUploadsDir() {
+    // Always answers the same way, so the form cannot be used to find out who is subscribed
+    app.post('/api/newsletter/subscribe', newsletterLimiter, async (req, res) => {
         try {
-            if (!fs.existsSync(this.uploadDir)) {
-                fs.mkdirSync(this.uploadDir, { recursive: true });
-                console.log('✅ Global uploads directory created:', this.uploadDir);
+            const { email, name } = req.body || {};
+
+            if (!EMAIL_PATTERN.test(String(email || '')) || String(email).length > 200) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Please provide a valid email address'
+                });
+            }
+
+            const normalizedEmail = String(email).trim().toLowerCase();
+            const cleanName = name ? String(name).trim().slice(0, 100) : null;
+            let subscriber = globalStorage.findSubscriberByEmail(normalizedEmail);
+
+            if (!subscriber) {
+                subscriber = globalStorage.addSubscriber({ email: normalizedEmail, name: cleanName });
+                await sendNewsletterConfirmation(subscriber);
+
+                globalStorage.trackEvent('newsletter_subscribe_requested', {
+                    subscriberId: subscriber.id,
+                    ip: req.ip
+                });
+            } else if (subscriber.status !== 'subscribed') {
+                // Signing up again after unsubscribing or bouncing starts a fresh opt-in
+                const lastSent = subscriber.confirmationSentAt ? new Date(subscriber.confirmationSentAt).getTime() : 0;
+                if (subscriber.status !== 'pending' || clock() - lastSent >= NEWSLETTER_RESEND_INTERVAL) {
+                    globalStorage.updateSubscriber(subscriber.id, {
+                        status: 'pending',
+                        name: cleanName || subscriber.name
+                    });
+                    await sendNewsletterConfirmation(subscriber);
+                }
             }
+
+            res.json({
+                success: true,
+                message: 'Thanks! Please check your inbox to confirm your subscription.'
+            });
         } catch (error) {
-            console.error('❌ Error creating uploads directory:', error);
-            throw error;
+            logger.error('❌ Newsletter subscribe error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to subscribe'
+            });
+        }
+    });
+
+    app.post('/api/newsletter/confirm', newsletterLinkLimiter, (req, res) => {
+        const subscriber = verifyNewsletterToken((req.body || {}).token, 'confirm');
+
+        if (!subscriber || subscriber.status === 'unsubscribed') {
+            return res.status(400).json({
+                success: false,
+                message: 'This confirmation link is invalid or has expired'
+            });
+        }
+
+        if (subscriber.status !== 'subscribed') {
+            globalStorage.updateSubscriber(subscriber.id, {
+                status: 'subscribed',
+                confirmedAt: new Date(clock()).toISOString(),
+                failures: 0,
+                lastError: null
+            });
+            globalStorage.trackEvent('newsletter_subscribed', { subscriberId: subscriber.id });
+        }
+
+        res.json({
+            success: true,
+            message: 'Your subscription is confirmed. Welcome to Warm Delights news!'
+        });
+    });
+
+    // Target of the List-Unsubscribe header (token in the query, RFC 8058 one-click) and of the
+    // unsubscribe page on the website (token in the body). There is deliberately no GET: link
+    // scanners open every URL in an email and would unsubscribe people by accident.
+    app.post('/api/newsletter/unsubscribe', newsletterLinkLimiter, (req, res) => {
+        const token = req.query.token || (req.body || {}).token;
+        const subscriber = verifyNewsletterToken(token, 'unsubscribe');
+
+        if (!subscriber) {
+            return res.status(400).json({
+                success: false,
+                message: 'This unsubscribe link is invalid'
+            });
+        }
+
+        if (subscriber.status !== 'unsubscribed') {
+            globalStorage.updateSubscriber(subscriber.id, {
+                status: 'unsubscribed',
+                unsubscribedAt: new Date(clock()).toISOString()
+            });
+            globalStorage.trackEvent('newsletter_unsubscribed', { subscriberId: subscriber.id });
+        }
+
+        res.json({
+            success: true,
+            message: 'You have been unsubscribed and will not receive any more newsletters.'
+        });
+    });
+
+    // Query: status, q (email or name), page, limit, format=csv (exports every match)
+    app.get('/api/admin/subscribers', authMiddleware, (req, res) => {
+        const { status, q, format } = req.query;
+        const page = req.query.page ? parseInt(req.query.page) : 1;
+        const limit = req.query.limit ? parseInt(req.query.limit) : 100;
+
+        if (status && !SUBSCRIBER_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid status',
+                message: `status must be one of: ${SUBSCRIBER_STATUSES.join(', ')}`
+            });
+        }
+        if (!(page >= 1) || !(limit >= 1 && limit <= 500)) {
+            return res.status(400).json({
+                error: 'Invalid pagination',
+                message: 'page must be 1 or more and limit between 1 and 500'
+            });
         }
-    }
 
-    // **💾 PERSISTENT GALLERY STORAGE**
-    loadGalleryData() {
-        try {
-            if (fs.existsSync(this.dataFile)) {
-                const data = fs.readFileSync(this.dataFile, 'utf8');
-                const parsed = JSON.parse(data);
-                this.images = parsed.images || [];
-                this.analyticsEvents = parsed.analytics || [];
-                console.log('✅ Gallery data loaded from disk');
-            }
-        } catch (error) {
-            console.error('❌ Error loading gallery data:', error);
-            this.images = [];
-            this.analyticsEvents = [];
-        }
-    }
+        const subscribers = globalStorage.getSubscribers({ status, search: q });
 
-    saveGalleryData() {
-        try {
-            const data = {
-                images: this.images,
-                analytics: this.analyticsEvents.slice(-5000), // Keep last 5000 events
-                lastUpdated: new Date().toISOString()
-            };
-            fs.writeFileSync(this.dataFile, JSON.stringify(data, null, 2));
-        } catch (error) {
-            console.error('❌ Error saving gallery data:', error);
+        if (format === 'csv') {
+            const rows = subscribers.map(subscriber =>
+                SUBSCRIBER_CSV_COLUMNS.map(column => csvCell(subscriber[column])).join(','));
+
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="subscribers-${new Date(clock()).toISOString().slice(0, 10)}.csv"`);
+            return res.send([SUBSCRIBER_CSV_COLUMNS.join(','), ...rows].join('\n') + '\n');
         }
-    }
 
-    // **🖼️ IMAGE MANAGEMENT**
-    addImage(imageData) {
-        const image = {
-            id: Date.now() + Math.floor(Math.random() * 1000),
-            filename: imageData.filename,
-            originalName: imageData.originalName,
-            uploadedBy: imageData.uploadedBy,
-            size: imageData.size,
-            mimeType: imageData.mimeType,
-            uploadedAt: new Date().toISOString(),
-            views: 0,
-            isPublic: true,
-            url: `/uploads/${imageData.filename}`,
-            alt: `Warm Delights - ${imageData.originalName}`,
-            tags: []
-        };
+        const counts = {};
+        SUBSCRIBER_STATUSES.forEach(key => {
+            counts[key] = globalStorage.subscribers.filter(subscriber => subscriber.status === key).length;
+        });
 
-        this.images.push(image);
-        this.saveGalleryData();
+        res.set('X-Total-Count', String(subscribers.length));
+        res.json({
+            success: true,
+            total: subscribers.length,
+            page: page,
+            limit: limit,
+            counts: counts,
+            subscribers: subscribers.slice((page - 1) * limit, page * limit)
+        });
+    });
 
-        console.log(`✅ Image added to global storage: ${image.filename}`);
-        return image;
-    }
+    // Admins can take an address off the list or record a bounce reported elsewhere; only the
+    // subscriber can opt in, so "subscribed" is only allowed for addresses that confirmed before
+    app.patch('/api/admin/subscribers/:id', authMiddleware, requireRole('editor'), (req, res) => {
+        const subscriber = globalStorage.getSubscriber(req.params.id);
+        if (!subscriber) return subscriberNotFound(res);
 
-    removeImage(imageId) {
-        const imageIndex = this.images.findIndex(img => img.id == imageId);
-        if (imageIndex === -1) return null;
+        const { status } = req.body || {};
+        if (!['subscribed', 'unsubscribed', 'bounced'].includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid status',
+                message: 'status must be one of: subscribed, unsubscribed, bounced'
+            });
+        }
+        if (status === 'subscribed' && !subscriber.confirmedAt) {
+            return res.status(409).json({
+                error: 'Not confirmed',
+                message: 'This address never confirmed its subscription'
+            });
+        }
 
-        const [removedImage] = this.images.splice(imageIndex, 1);
-        this.saveGalleryData();
+        const now = new Date(clock()).toISOString();
+        const changes = { status: status };
+        if (status === 'unsubscribed') changes.unsubscribedAt = now;
+        if (status === 'bounced') changes.bouncedAt = now;
+        if (status === 'subscribed') Object.assign(changes, { failures: 0, lastError: null });
 
-        console.log(`✅ Image removed from global storage: ${removedImage.filename}`);
-        return removedImage;
-    }
+        const updated = globalStorage.updateSubscriber(subscriber.id, changes);
 
-    getPublicImages() {
-        return this.images
-            .filter(img => img.isPublic)
-            .sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
-    }
+        globalStorage.trackEvent('admin_subscriber_updated', {
+            subscriberId: updated.id,
+            status: status
+        });
 
-    incrementImageViews(filename) {
-        const image = this.images.find(img => img.filename === filename);
-        if (image) {
-            image.views = (image.views || 0) + 1;
-            this.saveGalleryData();
-            return image.views;
-        }
-        return 0;
-    }
+        res.json({ success: true, subscriber: updated });
+    });
 
-    // **📊 ANALYTICS MANAGEMENT**
-    trackEvent(eventType, data = {}) {
-        const event = {
-            id: Date.now(),
-            type: eventType,
-            data: data,
-            timestamp: new Date().toISOString(),
-            ip: data.ip || 'unknown'
-        };
+    app.delete('/api/admin/subscribers/:id', authMiddleware, requireRole('editor'), (req, res) => {
+        const removed = globalStorage.removeSubscriber(req.params.id);
+        if (!removed) return subscriberNotFound(res);
 
-        this.analyticsEvents.push(event);
+        globalStorage.trackEvent('admin_subscriber_deleted', { subscriberId: removed.id });
 
-        // Keep only last 10000 events in memory
-        if (this.analyticsEvents.length > 10000) {
-            this.analyticsEvents = this.analyticsEvents.slice(-10000);
+        res.json({
+            success: true,
+            message: 'Subscriber deleted',
+            deletedSubscriber: { id: removed.id }
+        });
+    });
+
+    app.get('/api/admin/campaigns', authMiddleware, (req, res) => {
+        const { status } = req.query;
+
+        if (status && !CAMPAIGN_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid status',
+                message: `status must be one of: ${CAMPAIGN_STATUSES.join(', ')}`
+            });
         }
 
-        this.saveGalleryData();
-        return event;
-    }
+        const campaigns = globalStorage.campaigns
+            .filter(campaign => !status || campaign.status === status)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .map(campaign => formatCampaign(campaign));
+
+        res.json({
+            success: true,
+            count: campaigns.length,
+            campaigns: campaigns
+        });
+    });
 
-    getAnalyticsStats() {
-        const today = new Date().toDateString();
+    app.get('/api/admin/campaigns/:id', authMiddleware, (req, res) => {
+        const campaign = globalStorage.getCampaign(req.params.id);
+        if (!campaign) return campaignNotFound(res);
 
-        return {
-            totalVisitors: this.analyticsEvents.filter(e => e.type === 'page_visit').length,
-            todayVisitors: this.analyticsEvents.filter(e =>
-                e.type === 'page_visit' &&
-                new Date(e.timestamp).toDateString() === today
-            ).length,
-            cartAdditions: this.analyticsEvents.filter(e => e.type === 'cart_add').length,
-            whatsappOrders: this.analyticsEvents.filter(e => e.type === 'whatsapp_order').length,
-            contactSubmissions: this.analyticsEvents.filter(e => e.type === 'contact_submit').length,
-            imageUploads: this.analyticsEvents.filter(e => e.type === 'admin_upload_success').length,
-            imageViews: this.analyticsEvents.filter(e => e.type === 'image_view').length,
-            totalEvents: this.analyticsEvents.length
-        };
-    }
-}
+        res.json({ success: true, campaign: formatCampaign(campaign, { withRecipients: true }) });
+    });
 
-// **🌍 INITIALIZE GLOBAL STORAGE**
-const globalStorage = new GlobalImageStorage();
-
-// Rate limiting for authentication
-const authLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 5, // limit each IP to 5 requests per windowMs
-    message: 'Too many login attempts, please try again later.',
-    standardHeaders: true,
-    legacyHeaders: false,
-});
-
-// Enhanced CORS configuration
-app.use(cors({
-    origin: '*',
-    credentials: true,
-    methods: ['GET', 'POST', 'DELETE', 'PUT', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'Access-Control-Allow-Origin'],
-    optionsSuccessStatus: 200
-}));
-
-app.options('*', cors());
-
-app.use(bodyParser.json({ limit: '10mb' }));
-app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
-
-// **🖼️ ENHANCED STATIC FILE SERVING**
-app.use('/uploads', express.static(globalStorage.uploadDir, {
-    maxAge: '1y', // Cache for 1 year
-    etag: true,
-    lastModified: true,
-    setHeaders: (res, filePath) => {
-        // Set proper content type for images
-        const ext = path.extname(filePath).toLowerCase();
-        const mimeTypes = {
-            '.jpg': 'image/jpeg',
-            '.jpeg': 'image/jpeg',
-            '.png': 'image/png',
-            '.gif': 'image/gif',
-            '.webp': 'image/webp'
-        };
+    // Body: { subject, body } where body may use {{name}}, {{email}} and {{unsubscribe_url}}
+    app.post('/api/admin/campaigns', authMiddleware, requireRole('editor'), (req, res) => {
+        const { errors, campaign } = validateCampaignInput(req.body);
 
-        if (mimeTypes[ext]) {
-            res.setHeader('Content-Type', mimeTypes[ext]);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid campaign',
+                message: errors.join(', ')
+            });
         }
 
-        // Enable cross-origin access for images
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
-        res.setHeader('Cache-Control', 'public, max-age=31536000'); // 1 year cache
-    }
-}));
+        const created = globalStorage.addCampaign({ ...campaign, createdBy: req.admin.username });
 
-// **📤 MULTER CONFIGURATION**
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, globalStorage.uploadDir);
-    },
-    filename: function (req, file, cb) {
-        const timestamp = Date.now();
-        const random = Math.round(Math.random() * 1E9);
-        const extension = path.extname(file.originalname).toLowerCase();
-        const baseName = path.basename(file.originalname, extension);
-        const safeName = baseName.replace(/[^a-zA-Z0-9]/g, '_');
-        const uniqueName = `${timestamp}-${random}-${safeName}${extension}`;
-        cb(null, uniqueName);
-    }
-});
+        globalStorage.trackEvent('admin_campaign_created', { campaignId: created.id });
 
-const fileFilter = (req, file, cb) => {
-    const allowedMimeTypes = [
-        'image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/gif'
-    ];
+        res.status(201).json({
+            success: true,
+            message: 'Campaign saved as a draft',
+            campaign: formatCampaign(created)
+        });
+    });
 
-    if (allowedMimeTypes.includes(file.mimetype.toLowerCase())) {
-        cb(null, true);
-    } else {
-        cb(new Error(`Invalid file type: ${file.mimetype}. Only JPEG, PNG, WebP, and GIF images are allowed.`), false);
-    }
-};
+    app.patch('/api/admin/campaigns/:id', authMiddleware, requireRole('editor'), (req, res) => {
+        const existing = globalStorage.getCampaign(req.params.id);
+        if (!existing) return campaignNotFound(res);
 
-const upload = multer({
-    storage: storage,
-    limits: {
-        fileSize: 10 * 1024 * 1024, // 10MB limit
-        files: 5
-    },
-    fileFilter: fileFilter
-});
-
-// **🔐 AUTHENTICATION MIDDLEWARE**
-function authMiddleware(req, res, next) {
-    try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({
-                error: 'Unauthorized',
-                message: 'Missing or invalid authorization header'
+        if (existing.status !== 'draft') {
+            return res.status(409).json({
+                error: 'Campaign locked',
+                message: `Cannot edit a campaign that is ${existing.status}`
             });
         }
 
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, JWT_SECRET);
-
-        if (!decoded.isAdmin) {
-            return res.status(403).json({
-                error: 'Forbidden',
-                message: 'Admin access required'
+        const { errors, campaign } = validateCampaignInput(req.body, { partial: true });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid campaign',
+                message: errors.join(', ')
             });
         }
 
-        req.admin = decoded;
-        next();
-    } catch (error) {
-        return res.status(401).json({
-            error: 'Unauthorized',
-            message: 'Invalid token'
-        });
-    }
-}
+        const updated = globalStorage.updateCampaign(existing.id, campaign);
+        res.json({ success: true, campaign: formatCampaign(updated) });
+    });
 
-// **🔑 ADMIN LOGIN WITH GLOBAL STORAGE**
-app.post('/api/admin/login', authLimiter, async (req, res) => {
-    try {
-        const { username, password } = req.body;
+    // Sends the rendered campaign to one address, e.g. the admin's own, without touching the list
+    app.post('/api/admin/campaigns/:id/test', authMiddleware, requireRole('editor'), async (req, res) => {
+        try {
+            const campaign = globalStorage.getCampaign(req.params.id);
+            if (!campaign) return campaignNotFound(res);
 
-        if (!username || !password) {
-            return res.status(400).json({
-                success: false,
-                message: 'Username and password are required'
+            const { email } = req.body || {};
+            if (!EMAIL_PATTERN.test(String(email || ''))) {
+                return res.status(400).json({
+                    error: 'Invalid email',
+                    message: 'email must be a valid email address'
+                });
+            }
+
+            const testRecipient = { id: 'test', email: String(email).trim(), name: req.admin.username };
+            const links = {
+                page: `${SITE_URL}/newsletter/unsubscribe?token=test`,
+                oneClick: `${API_BASE_URL}/api/newsletter/unsubscribe?token=test`
+            };
+            const delivery = await mailer.send({
+                to: testRecipient.email,
+                subject: `[Test] ${campaign.subject}`,
+                text: renderCampaignBody(campaign.body, testRecipient, links),
+                headers: unsubscribeHeaders(links)
+            });
+
+            res.status(delivery.status === 'failed' ? 502 : 200).json({
+                success: delivery.status !== 'failed',
+                delivery: delivery
+            });
+        } catch (error) {
+            logger.error('❌ Campaign test send error:', error);
+            res.status(500).json({
+                error: 'Test send failed',
+                message: 'Could not send the test email'
             });
         }
+    });
 
-        // Verify credentials
-        const isValidUsername = username === ADMIN_USERNAME;
-        const isValidPassword = password === ADMIN_PASSWORD;
+    // Freezes the recipient list to everyone subscribed right now and hands it to the throttled sender
+    app.post('/api/admin/campaigns/:id/send', authMiddleware, requireRole('owner'), (req, res) => {
+        const campaign = globalStorage.getCampaign(req.params.id);
+        if (!campaign) return campaignNotFound(res);
 
-        if (!isValidUsername || !isValidPassword) {
-            // Track failed attempt
-            globalStorage.trackEvent('admin_login_failed', {
-                ip: req.ip,
-                userAgent: req.get('User-Agent')
+        if (campaign.status !== 'draft') {
+            return res.status(409).json({
+                error: 'Campaign locked',
+                message: `Cannot send a campaign that is ${campaign.status}`
             });
-
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid credentials'
+        }
+        if (!mailer.enabled) {
+            return res.status(409).json({
+                error: 'Mail disabled',
+                message: 'Configure a mail transport before sending campaigns'
             });
         }
 
-        // Generate JWT token
-        const token = jwt.sign({
-            username: username,
-            isAdmin: true
-        }, JWT_SECRET, { expiresIn: '2h' });
+        const recipients = globalStorage.getSubscribers({ status: 'subscribed' }).map(subscriber => ({
+            subscriberId: subscriber.id,
+            email: subscriber.email,
+            status: 'pending',
+            attempts: 0,
+            sentAt: null,
+            error: null
+        }));
 
-        // Track successful login
-        globalStorage.trackEvent('admin_login_success', {
-            ip: req.ip
+        if (recipients.length === 0) {
+            return res.status(409).json({
+                error: 'No recipients',
+                message: 'There are no confirmed subscribers to send to'
+            });
+        }
+
+        const updated = globalStorage.updateCampaign(campaign.id, {
+            status: 'sending',
+            recipients: recipients,
+            stats: { total: recipients.length, sent: 0, failed: 0, skipped: 0 },
+            startedAt: new Date(clock()).toISOString(),
+            sentBy: req.admin.username
         });
 
-        console.log(`✅ Admin login successful: ${username}`);
+        globalStorage.trackEvent('admin_campaign_started', {
+            campaignId: updated.id,
+            recipients: recipients.length
+        });
 
-        res.json({
+        res.status(202).json({
             success: true,
-            message: 'Login successful',
-            token: token,
-            expiresIn: '2h'
+            message: `Sending to ${recipients.length} subscriber(s), about one every ${NEWSLETTER_SEND_INTERVAL / 1000}s`,
+            campaign: formatCampaign(updated)
         });
+    });
 
-    } catch (error) {
-        console.error('❌ Admin login error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error'
-        });
-    }
-});
+    // Stops a running campaign; whoever has not been mailed yet is marked skipped
+    app.post('/api/admin/campaigns/:id/cancel', authMiddleware, requireRole('owner'), (req, res) => {
+        const campaign = globalStorage.getCampaign(req.params.id);
+        if (!campaign) return campaignNotFound(res);
+
+        if (campaign.status !== 'sending') {
+            return res.status(409).json({
+                error: 'Not sending',
+                message: `Cannot cancel a campaign that is ${campaign.status}`
+            });
+        }
 
-// **📤 IMAGE UPLOAD TO GLOBAL STORAGE**
-app.post('/api/admin/gallery/upload', authMiddleware, upload.array('images', 5), (req, res) => {
-    console.log('📸 Admin gallery upload to global storage');
+        campaign.recipients
+            .filter(recipient => recipient.status === 'pending')
+            .forEach(recipient => {
+                recipient.status = 'skipped';
+                campaign.stats.skipped++;
+            });
 
-    if (!req.files || req.files.length === 0) {
-        return res.status(400).json({
-            error: 'No files uploaded',
-            message: 'Please select image files'
+        const updated = globalStorage.updateCampaign(campaign.id, {
+            status: 'cancelled',
+            finishedAt: new Date(clock()).toISOString()
         });
-    }
 
-    try {
-        const uploadedImages = [];
+        globalStorage.trackEvent('admin_campaign_cancelled', {
+            campaignId: updated.id,
+            ...updated.stats
+        });
 
-        // Process each uploaded file
-        for (const file of req.files) {
-            // Add to global storage
-            const imageData = globalStorage.addImage({
-                filename: file.filename,
-                originalName: file.originalname,
-                uploadedBy: req.admin.username,
-                size: file.size,
-                mimeType: file.mimetype
-            });
+        res.json({ success: true, campaign: formatCampaign(updated) });
+    });
 
-            uploadedImages.push(imageData);
+    app.delete('/api/admin/campaigns/:id', authMiddleware, requireRole('editor'), (req, res) => {
+        const campaign = globalStorage.getCampaign(req.params.id);
+        if (!campaign) return campaignNotFound(res);
 
-            // Track successful upload
-            globalStorage.trackEvent('admin_upload_success', {
-                filename: file.filename,
-                size: file.size
+        if (campaign.status === 'sending') {
+            return res.status(409).json({
+                error: 'Campaign sending',
+                message: 'Cancel the campaign before deleting it'
             });
-
-            console.log('✅ Image uploaded to global storage:', imageData.filename);
         }
 
+        globalStorage.campaigns = globalStorage.campaigns.filter(candidate => candidate !== campaign);
+        globalStorage.persist('campaigns');
+
+        globalStorage.trackEvent('admin_campaign_deleted', { campaignId: campaign.id });
+
         res.json({
             success: true,
-            message: `${uploadedImages.length} image(s) uploaded to global storage!`,
-            images: uploadedImages
+            message: 'Campaign deleted',
+            deletedCampaign: { id: campaign.id }
+        });
+    });
+
+    // **💚 HEALTH CHECK**
+    app.get('/health', (req, res) => {
+        res.json({
+            status: 'healthy',
+            timestamp: new Date(clock()).toISOString(),
+            uptime: process.uptime(),
+            globalStorage: {
+                images: globalStorage.images.length,
+                products: globalStorage.products.length,
+                orders: globalStorage.orders.length,
+                inquiries: globalStorage.inquiries.length,
+                reviews: globalStorage.reviews.length,
+                subscribers: globalStorage.subscribers.filter(subscriber => subscriber.status === 'subscribed').length,
+                events: globalStorage.analyticsEvents.length
+            }
         });
+    });
 
-    } catch (error) {
-        console.error('❌ Upload error:', error);
-        res.status(500).json({
-            error: 'Upload failed',
-            message: 'Could not upload images to global storage'
+    // **🚨 GLOBAL ERROR HANDLER**
+    app.use((error, req, res, next) => {
+        // Malformed or oversized request bodies are the client's fault, not server errors
+        if (error.type === 'entity.parse.failed') {
+            return res.status(400).json({
+                error: 'Invalid JSON',
+                message: 'The request body is not valid JSON'
+            });
+        }
+        if (error.type === 'entity.too.large') {
+            return res.status(413).json({
+                error: 'Payload too large',
+                message: `Request body exceeds the ${error.limit} byte limit`
+            });
+        }
+
+        logger.error('🚨 Global error:', error);
+
+        // Track error
+        globalStorage.trackEvent('server_error', {
+            error: error.message,
+            url: req.url,
+            method: req.method,
+            ip: req.ip
         });
-    }
-});
 
-// **🖼️ PUBLIC GALLERY FROM GLOBAL STORAGE**
-app.get('/api/images', (req, res) => {
-    try {
-        const images = globalStorage.getPublicImages();
-        
-        const imageData = images.map(img => ({
-            id: img.id,
-            filename: img.filename,
-            name: img.originalName,
-            url: img.url,
-            alt: img.alt,
-            views: img.views,
-            uploadedAt: img.uploadedAt,
-            size: img.size
-        }));
+        if (error instanceof multer.MulterError || error.code === 'INVALID_FILE_TYPE') {
+            return res.status(400).json({
+                error: 'File upload error',
+                message: error.message
+            });
+        }
 
-        // Track gallery view
-        globalStorage.trackEvent('gallery_viewed', {
-            ip: req.ip,
-            imagesCount: imageData.length
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Something went wrong'
         });
+    });
 
-        console.log(`🌍 Global gallery served: ${imageData.length} images`);
+    // **🔍 404 HANDLER**
+    app.use('*', (req, res) => {
+        globalStorage.trackEvent('route_not_found', {
+            url: req.originalUrl,
+            method: req.method,
+            ip: req.ip
+        });
 
-        res.json(imageData);
+        res.status(404).json({
+            error: 'Route not found',
+            message: `The route ${req.originalUrl} does not exist`
+        });
+    });
 
-    } catch (error) {
-        console.error('❌ Gallery error:', error);
-        res.status(500).json({ error: 'Failed to load gallery from global storage' });
-    }
-});
+    // **⏱️ BACKGROUND JOBS**
+    // Started by startServer rather than createApp, so tests and CLI commands run without timers
+    const jobTimers = [];
 
-// **👁️ TRACK IMAGE VIEWS IN GLOBAL STORAGE**
-app.post('/api/images/:filename/view', (req, res) => {
-    try {
-        const filename = req.params.filename;
-        const views = globalStorage.incrementImageViews(filename);
+    function startJobs() {
+        const every = (task, interval) => jobTimers.push(setInterval(task, interval).unref());
 
-        globalStorage.trackEvent('image_view', {
-            filename: filename,
-            ip: req.ip,
-            views: views
+        globalStorage.backfillImageMetadata().catch(error => {
+            logger.error('❌ Image metadata backfill failed:', error);
         });
 
-        res.json({ success: true, views: views });
+        purgeExpiredTrash();
+        every(purgeExpiredTrash, TRASH_PURGE_INTERVAL);
 
-    } catch (error) {
-        console.error('❌ Image view tracking error:', error);
-        res.status(500).json({ error: 'View tracking failed' });
-    }
-});
+        runPrivacySweep();
+        every(runPrivacySweep, PRIVACY_SWEEP_INTERVAL);
 
-// **🗑️ DELETE FROM GLOBAL STORAGE**
-app.delete('/api/admin/gallery/:id', authMiddleware, (req, res) => {
-    try {
-        const imageId = parseInt(req.params.id);
-        const removedImage = globalStorage.removeImage(imageId);
+        every(() => adminSessions.cleanup(), SESSION_CLEANUP_INTERVAL);
+        every(() => viewDeduplicator.prune(), VIEW_DEDUP_WINDOW);
 
-        if (!removedImage) {
-            return res.status(404).json({
-                error: 'Image not found',
-                message: 'The requested image does not exist in global storage'
-            });
-        }
+        webhookStore.delivering = true;
+        webhookStore.processQueue();
+        every(() => webhookStore.processQueue(), WEBHOOK_POLL_INTERVAL);
 
-        // Delete file from filesystem
-        const filePath = path.join(globalStorage.uploadDir, removedImage.filename);
-        try {
-            if (fs.existsSync(filePath)) {
-                fs.unlinkSync(filePath);
-                console.log('✅ File deleted from filesystem:', removedImage.filename);
-            }
-        } catch (fileError) {
-            console.error('❌ File deletion error:', fileError);
+        // Also resumes campaigns that were still sending when the server last stopped
+        every(sendNextNewsletterEmail, NEWSLETTER_SEND_INTERVAL);
+
+        if (BACKUP_ENABLED) {
+            every(runScheduledBackup, BACKUP_INTERVAL);
+            logger.log(`🗄️ Scheduled backups every ${Math.round(BACKUP_INTERVAL / 60000)} min, keeping ${MAX_BACKUPS}`);
         }
+    }
 
-        // Track deletion
-        globalStorage.trackEvent('admin_image_deleted', {
-            imageId: imageId,
-            filename: removedImage.filename
-        });
+    // Stops the jobs, ends live streams and writes everything still pending to disk
+    function close() {
+        jobTimers.splice(0).forEach(timer => clearInterval(timer));
+        webhookStore.delivering = false;
+        adminStream.closeAll();
+        [globalStorage, adminUsers, adminSessions, webhookStore].forEach(store => store.backend.flushSync());
+    }
 
-        console.log('✅ Image deleted from global storage:', removedImage.filename);
+    // What startServer, the CLI commands and tests need from this instance
+    app.locals.services = {
+        config: config,
+        storage: globalStorage,
+        adminUsers: adminUsers,
+        adminSessions: adminSessions,
+        mailer: mailer,
+        auditLog: auditLog,
+        webhookStore: webhookStore,
+        adminStream: adminStream,
+        createBackupSnapshot: createBackupSnapshot,
+        streamBackup: streamBackup,
+        restoreBackupArchive: restoreBackupArchive,
+        validatePassword: validatePassword,
+        generateTemporaryPassword: generateTemporaryPassword,
+        startJobs: startJobs,
+        close: close
+    };
 
-        res.json({
-            success: true,
-            message: 'Image deleted from global storage',
-            deletedImage: {
-                id: imageId,
-                filename: removedImage.filename
-            }
-        });
+    return app;
+}
 
-    } catch (error) {
-        console.error('❌ Delete error:', error);
-        res.status(500).json({
-            error: 'Delete failed',
-            message: 'Could not delete image from global storage'
-        });
+// **🛠️ COMMAND LINE TOOLS**
+// Each command gets its arguments and the services of a freshly built app (see createApp)
+// Usage: node server.js create-owner <username> [password]
+async function createOwnerCommand([username, password], { config, adminUsers, validatePassword, generateTemporaryPassword }) {
+    if (!username) {
+        console.error('Usage: node server.js create-owner <username> [password]');
+        return 1;
     }
-});
 
-// **📊 ANALYTICS FROM GLOBAL STORAGE**
-app.get('/api/admin/analytics', authMiddleware, (req, res) => {
-    try {
-        const stats = globalStorage.getAnalyticsStats();
+    if (adminUsers.findByUsername(username)) {
+        console.error(`❌ Admin user "${username}" already exists`);
+        return 1;
+    }
 
-        // Track analytics view
-        globalStorage.trackEvent('admin_analytics_viewed', {});
+    // Generate a password when none is given, so nothing sensitive has to sit in shell history
+    const finalPassword = password || config.auth.adminPassword || generateTemporaryPassword();
+    const passwordError = validatePassword(finalPassword);
+    if (passwordError) {
+        console.error(`❌ ${passwordError}`);
+        return 1;
+    }
 
-        res.json({
-            success: true,
-            stats: stats,
-            source: 'global-storage'
-        });
+    const user = await adminUsers.createUser({
+        username: username,
+        password: finalPassword,
+        role: 'owner',
+        createdBy: 'cli'
+    });
 
-    } catch (error) {
-        console.error('❌ Analytics fetch error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to fetch analytics from global storage'
-        });
+    console.log(`✅ Owner account created: ${user.username}`);
+    if (!password && !config.auth.adminPassword) {
+        console.log(`🔑 Generated password: ${finalPassword}`);
     }
-});
-
-// **📝 ANALYTICS TRACKING**
-app.post('/api/analytics/track', (req, res) => {
-    try {
-        const { eventType, data } = req.body;
+    return 0;
+}
 
-        if (!eventType) {
-            return res.status(400).json({
-                success: false,
-                message: 'Event type is required'
-            });
-        }
+// Usage: node server.js check-integrity [--import-orphans] [--prune-missing] [--fix-sizes]
+// Exits with 1 while problems remain, so it can run from cron
+async function checkIntegrityCommand(args, { storage }) {
+    const options = {
+        importOrphans: args.includes('--import-orphans'),
+        pruneMissing: args.includes('--prune-missing'),
+        fixSizes: args.includes('--fix-sizes')
+    };
+    const repairing = Object.values(options).some(Boolean);
 
-        const event = globalStorage.trackEvent(eventType, {
-            ...data,
-            ip: req.ip,
-            userAgent: req.get('User-Agent')
-        });
+    const result = repairing
+        ? await storage.repairIntegrity(options, 'cli')
+        : { after: storage.checkIntegrity() };
+    const report = result.after;
 
-        res.json({
-            success: true,
-            message: 'Event tracked in global storage',
-            eventId: event.id
-        });
+    console.log(`🩺 Orphan files: ${report.orphanFiles.length}`);
+    report.orphanFiles.forEach(file => console.log(`   - ${file.location}/${file.filename} (${file.size} bytes)`));
+    console.log(`🩺 Records with missing files: ${report.missingFiles.length}`);
+    report.missingFiles.forEach(file => console.log(`   - #${file.id} ${file.location}/${file.filename}`));
+    console.log(`🩺 Size mismatches: ${report.sizeMismatches.length}`);
+    report.sizeMismatches.forEach(file => console.log(`   - #${file.id} ${file.filename}: recorded ${file.recordedSize}, actual ${file.actualSize}`));
+    console.log(`🩺 Quarantined data files: ${report.quarantinedFiles.length}`);
+    report.quarantinedFiles.forEach(name => console.log(`   - ${name}`));
 
-    } catch (error) {
-        console.error('❌ Analytics tracking error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Event tracking failed'
-        });
+    if (repairing) {
+        const { imported, skipped, pruned, resized } = result.actions;
+        console.log(`🔧 Imported ${imported.length}, skipped ${skipped.length}, pruned ${pruned.length}, resized ${resized.length}`);
     }
-});
 
-// **📞 CONTACT FORM WITH GLOBAL STORAGE**
-app.post('/api/contact', async (req, res) => {
-    try {
-        const { name, email, phone, message } = req.body;
+    return report.ok ? 0 : 1;
+}
 
-        if (!name || !email || !message) {
-            return res.status(400).json({
-                success: false,
-                message: 'Name, email, and message are required'
-            });
-        }
+// Usage: node server.js backup [file.tar.gz]  (defaults to a snapshot in BACKUP_LOCATION)
+async function backupCommand([destination], { createBackupSnapshot, streamBackup }) {
+    if (!destination) {
+        await createBackupSnapshot('manual');
+        return 0;
+    }
 
-        // Track contact submission
-        globalStorage.trackEvent('contact_submit', {
-            name: name,
-            email: email,
-            ip: req.ip
-        });
+    await streamBackup(fs.createWriteStream(path.resolve(destination), { mode: 0o600 }));
+    console.log(`🗄️ Backup written: ${path.resolve(destination)}`);
+    return 0;
+}
 
-        res.json({
-            success: true,
-            message: 'Message sent and tracked in global storage!'
+// Usage: node server.js restore <file.tar.gz> [--replace] [--dry-run]
+// Stop the server first, otherwise its next save overwrites the restored data
+async function restoreCommand(args, { restoreBackupArchive }) {
+    const file = args.find(arg => !arg.startsWith('--'));
+    if (!file) {
+        console.error('Usage: node server.js restore <file.tar.gz> [--replace] [--dry-run]');
+        return 1;
+    }
+
+    try {
+        const summary = await restoreBackupArchive(await fs.promises.readFile(file), {
+            mode: args.includes('--replace') ? 'replace' : 'merge',
+            dryRun: args.includes('--dry-run')
         });
+        console.log(JSON.stringify(summary, null, 2));
+        return 0;
     } catch (error) {
-        console.error('Contact form error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to send message'
-        });
+        if (error.code !== 'INVALID_BACKUP') throw error;
+        console.error(`❌ Invalid backup: ${error.message}`);
+        return 1;
     }
-});
-
-// **💚 HEALTH CHECK**
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        globalStorage: {
-            images: globalStorage.images.length,
-            events: globalStorage.analyticsEvents.length
-        }
-    });
-});
+}
 
-// **🚨 GLOBAL ERROR HANDLER**
-app.use((error, req, res, next) => {
-    console.error('🚨 Global error:', error);
+// Usage: node server.js webhook-receiver [port] [secret]
+// Prints every delivery it receives and whether its signature checks out; stop with Ctrl+C
+function webhookReceiverCommand([port = '4000', secret]) {
+    const http = require('http');
 
-    // Track error
-    globalStorage.trackEvent('server_error', {
-        error: error.message,
-        url: req.url,
-        method: req.method,
-        ip: req.ip
-    });
+    return new Promise(resolve => {
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                const signature = req.headers[WEBHOOK_SIGNATURE_HEADER.toLowerCase()];
+                const verified = secret ? verifyWebhookSignature(secret, signature, body) : null;
+                console.log(`🪝 ${req.method} ${req.url} ${req.headers['x-warmdelights-event'] || ''} ` +
+                    `signature: ${verified === null ? 'not checked' : verified ? 'valid' : 'INVALID'}`);
+                console.log(body);
 
-    if (error instanceof multer.MulterError) {
-        return res.status(400).json({
-            error: 'File upload error',
-            message: error.message
+                res.writeHead(verified === false ? 401 : 200);
+                res.end();
+            });
         });
-    }
 
-    res.status(500).json({
-        error: 'Internal server error',
-        message: 'Something went wrong'
+        server.listen(Number(port), () => console.log(`🪝 Webhook receiver listening on http://localhost:${port}`));
+        process.on('SIGINT', () => server.close(() => resolve(0)));
     });
-});
+}
 
-// **🔍 404 HANDLER**
-app.use('*', (req, res) => {
-    globalStorage.trackEvent('route_not_found', {
-        url: req.originalUrl,
-        method: req.method,
-        ip: req.ip
-    });
+const CLI_COMMANDS = {
+    'create-owner': createOwnerCommand,
+    'check-integrity': checkIntegrityCommand,
+    'backup': backupCommand,
+    'restore': restoreCommand,
+    'webhook-receiver': webhookReceiverCommand
+};
 
-    res.status(404).json({
-        error: 'Route not found',
-        message: `The route ${req.originalUrl} does not exist`
-    });
-});
+// Commands that never touch stored data run without loading it
+const STANDALONE_COMMANDS = ['webhook-receiver'];
 
 // **🚀 START SERVER WITH GLOBAL STORAGE**
-const server = app.listen(PORT, '0.0.0.0', () => {
-    console.log(`✅ Warm Delights Global Storage Server v3.0.0 running on port ${PORT}`);
-    console.log(`🌍 Global storage with ${globalStorage.images.length} images`);
-    console.log(`📊 Analytics events: ${globalStorage.analyticsEvents.length}`);
-    console.log(`📁 Storage location: ${globalStorage.uploadDir}`);
-    console.log(`🚀 Features: Global Storage, Universal Access, Analytics`);
-}).on('error', (error) => {
-    console.error('Server error:', error);
-});
+function startServer(app = createApp()) {
+    const services = app.locals.services;
+    const { port, host } = app.locals.config.server;
+
+    const server = app.listen(port, host, () => {
+        console.log(`✅ Warm Delights Global Storage Server v3.0.0 running on port ${port} (${app.locals.config.profile})`);
+        console.log(`🌍 Global storage with ${services.storage.images.length} images`);
+        console.log(`📊 Analytics events: ${services.storage.analyticsEvents.length}`);
+        console.log(`📁 Storage location: ${services.storage.uploadDir}`);
+        console.log(`🚀 Features: Global Storage, Universal Access, Analytics`);
+
+        services.startJobs();
+    }).on('error', (error) => {
+        console.error('Server error:', error);
+    });
 
-// **🛑 GRACEFUL SHUTDOWN**
-process.on('SIGTERM', () => {
-    console.log('Received SIGTERM, shutting down gracefully');
+    // **🛑 GRACEFUL SHUTDOWN**
+    process.on('SIGTERM', () => {
+        console.log('Received SIGTERM, shutting down gracefully');
 
-    // Save all data before shutdown
-    globalStorage.saveGalleryData();
+        // Save all data before shutdown
+        services.close();
 
-    server.close(() => {
-        console.log('Process terminated gracefully');
+        server.close(() => {
+            console.log('Process terminated gracefully');
+        });
     });
-});
 
-process.on('SIGINT', () => {
-    console.log('Received SIGINT, shutting down gracefully');
+    process.on('SIGINT', () => {
+        console.log('Received SIGINT, shutting down gracefully');
 
-    // Save all data before shutdown
-    globalStorage.saveGalleryData();
+        // Save all data before shutdown
+        services.close();
 
-    server.close(() => {
-        console.log('Process terminated gracefully');
+        server.close(() => {
+            console.log('Process terminated gracefully');
+        });
     });
-});
 
-module.exports = app;
\ No newline at end of file
+    return server;
+}
+
+// Prints every problem at once and exits, so a misconfigured deployment never starts half-working
+function loadConfigOrExit() {
+    try {
+        return loadConfig();
+    } catch (error) {
+        if (error.code !== 'INVALID_CONFIG') throw error;
+
+        console.error('❌ Invalid configuration:');
+        error.problems.forEach(problem => console.error(`   - ${problem}`));
+        console.error('   Run "node server.js --print-config" to see the effective settings');
+        process.exit(1);
+    }
+}
+
+// Requiring this file only defines createApp and startServer; running it starts the server or a command
+if (require.main === module) {
+    const commandName = process.argv[2];
+    const cliCommand = CLI_COMMANDS[commandName];
+
+    if (commandName === '--print-config') {
+        // Usage: node server.js --print-config  (secrets are redacted; exits with 1 if the config is invalid)
+        const { text, ok } = formatConfig();
+        console.log(text);
+        process.exit(ok ? 0 : 1);
+    } else if (cliCommand) {
+        const services = STANDALONE_COMMANDS.includes(commandName)
+            ? {}
+            : createApp({ config: loadConfigOrExit() }).locals.services;
+
+        // close() writes whatever the command changed before the process exits
+        const finish = code => {
+            if (services.close) services.close();
+            process.exit(code);
+        };
+
+        cliCommand(process.argv.slice(3), services)
+            .then(finish)
+            .catch(error => {
+                console.error('❌ Command failed:', error);
+                finish(1);
+            });
+    } else {
+        startServer(createApp({ config: loadConfigOrExit() }));
+    }
+}
+
+module.exports = { createApp, startServer };
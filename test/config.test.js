@@ -0,0 +1,139 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+const { loadConfig, redactConfig, formatConfig } = require('../config');
+
+const PRODUCTION = {
+    NODE_ENV: 'production',
+    JWT_SECRET: 'a'.repeat(48),
+    CORS_ORIGIN: 'https://warmdelights.com, https://www.warmdelights.com'
+};
+
+function problemsFor(env) {
+    try {
+        loadConfig(env);
+    } catch (error) {
+        assert.equal(error.code, 'INVALID_CONFIG');
+        return error.problems;
+    }
+    return [];
+}
+
+describe('loadConfig', () => {
+    it('uses the development profile when NODE_ENV is not set', () => {
+        const config = loadConfig({});
+
+        assert.equal(config.profile, 'development');
+        assert.equal(config.server.port, 5000);
+        assert.deepEqual(config.cors.origins, ['*']);
+        assert.equal(config.uploads.maxFileSize, 10 * 1024 * 1024);
+        assert.equal(config.paths.dataDir, path.resolve(__dirname, '..'));
+    });
+
+    it('applies profile values below the environment', () => {
+        assert.equal(loadConfig({ NODE_ENV: 'test' }).auth.bcryptRounds, 4);
+        assert.equal(loadConfig({ NODE_ENV: 'test', BCRYPT_ROUNDS: '6' }).auth.bcryptRounds, 6);
+        assert.equal(loadConfig({ NODE_ENV: 'test', EMAIL_USER: 'a@b.co', EMAIL_PASS: 'x' }).mail.transport, 'disabled');
+    });
+
+    it('parses typed settings', () => {
+        const config = loadConfig({
+            PORT: '8080',
+            CORS_CREDENTIALS: 'false',
+            TRUST_PROXY: '2',
+            ALLOWED_FILE_TYPES: 'image/PNG, image/webp',
+            RETENTION_POLICY: 'image_view=30, admin_*=365',
+            SITE_URL: 'https://warmdelights.com/',
+            DATA_DIR: 'data'
+        });
+
+        assert.equal(config.server.port, 8080);
+        assert.equal(config.cors.credentials, false);
+        assert.equal(config.server.trustProxy, 2);
+        assert.deepEqual(config.uploads.allowedTypes, ['image/png', 'image/webp']);
+        assert.deepEqual(config.retention.policy, { image_view: 30, 'admin_*': 365 });
+        assert.equal(config.server.siteUrl, 'https://warmdelights.com');
+        assert.equal(config.paths.dataDir, path.resolve('data'));
+    });
+
+    it('reports every invalid value at once', () => {
+        const problems = problemsFor({
+            PORT: 'eighty',
+            MAX_FILE_SIZE: '-1',
+            ALLOWED_FILE_TYPES: 'image/png,application/pdf',
+            RETENTION_POLICY: 'image_view=soon',
+            BAKERY_TIMEZONE: 'Mars/Olympus',
+            STORAGE_BACKEND: 'sqlite'
+        });
+
+        assert.equal(problems.length, 6);
+        assert.match(problems[0], /^PORT must be a whole number/);
+        assert.ok(problems.some(problem => problem.includes('application/pdf')));
+    });
+
+    it('rejects an unknown NODE_ENV', () => {
+        assert.match(problemsFor({ NODE_ENV: 'staging' })[0], /NODE_ENV must be one of/);
+    });
+
+    it('never allows credentials for every origin', () => {
+        assert.equal(loadConfig({}).cors.credentials, false);
+        assert.equal(loadConfig({ CORS_ORIGIN: 'http://localhost:3000' }).cors.credentials, true);
+        assert.deepEqual(problemsFor({ CORS_CREDENTIALS: 'true' }), [
+            'CORS_CREDENTIALS=true cannot be combined with CORS_ORIGIN="*"; list the allowed origins instead'
+        ]);
+    });
+
+    it('needs credentials for SMTP', () => {
+        assert.deepEqual(problemsFor({ MAIL_TRANSPORT: 'smtp' }), ['MAIL_TRANSPORT=smtp needs EMAIL_USER and EMAIL_PASS']);
+    });
+});
+
+describe('production profile', () => {
+    it('starts with a real secret and listed origins', () => {
+        const config = loadConfig(PRODUCTION);
+        assert.deepEqual(config.cors.origins, ['https://warmdelights.com', 'https://www.warmdelights.com']);
+    });
+
+    it('refuses a missing, published or short JWT secret', () => {
+        assert.match(problemsFor({ ...PRODUCTION, JWT_SECRET: '' })[0], /JWT_SECRET must be set/);
+        assert.match(problemsFor({ ...PRODUCTION, JWT_SECRET: 'warmdelights-secret-key-2025' })[0], /published default/);
+        assert.match(problemsFor({ ...PRODUCTION, JWT_SECRET: 'short' })[0], /at least 32 characters/);
+    });
+
+    it('refuses the old default admin password, in clear or hashed', () => {
+        const hash = bcrypt.hashSync('SecurePass@2025!', 4);
+
+        assert.match(problemsFor({ ...PRODUCTION, ADMIN_PASSWORD: 'SecurePass@2025!' })[0], /ADMIN_PASSWORD is/);
+        assert.match(problemsFor({ ...PRODUCTION, ADMIN_PASSWORD_HASH: hash })[0], /ADMIN_PASSWORD_HASH is/);
+        assert.deepEqual(problemsFor({ ...PRODUCTION, ADMIN_PASSWORD_HASH: bcrypt.hashSync('Another-Password-1', 4) }), []);
+    });
+
+    it('refuses a wildcard or missing CORS origin', () => {
+        assert.match(problemsFor({ ...PRODUCTION, CORS_ORIGIN: '*' })[0], /cannot be "\*"/);
+        assert.match(problemsFor({ ...PRODUCTION, CORS_ORIGIN: undefined })[0], /must list the allowed origins/);
+        assert.match(problemsFor({ ...PRODUCTION, CORS_ORIGIN: 'warmdelights.com' })[0], /is not an origin/);
+    });
+});
+
+describe('printing the config', () => {
+    it('redacts secrets that are set', () => {
+        const redacted = redactConfig(loadConfig({ ...PRODUCTION, EMAIL_PASS: 'hunter2' }));
+
+        assert.equal(redacted.auth.jwtSecret, '[redacted]');
+        assert.equal(redacted.mail.pass, '[redacted]');
+        assert.equal(redacted.auth.adminPassword, null);
+    });
+
+    it('shows sources and problems without leaking secrets', () => {
+        const { text, ok } = formatConfig({ ...PRODUCTION, CORS_ORIGIN: '*', EMAIL_PASS: 'hunter2' });
+
+        assert.equal(ok, false);
+        assert.match(text, /production profile/);
+        assert.match(text, /server\.port\s+5000\s+\[default\]/);
+        assert.match(text, /CORS_ORIGIN cannot be "\*"/);
+        assert.ok(!text.includes('hunter2'));
+        assert.ok(!text.includes(PRODUCTION.JWT_SECRET));
+    });
+});
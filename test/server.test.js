@@ -0,0 +1,568 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { createApp } = require('../server');
+const { loadConfig } = require('../config');
+
+const ADMIN = { username: 'test_owner', password: 'Test-Password-123' };
+const BROWSER = 'Mozilla/5.0 (X11; Linux x86_64; rv:130.0) Gecko/20100101 Firefox/130.0';
+
+// The server narrates everything it does; tests only want to hear about problems
+const QUIET_LOGGER = { log() {}, warn: console.warn, error: console.error };
+
+// 1x1 transparent PNG
+const PNG = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+    'base64'
+);
+
+// Builds an app in a fresh temporary folder and serves it on a random port.
+// The config comes from the test profile alone, so nothing in .env leaks into the tests
+async function startTestServer(options = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'warm-delights-test-'));
+    const app = createApp({
+        config: loadConfig({ NODE_ENV: 'test' }),
+        dataDir: dataDir,
+        jwtSecret: 'test-secret',
+        adminUsername: ADMIN.username,
+        adminPassword: ADMIN.password,
+        logger: QUIET_LOGGER,
+        ...options
+    });
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    async function request(method, url, { token, body, form, userAgent = BROWSER } = {}) {
+        const headers = { 'User-Agent': userAgent };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+        const response = await fetch(baseUrl + url, {
+            method: method,
+            headers: headers,
+            body: form || (body !== undefined ? JSON.stringify(body) : undefined)
+        });
+        const type = response.headers.get('content-type') || '';
+        return {
+            status: response.status,
+            body: type.includes('application/json') ? await response.json() : await response.arrayBuffer()
+        };
+    }
+
+    async function login() {
+        const response = await request('POST', '/api/admin/login', { body: ADMIN });
+        assert.equal(response.status, 200);
+        return response.body.token;
+    }
+
+    async function stop() {
+        await new Promise(resolve => server.close(resolve));
+        app.locals.services.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    return { app, dataDir, request, login, stop };
+}
+
+// Rejected uploads are removed in the background, so give the folder a moment to settle
+async function filesSettle(dir, expected) {
+    for (let attempt = 0; attempt < 50 && fs.readdirSync(dir).length !== expected; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return fs.readdirSync(dir).length;
+}
+
+function imageForm(filename, buffer, type = 'image/png') {
+    const form = new FormData();
+    form.append('images', new Blob([buffer], { type: type }), filename);
+    return form;
+}
+
+describe('createApp', () => {
+    it('keeps all data inside the given folder', async () => {
+        const server = await startTestServer();
+        try {
+            assert.ok(fs.existsSync(path.join(server.dataDir, 'uploads')));
+            assert.ok(fs.existsSync(path.join(server.dataDir, 'trash')));
+
+            server.app.locals.services.close();
+            assert.ok(fs.existsSync(path.join(server.dataDir, 'admin_users.json')));
+        } finally {
+            await server.stop();
+        }
+    });
+
+    it('gives each app its own storage', async () => {
+        const first = await startTestServer();
+        const second = await startTestServer();
+        try {
+            const token = await first.login();
+            await first.request('POST', '/api/admin/gallery/upload', { token, form: imageForm('cake.png', PNG) });
+
+            assert.equal((await first.request('GET', '/api/images')).body.length, 1);
+            assert.equal((await second.request('GET', '/api/images')).body.length, 0);
+        } finally {
+            await first.stop();
+            await second.stop();
+        }
+    });
+});
+
+describe('admin login', () => {
+    let server;
+    before(async () => { server = await startTestServer(); });
+    after(async () => { await server.stop(); });
+
+    it('issues tokens for valid credentials', async () => {
+        const response = await server.request('POST', '/api/admin/login', { body: ADMIN });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.success, true);
+        assert.ok(response.body.token);
+        assert.ok(response.body.refreshToken);
+        assert.equal(response.body.user.role, 'owner');
+    });
+
+    it('rejects a wrong password', async () => {
+        const response = await server.request('POST', '/api/admin/login', {
+            body: { username: ADMIN.username, password: 'not-the-password' }
+        });
+
+        assert.equal(response.status, 401);
+        assert.equal(response.body.token, undefined);
+    });
+
+    it('protects admin routes', async () => {
+        assert.equal((await server.request('GET', '/api/admin/gallery')).status, 401);
+        assert.equal((await server.request('GET', '/api/admin/gallery', { token: 'forged' })).status, 401);
+
+        const token = await server.login();
+        assert.equal((await server.request('GET', '/api/admin/gallery', { token })).status, 200);
+    });
+
+    it('accepts token lifetimes given in plain seconds', async () => {
+        const now = Date.parse('2026-03-02T12:00:00.000Z');
+        const secondsServer = await startTestServer({
+            config: loadConfig({ NODE_ENV: 'test', JWT_EXPIRES_IN: '900', REFRESH_TOKEN_EXPIRES_IN: '604800' }),
+            clock: () => now
+        });
+        try {
+            const login = await secondsServer.request('POST', '/api/admin/login', { body: ADMIN });
+            assert.equal(login.status, 200);
+
+            const session = secondsServer.app.locals.services.adminSessions.sessions[0];
+            assert.equal(session.expiresAt, '2026-03-09T12:00:00.000Z');
+        } finally {
+            await secondsServer.stop();
+        }
+    });
+
+    it('stops accepting a token after logout', async () => {
+        const token = await server.login();
+        assert.equal((await server.request('POST', '/api/admin/logout', { token })).status, 200);
+        assert.equal((await server.request('GET', '/api/admin/gallery', { token })).status, 401);
+    });
+});
+
+describe('gallery upload, listing and delete', () => {
+    let server;
+    let token;
+    let uploaded;
+
+    before(async () => {
+        server = await startTestServer();
+        token = await server.login();
+    });
+    after(async () => { await server.stop(); });
+
+    it('stores an uploaded image', async () => {
+        const response = await server.request('POST', '/api/admin/gallery/upload', {
+            token,
+            form: imageForm('Birthday Cake.png', PNG)
+        });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.images.length, 1);
+
+        uploaded = response.body.images[0];
+        assert.match(uploaded.filename, /Birthday_Cake\.png$/);
+        assert.ok(fs.existsSync(path.join(server.dataDir, 'uploads', uploaded.filename)));
+    });
+
+    it('rejects a file that is not really an image', async () => {
+        const response = await server.request('POST', '/api/admin/gallery/upload', {
+            token,
+            form: imageForm('fake.png', Buffer.from('definitely not a png'))
+        });
+
+        assert.equal(response.status, 400);
+        assert.equal(await filesSettle(path.join(server.dataDir, 'uploads'), 1), 1);
+    });
+
+    it('accepts as many files as MAX_FILES_PER_REQUEST allows', async () => {
+        const wide = await startTestServer({ config: loadConfig({ NODE_ENV: 'test', MAX_FILES_PER_REQUEST: '6' }) });
+        try {
+            const form = new FormData();
+            form.append('allowDuplicates', 'true');
+            for (let i = 0; i < 6; i++) {
+                form.append('images', new Blob([PNG], { type: 'image/png' }), `cake-${i}.png`);
+            }
+
+            const response = await wide.request('POST', '/api/admin/gallery/upload', { token: await wide.login(), form });
+            assert.equal(response.status, 200);
+            assert.equal(response.body.images.length, 6);
+        } finally {
+            await wide.stop();
+        }
+    });
+
+    it('requires a login to upload', async () => {
+        const response = await server.request('POST', '/api/admin/gallery/upload', {
+            form: imageForm('cake.png', PNG)
+        });
+        assert.equal(response.status, 401);
+    });
+
+    it('lists the image in the public gallery and serves the file', async () => {
+        const gallery = await server.request('GET', '/api/images');
+
+        assert.equal(gallery.status, 200);
+        assert.deepEqual(gallery.body.map(image => image.id), [uploaded.id]);
+
+        const file = await server.request('GET', `/uploads/${uploaded.filename}`);
+        assert.equal(file.status, 200);
+        assert.deepEqual(Buffer.from(file.body), PNG);
+    });
+
+    it('moves a deleted image to the trash', async () => {
+        const response = await server.request('DELETE', `/api/admin/gallery/${uploaded.id}`, { token });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.deletedImage.id, uploaded.id);
+        assert.deepEqual((await server.request('GET', '/api/images')).body, []);
+        assert.ok(fs.existsSync(path.join(server.dataDir, 'trash', uploaded.filename)));
+        assert.ok(!fs.existsSync(path.join(server.dataDir, 'uploads', uploaded.filename)));
+    });
+
+    it('answers 404 for an image that does not exist', async () => {
+        const response = await server.request('DELETE', `/api/admin/gallery/${uploaded.id}`, { token });
+        assert.equal(response.status, 404);
+    });
+});
+
+describe('analytics', () => {
+    let server;
+    let now = Date.parse('2026-03-02T23:30:00.000Z');
+
+    before(async () => { server = await startTestServer({ clock: () => now }); });
+    after(async () => { await server.stop(); });
+
+    it('counts tracked visits on the day given by the clock', async () => {
+        const tracked = await server.request('POST', '/api/analytics/track', {
+            body: { eventType: 'page_visit', data: { page: '/' } }
+        });
+        assert.equal(tracked.status, 200);
+
+        const token = await server.login();
+        const report = await server.request('GET', '/api/admin/analytics', { token });
+
+        assert.equal(report.status, 200);
+        assert.equal(report.body.stats.totalVisitors, 1);
+        assert.equal(report.body.stats.todayVisitors, 1);
+        assert.equal(report.body.totals.page_visit, 1);
+
+        const event = server.app.locals.services.storage.analyticsEvents.find(e => e.type === 'page_visit');
+        assert.equal(event.timestamp, '2026-03-02T23:30:00.000Z');
+    });
+
+    it('rolls visits over to a new day', async () => {
+        now += 60 * 60 * 1000;
+
+        const token = await server.login();
+        const report = await server.request('GET', '/api/admin/analytics', { token });
+
+        assert.equal(report.body.stats.totalVisitors, 1);
+        assert.equal(report.body.stats.todayVisitors, 0);
+    });
+
+    it('rejects unknown event types', async () => {
+        const response = await server.request('POST', '/api/analytics/track', {
+            body: { eventType: 'made_up', data: {} }
+        });
+        assert.equal(response.status, 400);
+    });
+
+    it('counts crawler traffic separately', async () => {
+        const response = await server.request('POST', '/api/analytics/track', {
+            body: { eventType: 'page_visit', data: { page: '/' } },
+            userAgent: 'Googlebot/2.1 (+http://www.google.com/bot.html)'
+        });
+        assert.equal(response.body.filtered, true);
+
+        const token = await server.login();
+        const report = await server.request('GET', '/api/admin/analytics', { token });
+
+        assert.equal(report.body.stats.totalVisitors, 1);
+        assert.equal(report.body.filtered['track.bot'], 1);
+    });
+
+    it('counts rate-limited form posts as filtered traffic', async () => {
+        for (let i = 0; i < 5; i++) {
+            await server.request('POST', '/api/reviews', { body: {} });
+        }
+        const response = await server.request('POST', '/api/reviews', { body: {} });
+        assert.equal(response.status, 429);
+        assert.equal(response.body.success, false);
+
+        const token = await server.login();
+        const report = await server.request('GET', '/api/admin/analytics', { token });
+
+        assert.equal(report.body.filtered['review.rate_limited'], 1);
+    });
+
+    it('requires a login to read analytics', async () => {
+        assert.equal((await server.request('GET', '/api/admin/analytics')).status, 401);
+    });
+});
+
+describe('placing orders', () => {
+    let server;
+    let items;
+
+    function placeOrder(customer, fulfilment) {
+        return server.request('POST', '/api/orders', {
+            body: { customer: { name: 'Ravi Kumar', phone: '98765 43210', ...customer }, items, fulfilment }
+        });
+    }
+
+    before(async () => {
+        server = await startTestServer();
+        const token = await server.login();
+        const product = await server.request('POST', '/api/admin/products', {
+            token,
+            body: { name: 'Red Velvet', category: 'cakes', price: 700 }
+        });
+        items = [{ productId: product.body.product.id, quantity: 1 }];
+    });
+    after(async () => { await server.stop(); });
+
+    it('rejects a malformed email or address', async () => {
+        const badEmail = await placeOrder({ email: 'ravi@' });
+        assert.equal(badEmail.status, 400);
+        assert.deepEqual(badEmail.body.errors, ['customer.email must be a valid email address']);
+
+        const badAddress = await placeOrder({}, { type: 'delivery', address: { line1: '12 MG Road' } });
+        assert.equal(badAddress.status, 400);
+        assert.deepEqual(badAddress.body.errors, ['fulfilment.address is required for delivery']);
+    });
+
+    it('caps the delivery address', async () => {
+        const placed = await placeOrder({}, { type: 'delivery', address: 'x'.repeat(2000) });
+        assert.equal(placed.status, 201);
+        assert.equal(placed.body.order.fulfilment.address.length, 500);
+    });
+
+    it('rate limits order placement', async () => {
+        for (let i = 0; i < 7; i++) {
+            assert.equal((await placeOrder({})).status, 201);
+        }
+        const limited = await placeOrder({});
+        assert.equal(limited.status, 429);
+
+        const token = await server.login();
+        const report = await server.request('GET', '/api/admin/analytics', { token });
+        assert.equal(report.body.filtered['order.rate_limited'], 1);
+    });
+});
+
+describe('privacy erase', () => {
+    const PHONE = '98765 43210';
+    let server;
+    let token;
+    let order;
+
+    before(async () => {
+        server = await startTestServer();
+        token = await server.login();
+
+        const product = await server.request('POST', '/api/admin/products', {
+            token,
+            body: { name: 'Chocolate Truffle', category: 'cakes', price: 650 }
+        });
+        const placed = await server.request('POST', '/api/orders', {
+            body: {
+                customer: { name: 'Asha Verma', phone: PHONE, email: 'asha@example.com' },
+                items: [{ productId: product.body.product.id, quantity: 1 }]
+            }
+        });
+        assert.equal(placed.status, 201);
+        order = placed.body.order;
+
+        const inquiry = await server.request('POST', '/api/inquiries', {
+            body: { name: 'Asha Verma', email: 'asha@example.com', phone: PHONE, eventDate: '2099-01-01', servings: 20, flavour: 'Vanilla' }
+        });
+        assert.equal(inquiry.status, 201);
+
+        const erased = await server.request('POST', '/api/admin/privacy/erase', {
+            token,
+            body: { email: 'asha@example.com', phone: PHONE }
+        });
+        assert.equal(erased.status, 200);
+    });
+    after(async () => { await server.stop(); });
+
+    it('keeps order and inquiry search working on erased records', async () => {
+        const orders = await server.request('GET', '/api/admin/orders?q=zz', { token });
+        assert.equal(orders.status, 200);
+        assert.equal(orders.body.count, 0);
+
+        const inquiries = await server.request('GET', '/api/admin/inquiries?q=zz', { token });
+        assert.equal(inquiries.status, 200);
+        assert.equal(inquiries.body.count, 0);
+
+        const byReference = await server.request('GET', `/api/admin/orders?q=${order.reference}`, { token });
+        assert.equal(byReference.body.count, 1);
+        assert.equal(byReference.body.orders[0].customer.phone, null);
+    });
+
+    it('never verifies a review against an erased order', async () => {
+        const response = await server.request('POST', '/api/reviews', {
+            body: { name: 'Someone', rating: 5, text: 'Lovely cake, would order again', orderReference: order.reference }
+        });
+
+        assert.equal(response.status, 400);
+        assert.deepEqual(response.body.errors, ['orderReference and phone do not match an order']);
+    });
+});
+
+describe('webhook deliveries', () => {
+    it('wait in the queue until the background jobs start', async () => {
+        const received = [];
+        const receiver = http.createServer((req, res) => {
+            req.resume();
+            req.on('end', () => {
+                received.push(req.headers['x-warmdelights-event']);
+                res.end();
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+        const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+        const server = await startTestServer();
+        try {
+            const { webhookStore, startJobs, close } = server.app.locals.services;
+            const token = await server.login();
+            const created = await server.request('POST', '/api/admin/webhooks', {
+                token,
+                body: { url: `http://127.0.0.1:${receiver.address().port}/hook`, events: ['page_visit'] }
+            });
+            const webhookId = created.body.webhook.id;
+
+            // Tracked events, test sends and replays of a pending delivery all stay queued
+            await server.request('POST', '/api/analytics/track', { body: { eventType: 'page_visit', data: { page: '/' } } });
+            const test = await server.request('POST', `/api/admin/webhooks/${webhookId}/test`, { token });
+            assert.equal(test.status, 202);
+            const replayPending = await server.request('POST', `/api/admin/webhooks/deliveries/${test.body.delivery.id}/replay`, { token });
+            assert.equal(replayPending.status, 202);
+            await pause(200);
+
+            assert.deepEqual(received, []);
+            assert.deepEqual(webhookStore.deliveries.map(delivery => delivery.status), ['pending', 'pending']);
+
+            startJobs();
+            for (let waited = 0; received.length < 2 && waited < 2000; waited += 50) {
+                await pause(50);
+            }
+            assert.deepEqual(received.sort(), ['page_visit', 'webhook_test']);
+
+            // Once the jobs stop, replaying a finished delivery only queues a copy again
+            close();
+            const replayDelivered = await server.request('POST', `/api/admin/webhooks/deliveries/${test.body.delivery.id}/replay`, { token });
+            assert.equal(replayDelivered.status, 202);
+            await pause(200);
+
+            assert.equal(received.length, 2);
+            assert.equal(webhookStore.getDelivery(replayDelivered.body.delivery.id).status, 'pending');
+        } finally {
+            await server.stop();
+            await new Promise(resolve => receiver.close(resolve));
+        }
+    });
+});
+
+describe('custom cake inquiries', () => {
+    // 20:00 UTC is already 01:30 the next day in Asia/Kolkata, the default BAKERY_TIMEZONE
+    let now = Date.parse('2026-03-02T20:00:00.000Z');
+    let server;
+    before(async () => { server = await startTestServer({ clock: () => now }); });
+    after(async () => { await server.stop(); });
+
+    const inquiryFor = eventDate => server.request('POST', '/api/inquiries', {
+        body: { name: 'Asha Verma', email: 'asha@example.com', eventDate: eventDate, servings: 12, flavour: 'Mango' }
+    });
+
+    it('takes "today" from the bakery timezone', async () => {
+        assert.equal((await inquiryFor('2026-03-03')).status, 201);
+
+        const yesterday = await inquiryFor('2026-03-02');
+        assert.equal(yesterday.status, 400);
+        assert.ok(yesterday.body.errors.includes('eventDate cannot be in the past'));
+    });
+
+    it('expires quotes at midnight in the bakery timezone', async () => {
+        const token = await server.login();
+        const [inquiry] = (await server.request('GET', '/api/admin/inquiries', { token })).body.inquiries;
+        const quote = validUntil => server.request('POST', `/api/admin/inquiries/${inquiry.id}/quote`, {
+            token,
+            body: { amount: 1800, validUntil: validUntil }
+        });
+
+        const stale = await quote('2026-03-02');
+        assert.equal(stale.status, 400);
+        assert.match(stale.body.message, /validUntil cannot be in the past/);
+
+        const sent = await quote('2026-03-03');
+        assert.equal(sent.status, 200);
+        const quoteToken = new URL(sent.body.quoteUrl).searchParams.get('token');
+
+        // Still 2026-03-03 in UTC, but already the 4th at the bakery
+        now = Date.parse('2026-03-03T20:00:00.000Z');
+        const late = await server.request('POST', `/api/inquiries/${inquiry.reference}/respond`, {
+            body: { token: quoteToken, decision: 'accept' }
+        });
+        assert.equal(late.status, 409);
+        assert.match(late.body.message, /expired/);
+    });
+});
+
+describe('backup rotation', () => {
+    it('keeps MAX_BACKUPS archives of each kind', async () => {
+        let now = Date.parse('2026-03-02T12:00:00.000Z');
+        const server = await startTestServer({
+            config: loadConfig({ NODE_ENV: 'test', MAX_BACKUPS: '2' }),
+            clock: () => now
+        });
+        try {
+            const { createBackupSnapshot } = server.app.locals.services;
+            for (const kind of ['pre-restore', 'manual', 'snapshot', 'snapshot', 'snapshot', 'snapshot']) {
+                await createBackupSnapshot(kind);
+                now += 60 * 1000;
+            }
+
+            const kinds = fs.readdirSync(path.join(server.dataDir, 'backups'))
+                .filter(name => name.endsWith('.tar.gz'))
+                .map(name => /^warm-delights-([a-z-]+?)-\d{4}-/.exec(name)[1])
+                .sort();
+            assert.deepEqual(kinds, ['manual', 'pre-restore', 'snapshot', 'snapshot']);
+        } finally {
+            await server.stop();
+        }
+    });
+});